@@ -79,6 +79,33 @@ async function request(path, options = {}) {
   return data;
 }
 
+/**
+ * Fetches a file download from an authenticated endpoint.
+ *
+ * Same auth and error handling as {@link request}, but the body is
+ * returned as a Blob together with the file name from the server's
+ * Content-Disposition header.
+ *
+ * @async
+ * @param {string} path - The API path relative to API_BASE.
+ * @returns {Promise<{ blob: Blob, filename: string|null }>}
+ * @throws {Error} Throws with the server-provided error message on non-2xx responses.
+ */
+async function requestFile(path) {
+  const token = getToken();
+  const res = await fetch(`${API_BASE}${path}`, {
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || 'Request failed');
+  }
+
+  const match = /filename="?([^";]+)"?/.exec(res.headers.get('Content-Disposition') || '');
+  return { blob: await res.blob(), filename: match ? match[1] : null };
+}
+
 /**
  * Public API client object. Each method maps to a specific server REST endpoint.
  * Methods return the parsed JSON response from the server.
@@ -146,6 +173,19 @@ export const api = {
    */
   leaderboard: () => request('/users/leaderboard'),
 
+  /**
+   * Fetches the authenticated user's saved matchmaking preferences.
+   * @returns {Promise<{ preferences: Object }>}
+   */
+  getPreferences: () => request('/users/preferences'),
+
+  /**
+   * Saves the authenticated user's matchmaking preferences.
+   * @param {{ minAge?: number|null, maxAge?: number|null, genders?: string[], sameLocationOnly?: boolean }} body
+   * @returns {Promise<{ preferences: Object }>}
+   */
+  updatePreferences: (body) => request('/users/preferences', { method: 'PUT', body }),
+
   /**
    * Fetches a specific user's public profile by ID.
    * @param {number|string} id - The user ID.
@@ -189,11 +229,37 @@ export const api = {
   getConversations: () => request('/conversations'),
 
   /**
-   * Fetches a single conversation with its messages.
+   * Full-text searches the user's messages across all their conversations.
+   * @param {string} q - The words to search for.
+   * @returns {Promise<{ results: Array<Object> }>} Hits with conversation/partner context and a highlighted `snippet`.
+   */
+  searchMessages: (q) => request(`/conversations/search?q=${encodeURIComponent(q)}`),
+
+  /**
+   * Fetches the timer profiles a conversation can be queued with.
+   * @returns {Promise<{ profiles: Array<{ key: string, label: string, seconds: number }>, defaultProfile: string }>}
+   */
+  getTimerProfiles: () => request('/conversations/timer-profiles'),
+
+  /**
+   * Fetches a single conversation with a page of its messages (the latest
+   * page unless a cursor is given).
+   * @param {number|string} id - The conversation ID.
+   * @param {{ before?: number, after?: number, limit?: number }} [page] - Message ID cursor and page size.
+   * @returns {Promise<{ conversation: Object, messages: Array<Object>, hasMore: boolean, totalMessages: number, reactions: Object, receipts: Array<Object> }>}
+   */
+  getConversation: (id, page = {}) => {
+    const params = new URLSearchParams(Object.entries(page).filter(([, v]) => v !== undefined));
+    return request(`/conversations/${id}${params.size ? `?${params}` : ''}`);
+  },
+
+  /**
+   * Downloads a conversation's full transcript.
    * @param {number|string} id - The conversation ID.
-   * @returns {Promise<{ conversation: Object, messages: Array<Object> }>}
+   * @param {'json'|'txt'|'html'} format
+   * @returns {Promise<{ blob: Blob, filename: string|null }>}
    */
-  getConversation: (id) => request(`/conversations/${id}`),
+  exportConversation: (id, format) => requestFile(`/conversations/${id}/export?format=${format}`),
 
   // ---------------------------------------------------------------------------
   // Points endpoints
@@ -10,8 +10,24 @@
  *
  * Both users vote independently; the server resolves the outcome once both
  * votes are received (e.g. if either votes "leave" the chat closes).
+ *
+ * Votes close at a server-set deadline, counted down in the modal; whoever
+ * has not voted by then is counted as voting the default (usually "leave").
  */
 
+import { useEffect } from 'react';
+import { useTimer } from '../hooks/useTimer';
+
+/** @constant {number} DEADLINE_WARNING_SECONDS - When the deadline countdown turns red. */
+const DEADLINE_WARNING_SECONDS = 10;
+
+/** @constant {Object<string, string>} VOTE_LABELS - How each vote is described in the deadline notice. */
+const VOTE_LABELS = {
+  extend: 'extend',
+  leave: 'leave',
+  friends_forever: 'stay Friends Forever',
+};
+
 /**
  * Extension vote modal component.
  *
@@ -22,14 +38,27 @@
  * @param {Object} props
  * @param {(vote: 'extend'|'friends_forever'|'leave') => void} props.onVote -
  *   Callback invoked with the user's chosen vote option.
+ * @param {string|null} [props.deadline] - When votes close (ISO 8601, server clock).
+ * @param {string} [props.defaultVote='leave'] - What a missing vote counts as.
  * @returns {React.ReactElement} The extension modal overlay.
  */
-export default function ExtensionModal({ onVote }) {
+export default function ExtensionModal({ onVote, deadline = null, defaultVote = 'leave' }) {
+  const { secondsLeft, isWarning, startTimer } = useTimer();
+
+  useEffect(() => {
+    if (deadline) startTimer(deadline, DEADLINE_WARNING_SECONDS);
+  }, [deadline, startTimer]);
+
   return (
     <div className="modal-overlay">
       <div className="modal">
         <h2>Time's Up!</h2>
-        <p>Your 3 minutes are over. What do you want to do?</p>
+        <p>Your time is over. What do you want to do?</p>
+        {deadline && secondsLeft !== null && (
+          <p className={`vote-deadline${isWarning ? ' warning' : ''}`}>
+            {secondsLeft}s to decide, or you {VOTE_LABELS[defaultVote] || defaultVote}.
+          </p>
+        )}
         <div className="modal-actions">
           <button className="btn-primary" onClick={() => onVote('extend')}>
             Extend (Photo Exchange)
@@ -0,0 +1,138 @@
+/**
+ * @file MatchPreferencesPanel.jsx
+ * @description Lobby panel for editing the user's matchmaking preferences.
+ *
+ * Lets the user restrict who they are paired with by partner age range,
+ * gender, and location, and opt out of the "no recent repeats" rule.
+ * Preferences are loaded from and saved to the server
+ * (`/api/users/preferences`), which applies them when the user joins the
+ * queue. The server gradually relaxes the demographic filters the longer
+ * the user waits, so they are a wish list rather than a hard filter.
+ */
+
+import { useState, useEffect } from 'react';
+import { api } from '../api';
+
+/** Gender options offered during onboarding (value -> label). */
+const GENDER_OPTIONS = [
+  ['male', 'Male'],
+  ['female', 'Female'],
+  ['non-binary', 'Non-binary'],
+  ['other', 'Other'],
+];
+
+/**
+ * Match preferences editor component.
+ *
+ * @component
+ * @param {Object} props
+ * @param {() => void} props.onClose - Callback to hide the panel.
+ * @returns {React.ReactElement} The preferences card.
+ */
+export default function MatchPreferencesPanel({ onClose }) {
+  const [minAge, setMinAge] = useState('');
+  const [maxAge, setMaxAge] = useState('');
+  const [genders, setGenders] = useState([]);
+  const [sameLocationOnly, setSameLocationOnly] = useState(false);
+  const [avoidRepeats, setAvoidRepeats] = useState(true);
+  const [error, setError] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [saved, setSaved] = useState(false);
+
+  // Load the saved preferences on mount
+  useEffect(() => {
+    api.getPreferences()
+      .then(({ preferences }) => {
+        setMinAge(preferences.minAge ?? '');
+        setMaxAge(preferences.maxAge ?? '');
+        setGenders(preferences.genders);
+        setSameLocationOnly(preferences.sameLocationOnly);
+        setAvoidRepeats(preferences.avoidRepeats);
+      })
+      .catch(err => setError(err.message));
+  }, []);
+
+  /**
+   * Adds or removes a gender from the accepted list.
+   * @param {string} value - The gender value to toggle.
+   */
+  function toggleGender(value) {
+    setSaved(false);
+    setGenders(prev => prev.includes(value) ? prev.filter(g => g !== value) : [...prev, value]);
+  }
+
+  /**
+   * Persists the current form state. Empty age fields are sent as null
+   * ("no limit").
+   */
+  async function handleSave() {
+    setError('');
+    setSaving(true);
+    try {
+      await api.updatePreferences({
+        minAge: minAge === '' ? null : parseInt(minAge),
+        maxAge: maxAge === '' ? null : parseInt(maxAge),
+        genders,
+        sameLocationOnly,
+        avoidRepeats,
+      });
+      setSaved(true);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  return (
+    <div className="card match-preferences">
+      <h3>Match Preferences</h3>
+      <p className="hint">The longer you wait, the less picky we get.</p>
+
+      <div className="form-group">
+        <label>Partner age (21-50)</label>
+        <div className="age-range">
+          <input type="number" min={21} max={50} placeholder="Any" value={minAge}
+            onChange={e => { setMinAge(e.target.value); setSaved(false); }} />
+          <span>to</span>
+          <input type="number" min={21} max={50} placeholder="Any" value={maxAge}
+            onChange={e => { setMaxAge(e.target.value); setSaved(false); }} />
+        </div>
+      </div>
+
+      <div className="form-group">
+        <label>Partner gender (none selected = anyone)</label>
+        <div className="checkbox-list">
+          {GENDER_OPTIONS.map(([value, label]) => (
+            <label key={value}>
+              <input type="checkbox" checked={genders.includes(value)} onChange={() => toggleGender(value)} />
+              {label}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <div className="form-group checkbox-list">
+        <label>
+          <input type="checkbox" checked={sameLocationOnly}
+            onChange={e => { setSameLocationOnly(e.target.checked); setSaved(false); }} />
+          Only people from my location
+        </label>
+        <label>
+          <input type="checkbox" checked={avoidRepeats}
+            onChange={e => { setAvoidRepeats(e.target.checked); setSaved(false); }} />
+          Don't match me with people I talked to recently
+        </label>
+      </div>
+
+      {error && <p className="error">{error}</p>}
+
+      <div className="actions">
+        <button className="btn-primary" onClick={handleSave} disabled={saving}>
+          {saving ? 'Saving...' : saved ? 'Saved' : 'Save'}
+        </button>
+        <button className="btn-outline" onClick={onClose}>Close</button>
+      </div>
+    </div>
+  );
+}
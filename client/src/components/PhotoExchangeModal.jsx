@@ -7,12 +7,13 @@
  *   1. **Upload mode** (`photos` is null, `onSubmit` is provided):
  *      Shows a file picker for the user to choose a photo. Once selected the
  *      photo is submitted via `onSubmit` and a "waiting for partner" message
- *      is shown. Both users must submit before the reveal.
+ *      is shown. Everyone must submit before the reveal.
  *
  *   2. **Rating mode** (`photos` is provided, `onRate` is provided):
- *      Displays both users' photos side-by-side ("Photo Reveal!") and a
- *      1-5 star rating widget for the partner's photo. The rating is submitted
- *      via `onRate`.
+ *      Displays all photos side-by-side ("Photo Reveal!") and a 1-5 star
+ *      rating widget for each photo that is not the user's own (just the
+ *      partner's in a pair, every other member's in a group). The ratings
+ *      are submitted together via `onRate`.
  *
  * The parent Chat component controls which mode is active by passing different
  * prop combinations.
@@ -25,32 +26,36 @@ import { useState, useRef } from 'react';
  *
  * @component
  * @param {Object} props
- * @param {((file: File) => void)|null} props.onSubmit - Called with the selected File
+ * @param {((file: File) => (void|Promise<void>))|null} props.onSubmit - Called with the selected File
  *   in upload mode. Null in rating mode.
- * @param {Array<{ userId: number, photoUrl: string }>|null} props.photos - Both users'
- *   photos for the reveal. Null in upload mode.
- * @param {((score: number) => void)|null} props.onRate - Called with the 1-5 star
- *   rating in rating mode. Null in upload mode.
+ * @param {Array<{ userId: number, photoUrl: string }>|null} props.photos - Every
+ *   participant's photo for the reveal. Null in upload mode.
+ * @param {((scores: Object.<number, number>) => void)|null} props.onRate - Called with
+ *   the 1-5 star ratings keyed by rated user ID in rating mode. Null in upload mode.
  * @param {number} [props.currentUserId] - The authenticated user's ID, used to
  *   distinguish "You" vs "Partner" labels in the reveal.
+ * @param {boolean} [props.isGroup] - Whether this is a group therapy room.
+ * @param {Array<{ id: number, display_name: string }>} [props.participants] - Group
+ *   members, used to label their photos by name.
  * @returns {React.ReactElement} The modal overlay in the appropriate mode.
  */
-export default function PhotoExchangeModal({ onSubmit, photos, onRate, currentUserId }) {
+export default function PhotoExchangeModal({ onSubmit, photos, onRate, currentUserId, isGroup = false, participants = [] }) {
   /** @type {[string|null, Function]} Local object URL for immediate photo preview */
   const [preview, setPreview] = useState(null);
   /** @type {[boolean, Function]} Whether the user has already submitted their photo */
   const [submitted, setSubmitted] = useState(false);
-  /** @type {[number, Function]} The currently selected star rating (1-5, 0 = none) */
-  const [rating, setRating] = useState(0);
-  /** @type {[number, Function]} Temporarily highlighted star on hover (0 = none) */
-  const [hoverRating, setHoverRating] = useState(0);
+  /** @type {[Object.<number, number>, Function]} Selected star rating (1-5) keyed by rated user ID */
+  const [ratings, setRatings] = useState({});
+  /** @type {[{ userId: number, star: number }|null, Function]} Temporarily highlighted star on hover */
+  const [hoverRating, setHoverRating] = useState(null);
   /** Ref for the hidden file input to trigger it programmatically */
   const fileRef = useRef(null);
 
   /**
    * Handles file selection from the hidden input. Creates a local preview,
    * calls the parent's onSubmit with the raw File object, and marks the
-   * submission as complete.
+   * submission as complete. If onSubmit rejects, the picker is shown again
+   * so the user can retry.
    *
    * @param {React.ChangeEvent<HTMLInputElement>} e - File input change event.
    */
@@ -58,56 +63,77 @@ export default function PhotoExchangeModal({ onSubmit, photos, onRate, currentUs
     const file = e.target.files[0];
     if (!file) return;
     setPreview(URL.createObjectURL(file));
-    onSubmit(file);
     setSubmitted(true);
+    Promise.resolve(onSubmit(file)).catch(() => {
+      setSubmitted(false);
+      setPreview(null);
+    });
   }
 
-  // -- Rating mode: both photos have been submitted and revealed --
+  /**
+   * Returns the label shown under a photo: "You", the member's name in a
+   * group, or "Partner" in a pair.
+   * @param {number} userId - Whose photo it is.
+   * @returns {string}
+   */
+  function labelFor(userId) {
+    if (userId === currentUserId) return 'You';
+    if (!isGroup) return 'Partner';
+    return participants.find(p => p.id === userId)?.display_name || 'Someone';
+  }
+
+  // -- Rating mode: everyone's photos have been submitted and revealed --
   if (photos && onRate) {
-    // Identify the partner's photo so we can show the rating prompt for it
-    const partnerPhoto = photos.find(p => p.userId !== currentUserId);
+    // Everyone else's photos get a rating prompt
+    const otherPhotos = photos.filter(p => p.userId !== currentUserId);
+    const allRated = otherPhotos.every(p => ratings[p.userId]);
 
     return (
       <div className="modal-overlay">
         <div className="modal photo-exchange-modal">
           <h2>Photo Reveal!</h2>
-          {/* Display both photos side-by-side with "You" / "Partner" labels */}
+          {/* Display all photos side-by-side with "You" / partner labels */}
           <div className="photo-reveal">
             {photos.map(p => (
               <div key={p.userId} className="photo-card">
                 <img src={p.photoUrl} alt="" />
-                <div className="photo-label">
-                  {p.userId === currentUserId ? 'You' : 'Partner'}
-                </div>
+                <div className="photo-label">{labelFor(p.userId)}</div>
               </div>
             ))}
           </div>
 
-          {/* Star rating widget for the partner's photo */}
-          {partnerPhoto && (
+          {/* One star rating widget per photo that is not ours */}
+          {otherPhotos.length > 0 && (
             <>
-              <p>Rate your partner's photo:</p>
-              <div className="rating-stars">
-                {/* Render 5 stars; fill based on hover state or selected rating */}
-                {[1, 2, 3, 4, 5].map(star => (
-                  <span
-                    key={star}
-                    className={`star ${star <= (hoverRating || rating) ? 'filled' : 'empty'}`}
-                    onMouseEnter={() => setHoverRating(star)}
-                    onMouseLeave={() => setHoverRating(0)}
-                    onClick={() => setRating(star)}
-                  >
-                    &#9733;
-                  </span>
-                ))}
-              </div>
+              {otherPhotos.map(p => (
+                <div key={p.userId}>
+                  <p>{isGroup ? `Rate ${labelFor(p.userId)}'s photo:` : "Rate your partner's photo:"}</p>
+                  <div className="rating-stars">
+                    {/* Render 5 stars; fill based on hover state or selected rating */}
+                    {[1, 2, 3, 4, 5].map(star => {
+                      const shown = hoverRating?.userId === p.userId ? hoverRating.star : (ratings[p.userId] || 0);
+                      return (
+                        <span
+                          key={star}
+                          className={`star ${star <= shown ? 'filled' : 'empty'}`}
+                          onMouseEnter={() => setHoverRating({ userId: p.userId, star })}
+                          onMouseLeave={() => setHoverRating(null)}
+                          onClick={() => setRatings(prev => ({ ...prev, [p.userId]: star }))}
+                        >
+                          &#9733;
+                        </span>
+                      );
+                    })}
+                  </div>
+                </div>
+              ))}
               <button
                 className="btn-primary"
-                disabled={!rating}
-                onClick={() => onRate(rating)}
+                disabled={!allRated}
+                onClick={() => onRate(ratings)}
                 style={{width:'100%'}}
               >
-                Submit Rating
+                {otherPhotos.length > 1 ? 'Submit Ratings' : 'Submit Rating'}
               </button>
             </>
           )}
@@ -121,13 +147,19 @@ export default function PhotoExchangeModal({ onSubmit, photos, onRate, currentUs
     <div className="modal-overlay">
       <div className="modal photo-exchange-modal">
         <h2>Photo Exchange</h2>
-        <p>Both of you need to share a photo before continuing. It will be revealed simultaneously!</p>
+        <p>
+          {isGroup
+            ? 'Everyone needs to share a photo before continuing. They will all be revealed at once!'
+            : 'Both of you need to share a photo before continuing. It will be revealed simultaneously!'}
+        </p>
 
         {submitted ? (
           /* Post-submission: show the uploaded preview and a waiting message */
           <>
             {preview && <img src={preview} alt="" style={{width:120,height:120,borderRadius:8,objectFit:'cover',margin:'12px auto'}} />}
-            <p style={{color:'var(--whatsapp-green)',fontWeight:600}}>Photo submitted! Waiting for partner...</p>
+            <p style={{color:'var(--whatsapp-green)',fontWeight:600}}>
+              Photo submitted! {isGroup ? 'Waiting for the others...' : 'Waiting for partner...'}
+            </p>
           </>
         ) : (
           /* Pre-submission: clickable upload area with hidden file input */
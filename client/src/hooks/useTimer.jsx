@@ -4,21 +4,33 @@
  *
  * Provides a countdown timer that calculates remaining time from a server-
  * provided end timestamp. The timer updates every 250ms for smooth display
- * and exposes warning (<=30s) and expired (<=0s) states.
+ * and exposes warning (at or below the conversation's warning threshold,
+ * 30s by default) and expired (<=0s) states.
  *
  * Designed to be driven by the server's `timer-start` socket event, which
  * provides an absolute `endTime` so all clients count down to the same moment
- * regardless of network latency.
+ * regardless of network latency. The remaining time is measured against the
+ * server's clock (`serverNow()` from socket.js), so a browser clock that is
+ * off by a few seconds does not skew the countdown; periodic `timer-sync`
+ * events re-anchor the end time via `syncTimer`. While the conversation is
+ * paused (`timer-paused`), `pauseTimer` freezes the display at the time that
+ * was left; `timer-resume` restarts it with `startTimer`.
  */
 
 import { useState, useEffect, useRef, useCallback } from 'react';
+import { serverNow } from '../socket';
+
+/** @constant {number} DEFAULT_WARNING_SECONDS - Warning threshold of the standard timer profile. */
+const DEFAULT_WARNING_SECONDS = 30;
 
 /**
  * @typedef {Object} TimerState
  * @property {number|null} secondsLeft - Seconds remaining, or null when no timer is active.
- * @property {boolean} isWarning - True when 30 seconds or fewer remain.
+ * @property {boolean} isWarning - True once the warning threshold is reached.
  * @property {boolean} isExpired - True when the countdown has reached zero.
  * @property {Function} startTimer - Start counting down to the given end time.
+ * @property {Function} syncTimer - Correct the end time of the running countdown (or start one).
+ * @property {Function} pauseTimer - Stop counting down, showing the time that was left.
  * @property {Function} stopTimer - Stop the timer and reset all state.
  */
 
@@ -27,7 +39,8 @@ import { useState, useEffect, useRef, useCallback } from 'react';
  *
  * Uses `setInterval` at 250ms for smoother visual updates (more frequent than
  * once per second). The countdown is based on an absolute end timestamp rather
- * than a relative duration, ensuring accuracy across network delays.
+ * than a relative duration, ensuring accuracy across network delays, and on
+ * the estimated server time rather than the browser's clock.
  *
  * @returns {TimerState} Timer state and control functions.
  */
@@ -37,6 +50,8 @@ export function useTimer() {
   const [isExpired, setIsExpired] = useState(false);
   /** @type {React.MutableRefObject<number|null>} Absolute end timestamp in ms */
   const endTimeRef = useRef(null);
+  /** @type {React.MutableRefObject<number>} Seconds left at which the warning state starts */
+  const warningSecondsRef = useRef(DEFAULT_WARNING_SECONDS);
   /** @type {React.MutableRefObject<number|null>} Interval ID for cleanup */
   const intervalRef = useRef(null);
 
@@ -45,14 +60,17 @@ export function useTimer() {
    *
    * Any previously running timer is cleared before starting. The interval
    * runs every 250ms for smooth UI updates. When the remaining time drops
-   * to 30s the warning flag is set; at 0s the timer self-stops and marks
-   * itself as expired.
+   * to `warningSeconds` the warning flag is set; at 0s the timer self-stops
+   * and marks itself as expired.
    *
    * @param {string|number|Date} endTime - The absolute time when the timer expires.
    *   Accepts anything parsable by `new Date()`.
+   * @param {number} [warningSeconds=30] - The conversation's warning threshold
+   *   (from its timer profile).
    */
-  const startTimer = useCallback((endTime) => {
+  const startTimer = useCallback((endTime, warningSeconds = DEFAULT_WARNING_SECONDS) => {
     endTimeRef.current = new Date(endTime).getTime();
+    warningSecondsRef.current = warningSeconds;
     setIsExpired(false);
     setIsWarning(false);
 
@@ -61,13 +79,13 @@ export function useTimer() {
 
     // Update every 250ms for smooth countdown display
     intervalRef.current = setInterval(() => {
-      const now = Date.now();
+      const now = serverNow();
       // Ceil so the display shows "1" for the last partial second rather than "0"
       const remaining = Math.max(0, Math.ceil((endTimeRef.current - now) / 1000));
       setSecondsLeft(remaining);
 
-      // Activate warning state in the final 30 seconds
-      if (remaining <= 30 && remaining > 0) {
+      // Activate warning state in the final stretch
+      if (remaining <= warningSecondsRef.current && remaining > 0) {
         setIsWarning(true);
       }
       // Auto-stop when time runs out
@@ -79,6 +97,38 @@ export function useTimer() {
     }, 250);
   }, []);
 
+  /**
+   * Moves the end of the running countdown to `endTime` (the server's
+   * latest word on it) without resetting the warning state. Starts the
+   * countdown if none is running, e.g. if this client missed `timer-start`
+   * or expired early.
+   *
+   * @param {string|number|Date} endTime - The absolute time when the timer expires.
+   */
+  const syncTimer = useCallback((endTime) => {
+    if (!intervalRef.current) return startTimer(endTime, warningSecondsRef.current);
+    endTimeRef.current = new Date(endTime).getTime();
+  }, [startTimer]);
+
+  /**
+   * Freezes the countdown at `remainingMs` while the timer is paused. The
+   * warning state follows the frozen value; `startTimer` picks up again.
+   *
+   * @param {number} remainingMs - Time left when the server paused the timer.
+   * @param {number} [warningSeconds] - The conversation's warning threshold, if
+   *   not already known from `startTimer` (e.g. after a rejoin).
+   */
+  const pauseTimer = useCallback((remainingMs, warningSeconds = warningSecondsRef.current) => {
+    warningSecondsRef.current = warningSeconds;
+    if (intervalRef.current) {
+      clearInterval(intervalRef.current);
+      intervalRef.current = null;
+    }
+    const remaining = Math.ceil(remainingMs / 1000);
+    setSecondsLeft(remaining);
+    setIsWarning(remaining <= warningSecondsRef.current && remaining > 0);
+  }, []);
+
   /**
    * Stops the timer and resets all state back to initial values.
    * Safe to call even when no timer is running.
@@ -100,5 +150,5 @@ export function useTimer() {
     };
   }, []);
 
-  return { secondsLeft, isWarning, isExpired, startTimer, stopTimer };
+  return { secondsLeft, isWarning, isExpired, startTimer, syncTimer, pauseTimer, stopTimer };
 }
@@ -13,6 +13,7 @@
  */
 
 import { useState, useRef, useCallback } from 'react';
+import { VOICE_MAX_SECONDS } from '@shared/validation';
 
 /**
  * @typedef {Object} VoiceRecorderState
@@ -30,10 +31,10 @@ import { useState, useRef, useCallback } from 'react';
  * A safety timeout automatically stops the recording after `maxSeconds` to
  * prevent excessively large files.
  *
- * @param {number} [maxSeconds=60] - Maximum recording duration in seconds before auto-stop.
+ * @param {number} [maxSeconds=VOICE_MAX_SECONDS] - Maximum recording duration in seconds before auto-stop.
  * @returns {VoiceRecorderState} Recording state and control functions.
  */
-export function useVoiceRecorder(maxSeconds = 60) {
+export function useVoiceRecorder(maxSeconds = VOICE_MAX_SECONDS) {
   const [isRecording, setIsRecording] = useState(false);
   const [duration, setDuration] = useState(0);
   /** @type {React.MutableRefObject<MediaRecorder|null>} Active MediaRecorder instance */
@@ -4,52 +4,93 @@
  *
  * This is the most complex component in the application. It orchestrates:
  *   - Real-time messaging via Socket.io (text + voice notes)
+ *   - Message history: the latest page is loaded on mount and older pages
+ *     on scroll-up (GET /api/conversations/:id with a `before` cursor)
  *   - A countdown timer driven by server-provided end timestamps
  *   - Voice recording through the MediaRecorder API
  *   - Multiple modal flows: extension voting, photo exchange, friends forever
  *   - Partner connection/disconnection handling
+ *   - Group therapy rooms (3-6 participants): sender names and avatars on
+ *     messages, a member list in the header, and members leaving mid-chat
+ *   - Read receipts: sent / delivered / read ticks on the user's own messages
+ *   - Emoji reactions: chips under each message, toggled by clicking
+ *   - Replies: a message can quote an earlier one, shown as a snippet above it
+ *   - Editing and unsending one's own messages shortly after sending them
+ *   - Pausing the timer: one side asks, another accepts, either resumes
  *   - Post-chat navigation
  *
  * Socket event flow:
  *   Server -> Client:
  *     'new-message'            -> Append message to chat
- *     'timer-start'            -> Start/restart the countdown timer
+ *     'timer-start'            -> Start/restart the countdown timer (and show its round number)
+ *     'timer-sync'             -> Re-anchor the countdown to the server's end time
  *     'timer-expired'          -> Show the extension vote modal
  *     'extension-prompt'       -> Same as timer-expired (alternative event)
  *     'extension-result'       -> Handle the resolved vote outcome
- *     'photo-exchange-reveal'  -> Show both photos for rating
+ *     'photo-exchange-reveal'  -> Show everyone's photos for rating
  *     'friends-forever-confirmed' -> Show celebration modal
  *     'conversation-closed'    -> Mark chat as ended
  *     'partner-disconnected'   -> Show disconnection notice
+ *     'participant-left'       -> A group member left; mark them and show a notice
  *     'vote-received'          -> Show "waiting for partner" state
  *     'rejoin-conversation'    -> Restore room/partner on reconnect
+ *     'typing-start'           -> Someone else is composing; show it in the header
+ *     'typing-stop'            -> They stopped (or the indicator expired)
+ *     'receipt-updated'        -> A member's delivered/read watermark moved; update ticks
+ *     'reaction-updated'       -> A message's reactions changed; update its chips
+ *     'message-updated'        -> A message was edited or deleted; replace it
+ *     'request-pause'          -> Someone asked to pause the timer; offer accept / decline
+ *     'pause-declined'         -> The pause request was turned down
+ *     'timer-paused'           -> Freeze the countdown
+ *     'timer-resume'           -> Restart the countdown from its new end time
  *
- *   Client -> Server:
+ *   Client -> Server (actions are emitted with an ack; failures are shown
+ *   in the chat as a system notice):
  *     'join-room'              -> Join the socket room for this conversation
- *     'send-message'           -> Send a text message
- *     'send-voice-note'        -> Send a voice note (after uploading the file)
+ *     'send-message'           -> Send a text message (optionally replying to one)
+ *     'send-voice-note'        -> Send a voice note (after uploading the file; may reply too)
  *     'extension-vote'         -> Submit the user's extension vote
  *     'photo-exchange-submit'  -> Submit the user's photo for exchange
- *     'rate-photo'             -> Submit a star rating for the partner's photo
+ *     'rate-photo'             -> Submit a star rating for another participant's photo
+ *     'edit-message'           -> Change the text of one of the user's recent messages
+ *     'delete-message'         -> Unsend one of the user's recent messages
+ *     'add-reaction'           -> React to a message with one of REACTION_EMOJIS
+ *     'remove-reaction'        -> Take a reaction back
+ *     'typing-start'           -> Throttled while the user types (no ack)
+ *     'typing-stop'            -> On send, on clearing the input, or after a pause (no ack)
+ *     'messages-read'          -> The newest message from others, while the page is visible (no ack)
+ *     'request-pause'          -> Ask the others to pause the timer
+ *     'respond-pause'          -> Accept or decline someone else's pause request
+ *     'timer-resume'           -> End a pause early
  */
 
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useLayoutEffect, useRef, useCallback } from 'react';
 import { useParams, useLocation, useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { useSocket, useSocketEvent } from '../hooks/useSocket';
 import { useTimer } from '../hooks/useTimer';
 import { useVoiceRecorder } from '../hooks/useVoiceRecorder';
 import { api } from '../api';
+import { emitWithAck, noteServerTime } from '../socket';
+import {
+  MESSAGE_MAX_LENGTH, REACTION_EMOJIS, validateMessageText, validateVoiceDuration,
+} from '@shared/validation';
 import ExtensionModal from '../components/ExtensionModal';
 import PhotoExchangeModal from '../components/PhotoExchangeModal';
 import FriendsForeverModal from '../components/FriendsForeverModal';
 
+/** @constant {number} TYPING_THROTTLE_MS - Minimum gap between 'typing-start' emits while typing. */
+const TYPING_THROTTLE_MS = 2000;
+/** @constant {number} TYPING_IDLE_MS - Pause after which the user counts as no longer typing. */
+const TYPING_IDLE_MS = 3000;
+
 /**
  * Chat page component.
  *
  * Reads the `conversationId` from the URL params and the `roomId`/`partner`
- * from React Router location state (passed by the Matching page). Manages
- * all real-time chat state including messages, timer, modals, and voice recording.
+ * (or `isGroup`/`participants` for group rooms) from React Router location
+ * state (passed by the Matching page). Manages all real-time chat state
+ * including messages, timer, modals, and voice recording.
  *
  * @component
  * @returns {React.ReactElement} The full chat interface.
@@ -60,7 +101,9 @@ export default function Chat() {
   const navigate = useNavigate();
   const { user } = useAuth();
   const socket = useSocket();
-  const { secondsLeft, isWarning, startTimer, stopTimer } = useTimer();
+  const { secondsLeft, isWarning, startTimer, syncTimer, pauseTimer, stopTimer } = useTimer();
+  /** Current timer round (1 for the first, +1 per extension); null until the server says */
+  const [round, setRound] = useState(null);
   const { isRecording, duration, startRecording, stopRecording, cancelRecording } = useVoiceRecorder();
 
   // ---------------------------------------------------------------------------
@@ -70,12 +113,25 @@ export default function Chat() {
   const [messages, setMessages] = useState([]);
   /** @type {[string, Function]} Current text input value */
   const [input, setInput] = useState('');
+  /** Whether the server has messages older than the ones loaded */
+  const [hasOlder, setHasOlder] = useState(false);
+  /** Whether an older page is being fetched */
+  const [loadingOlder, setLoadingOlder] = useState(false);
 
   // ---------------------------------------------------------------------------
   // State: partner and room (initialised from route state, updated on rejoin)
   // ---------------------------------------------------------------------------
   const [partner, setPartner] = useState(location.state?.partner || null);
   const [roomId, setRoomId] = useState(location.state?.roomId || null);
+  /** Whether this is a group therapy room rather than a pair */
+  const [isGroup, setIsGroup] = useState(!!location.state?.isGroup);
+  /**
+   * Group members (id, display_name, photo_url). Members who left stay in the
+   * list with `left: true` so their earlier messages keep a name and avatar.
+   */
+  const [participants, setParticipants] = useState(location.state?.participants || []);
+  /** Why the matchmaker paired us (see MATCHED payload); absent after a rejoin */
+  const traumaMatch = location.state?.traumaMatch || null;
 
   // ---------------------------------------------------------------------------
   // State: modal visibility and feature flags
@@ -84,6 +140,8 @@ export default function Chat() {
   const [isFriendsForever, setIsFriendsForever] = useState(false);
   /** Whether to show the extension vote modal */
   const [showExtension, setShowExtension] = useState(false);
+  /** When the extension vote closes and what a missing vote counts as: `{ deadline, defaultVote }` */
+  const [voteDeadline, setVoteDeadline] = useState(null);
   /** Whether to show the photo exchange upload modal */
   const [showPhotoExchange, setShowPhotoExchange] = useState(false);
   /** Photos data for the reveal stage of photo exchange */
@@ -97,18 +155,85 @@ export default function Chat() {
   /** Whether the conversation has been closed (disables input) */
   const [chatClosed, setChatClosed] = useState(false);
 
+  /** IDs of the other participants currently typing */
+  const [typingUserIds, setTypingUserIds] = useState([]);
+  /** Receipt watermarks by user ID: `{ deliveredUpTo, readUpTo }` message IDs */
+  const [receipts, setReceipts] = useState({});
+  /** Reactions by message ID: `[{ emoji, userIds }]` */
+  const [reactions, setReactions] = useState({});
+  /** ID of the message whose emoji picker is open, if any */
+  const [reactionPickerFor, setReactionPickerFor] = useState(null);
+  /** The message the next text or voice message will reply to, if any */
+  const [replyingTo, setReplyingTo] = useState(null);
+  /** The user's own message whose text is being edited in the input, if any */
+  const [editingMessage, setEditingMessage] = useState(null);
+  /** The running pause, if any: when it ends by itself and how long it may last */
+  const [pause, setPause] = useState(null);
+  /** Who asked us to pause the timer, awaiting our answer (user ID), or null */
+  const [pauseRequestFrom, setPauseRequestFrom] = useState(null);
+  /** Whether our own pause request is waiting for an answer */
+  const [pauseRequested, setPauseRequested] = useState(false);
+  /** Pauses the conversation has left; null until the server says */
+  const [pausesLeft, setPausesLeft] = useState(null);
+  /** How long after sending edit/delete is offered (the server's window, from the conversation GET); 0 until loaded */
+  const [editWindowMs, setEditWindowMs] = useState(0);
+  /** Current time, refreshed every few seconds to hide expired edit/delete buttons */
+  const [now, setNow] = useState(() => Date.now());
+
   /** Ref used as a scroll anchor at the bottom of the messages list */
   const messagesEndRef = useRef(null);
+  /** The scrolling messages list, watched for scroll-up to load older pages */
+  const messagesContainerRef = useRef(null);
+  /** ID of the last message we scrolled down to */
+  const lastMessageIdRef = useRef(null);
+  /** Distance from the bottom to keep while older messages are prepended */
+  const scrollRestoreRef = useRef(null);
+  /** The text input, focused when the user picks a message to reply to */
+  const inputRef = useRef(null);
+  /** When we last emitted 'typing-start' (0 = not currently typing) */
+  const lastTypingSentRef = useRef(0);
+  /** Timeout that emits 'typing-stop' after TYPING_IDLE_MS without keystrokes */
+  const typingIdleRef = useRef(null);
+  /** Highest message ID we have reported as read */
+  const lastReadSentRef = useRef(0);
 
   // ---------------------------------------------------------------------------
   // Effects
   // ---------------------------------------------------------------------------
 
-  // Auto-scroll to bottom whenever a new message is added
-  useEffect(() => {
-    messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+  // Auto-scroll to bottom whenever a new message is added; when an older
+  // page was prepended instead, keep the view where it was
+  useLayoutEffect(() => {
+    const container = messagesContainerRef.current;
+    if (scrollRestoreRef.current !== null && container) {
+      container.scrollTop = container.scrollHeight - scrollRestoreRef.current;
+      scrollRestoreRef.current = null;
+    }
+    const lastId = messages.at(-1)?.id ?? null;
+    if (lastId !== lastMessageIdRef.current) {
+      lastMessageIdRef.current = lastId;
+      messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
+    }
   }, [messages]);
 
+  // Load the latest page of history (with its reactions and receipts).
+  // Anything that arrived over the socket in the meantime is kept after it.
+  useEffect(() => {
+    let cancelled = false;
+    api.getConversation(conversationId)
+      .then(data => {
+        if (cancelled) return;
+        const loadedIds = new Set(data.messages.map(m => m.id));
+        setMessages(prev => [...data.messages, ...prev.filter(m => !loadedIds.has(m.id))]);
+        setHasOlder(data.hasMore);
+        setEditWindowMs(data.editWindowSeconds * 1000);
+        setReactions(prev => ({ ...data.reactions, ...prev }));
+        setReceipts(prev => ({ ...Object.fromEntries(data.receipts.map(rc => [rc.userId, rc])), ...prev }));
+      })
+      .catch(err => console.error('Failed to load messages:', err));
+    return () => { cancelled = true; };
+  }, [conversationId]);
+
   // Join the socket room when the socket and roomId are available
   useEffect(() => {
     if (socket && roomId) {
@@ -116,6 +241,32 @@ export default function Chat() {
     }
   }, [socket, roomId]);
 
+  // Drop the pending 'typing-stop' timeout when leaving the page
+  useEffect(() => () => clearTimeout(typingIdleRef.current), []);
+
+  // Tick the clock that decides whether messages can still be edited
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 5000);
+    return () => clearInterval(interval);
+  }, []);
+
+  // Report the newest message from others as read whenever it changes while
+  // the page is visible, or when the page becomes visible again
+  useEffect(() => {
+    if (!socket) return;
+    function reportRead() {
+      if (document.visibilityState !== 'visible') return;
+      // Client-side system notices have no conversation_id and no real ID
+      const latest = messages.filter(m => m.conversation_id && m.sender_id !== user.id).at(-1);
+      if (!latest || latest.id <= lastReadSentRef.current) return;
+      lastReadSentRef.current = latest.id;
+      socket.emit('messages-read', { conversationId: parseInt(conversationId), messageId: latest.id });
+    }
+    reportRead();
+    document.addEventListener('visibilitychange', reportRead);
+    return () => document.removeEventListener('visibilitychange', reportRead);
+  }, [socket, messages, conversationId, user.id]);
+
   // ---------------------------------------------------------------------------
   // Socket event handlers
   // ---------------------------------------------------------------------------
@@ -128,25 +279,152 @@ export default function Chat() {
   const handleNewMessage = useCallback((msg) => {
     if (String(msg.conversation_id) === String(conversationId)) {
       setMessages(prev => [...prev, msg]);
+      setTypingUserIds(prev => prev.filter(id => id !== msg.sender_id));
+    }
+  }, [conversationId]);
+
+  /**
+   * Marks another participant as typing.
+   * @param {{ conversationId: number, userId: number }} param0
+   */
+  const handleTypingStart = useCallback(({ conversationId: typingConvId, userId }) => {
+    if (String(typingConvId) !== String(conversationId)) return;
+    setTypingUserIds(prev => (prev.includes(userId) ? prev : [...prev, userId]));
+  }, [conversationId]);
+
+  /**
+   * Clears another participant's typing indicator.
+   * @param {{ conversationId: number, userId: number }} param0
+   */
+  const handleTypingStop = useCallback(({ conversationId: typingConvId, userId }) => {
+    if (String(typingConvId) !== String(conversationId)) return;
+    setTypingUserIds(prev => prev.filter(id => id !== userId));
+  }, [conversationId]);
+
+  /**
+   * Records another member's updated delivery/read watermarks.
+   * @param {{ conversationId: number, userId: number, deliveredUpTo: number, readUpTo: number }} param0
+   */
+  const handleReceiptUpdated = useCallback(({ conversationId: receiptConvId, userId, deliveredUpTo, readUpTo }) => {
+    if (String(receiptConvId) !== String(conversationId)) return;
+    setReceipts(prev => ({ ...prev, [userId]: { deliveredUpTo, readUpTo } }));
+  }, [conversationId]);
+
+  /**
+   * Replaces a message's reactions with the server's current list.
+   * @param {{ conversationId: number, messageId: number, reactions: Array<{ emoji: string, userIds: number[] }> }} param0
+   */
+  const handleReactionUpdated = useCallback(({ conversationId: reactionConvId, messageId, reactions: list }) => {
+    if (String(reactionConvId) !== String(conversationId)) return;
+    setReactions(prev => ({ ...prev, [messageId]: list }));
+  }, [conversationId]);
+
+  /**
+   * Replaces an edited or deleted message. A deleted message can no longer
+   * be replied to or edited, so either in progress is dropped.
+   * @param {Object} msg - The updated message row.
+   */
+  const handleMessageUpdated = useCallback((msg) => {
+    if (String(msg.conversation_id) !== String(conversationId)) return;
+    setMessages(prev => prev.map(m => (m.id === msg.id ? msg : m)));
+    if (msg.deleted_at) {
+      setReplyingTo(current => (current?.id === msg.id ? null : current));
+      setEditingMessage(current => (current?.id === msg.id ? null : current));
     }
   }, [conversationId]);
 
   /**
    * Handles the server's timer-start event by starting the client-side countdown.
-   * @param {{ endTime: string }} param0 - Absolute ISO timestamp when the timer expires.
+   * @param {{ round: number, endTime: string, warningSeconds: number, serverTime: number }} param0 -
+   *   The round number, the absolute ISO timestamp when the timer expires, the timer profile's
+   *   warning threshold, and the server's clock when it was sent.
    */
-  const handleTimerStart = useCallback(({ endTime }) => {
-    startTimer(endTime);
+  const handleTimerStart = useCallback(({ round: newRound, endTime, warningSeconds, serverTime }) => {
+    noteServerTime(serverTime);
+    setRound(newRound);
+    setPause(null);
+    startTimer(endTime, warningSeconds);
   }, [startTimer]);
 
+  /**
+   * Handles the server's periodic timer-sync by correcting the countdown.
+   * @param {{ conversationId: number, endTime: string, serverTime: number }} data
+   */
+  const handleTimerSync = useCallback(({ conversationId: id, endTime, serverTime }) => {
+    if (String(id) !== String(conversationId)) return;
+    noteServerTime(serverTime);
+    syncTimer(endTime);
+  }, [conversationId, syncTimer]);
+
   /**
    * Handles timer expiration by showing the extension vote modal.
-   * Also used for the 'extension-prompt' event (same behavior).
+   * Also used for the 'extension-prompt' event, which adds the vote deadline.
+   * @param {{ deadline?: string, defaultVote?: string, serverTime?: number }} [data]
    */
-  const handleTimerExpired = useCallback(() => {
+  const handleTimerExpired = useCallback(({ deadline, defaultVote, serverTime } = {}) => {
+    if (deadline) {
+      noteServerTime(serverTime);
+      setVoteDeadline({ deadline, defaultVote });
+    }
     setShowExtension(true);
+    // Unanswered pause requests lapse with the round
+    setPauseRequestFrom(null);
+    setPauseRequested(false);
   }, []);
 
+  /**
+   * Handles someone else's pause request by offering accept / decline.
+   * @param {{ conversationId: number, userId: number }} param0
+   */
+  const handlePauseRequest = useCallback(({ conversationId: id, userId }) => {
+    if (String(id) !== String(conversationId)) return;
+    setPauseRequestFrom(userId);
+  }, [conversationId]);
+
+  /**
+   * Handles a declined pause request: clears it, and tells the requester.
+   * @param {{ conversationId: number, userId: number }} param0 - Who declined.
+   */
+  const handlePauseDeclined = useCallback(({ conversationId: id, userId }) => {
+    if (String(id) !== String(conversationId)) return;
+    setPauseRequestFrom(null);
+    if (!pauseRequested) return;
+    setPauseRequested(false);
+    const name = isGroup ? participants.find(p => p.id === userId)?.display_name || 'Someone' : 'Your partner';
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      message_type: 'system',
+      content: `${name} would rather keep going.`,
+      created_at: new Date().toISOString(),
+      sender_id: 0,
+    }]);
+  }, [conversationId, pauseRequested, isGroup, participants]);
+
+  /**
+   * Handles the server pausing the timer: freezes the countdown.
+   * @param {{ conversationId: number, remainingMs: number, resumeAt: string, serverTime: number, pausesLeft: number }} data
+   */
+  const handleTimerPaused = useCallback(({ conversationId: id, remainingMs, resumeAt, serverTime, pausesLeft: left }) => {
+    if (String(id) !== String(conversationId)) return;
+    noteServerTime(serverTime);
+    pauseTimer(remainingMs);
+    setPause({ resumeAt, seconds: Math.round((new Date(resumeAt).getTime() - serverTime) / 1000) });
+    setPausesLeft(left);
+    setPauseRequestFrom(null);
+    setPauseRequested(false);
+  }, [conversationId, pauseTimer]);
+
+  /**
+   * Handles the end of a pause by restarting the countdown.
+   * @param {{ conversationId: number, endTime: string, warningSeconds: number, serverTime: number }} data
+   */
+  const handleTimerResume = useCallback(({ conversationId: id, endTime, warningSeconds, serverTime }) => {
+    if (String(id) !== String(conversationId)) return;
+    noteServerTime(serverTime);
+    setPause(null);
+    startTimer(endTime, warningSeconds);
+  }, [conversationId, startTimer]);
+
   /**
    * Processes the server's resolved extension vote outcome.
    *
@@ -160,6 +438,7 @@ export default function Chat() {
   const handleExtensionResult = useCallback(({ result }) => {
     setShowExtension(false);
     setExtensionWaiting(false);
+    setVoteDeadline(null);
     if (result === 'photo_exchange') {
       setShowPhotoExchange(true);
     } else if (result === 'friends_forever') {
@@ -224,6 +503,23 @@ export default function Chat() {
     }]);
   }, []);
 
+  /**
+   * Handles a group member leaving (by vote or disconnect): marks them as
+   * gone and adds a system notice. The group carries on without them.
+   * @param {{ userId: number, reason?: string }} param0
+   */
+  const handleParticipantLeft = useCallback(({ userId, reason }) => {
+    const name = participants.find(p => p.id === userId)?.display_name || 'Someone';
+    setParticipants(prev => prev.map(p => (p.id === userId ? { ...p, left: true } : p)));
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      message_type: 'system',
+      content: `${name} left the group${reason ? ` (${reason.toLowerCase()})` : ''}.`,
+      created_at: new Date().toISOString(),
+      sender_id: 0,
+    }]);
+  }, [participants]);
+
   /**
    * Handles the notification that the partner has submitted their vote.
    * Transitions the extension modal to a "waiting" state.
@@ -233,19 +529,50 @@ export default function Chat() {
   }, []);
 
   /**
-   * Handles conversation rejoin after a reconnection. Restores the roomId
-   * and partner info if they were lost during the disconnection.
-   * @param {{ roomId: string, partnerId: number }} data
+   * Handles conversation rejoin after a reconnection (or a server restart).
+   * Restores the roomId and partner (or group member) info if they were
+   * lost during the disconnection, then picks the conversation up where it
+   * stands: the countdown, the extension vote or the photo exchange.
+   * @param {{ roomId: string, status: string, partnerId: number|null, isGroup: boolean, participants: Array<Object>, timerEnd: string|null, round: number, timerWarningSeconds: number, pause: { remainingMs: number, resumeAt: string, serverTime: number }|null, pausesLeft: number, voteDeadline: string|null, defaultVote: string, photoExchange: { photos: Array<Object>|null, rated: boolean }|null }} data
    */
   const handleRejoin = useCallback((data) => {
     setRoomId(data.roomId);
-    // Only set partner if not already known (preserve richer data from initial match)
-    setPartner(prev => prev || { id: data.partnerId });
-  }, []);
+    setIsGroup(!!data.isGroup);
+    if (data.isGroup) {
+      setParticipants(data.participants || []);
+    } else {
+      // Prefer the full profile from the participant list, but keep richer
+      // data from the initial match if we already have it
+      const fromList = data.participants?.find(p => p.id === data.partnerId);
+      setPartner(prev => prev || fromList || { id: data.partnerId });
+    }
+
+    setRound(data.round);
+    setPausesLeft(data.pausesLeft);
+    if (data.status === 'active' && data.pause) {
+      const { remainingMs, resumeAt, serverTime } = data.pause;
+      noteServerTime(serverTime);
+      pauseTimer(remainingMs, data.timerWarningSeconds);
+      setPause({ resumeAt, seconds: Math.round((new Date(resumeAt).getTime() - serverTime) / 1000) });
+    } else if (data.status === 'active' && data.timerEnd) {
+      startTimer(data.timerEnd, data.timerWarningSeconds);
+    } else if (data.status === 'extension_pending') {
+      if (data.voteDeadline) setVoteDeadline({ deadline: data.voteDeadline, defaultVote: data.defaultVote });
+      setShowExtension(true);
+    } else if (data.status === 'photo_exchange' && data.photoExchange && !data.photoExchange.rated) {
+      if (data.photoExchange.photos) {
+        setPhotoExchangeData(data.photoExchange.photos);
+        setShowRating(true);
+      } else {
+        setShowPhotoExchange(true);
+      }
+    }
+  }, [startTimer, pauseTimer]);
 
   // -- Register all socket event listeners --
   useSocketEvent(socket, 'new-message', handleNewMessage);
   useSocketEvent(socket, 'timer-start', handleTimerStart);
+  useSocketEvent(socket, 'timer-sync', handleTimerSync);
   useSocketEvent(socket, 'timer-expired', handleTimerExpired);
   useSocketEvent(socket, 'extension-prompt', handleTimerExpired); // Alias for timer-expired
   useSocketEvent(socket, 'extension-result', handleExtensionResult);
@@ -253,53 +580,183 @@ export default function Chat() {
   useSocketEvent(socket, 'friends-forever-confirmed', handleFriendsForeverConfirmed);
   useSocketEvent(socket, 'conversation-closed', handleConversationClosed);
   useSocketEvent(socket, 'partner-disconnected', handlePartnerDisconnected);
+  useSocketEvent(socket, 'participant-left', handleParticipantLeft);
   useSocketEvent(socket, 'vote-received', handleVoteReceived);
   useSocketEvent(socket, 'rejoin-conversation', handleRejoin);
+  useSocketEvent(socket, 'typing-start', handleTypingStart);
+  useSocketEvent(socket, 'typing-stop', handleTypingStop);
+  useSocketEvent(socket, 'receipt-updated', handleReceiptUpdated);
+  useSocketEvent(socket, 'reaction-updated', handleReactionUpdated);
+  useSocketEvent(socket, 'message-updated', handleMessageUpdated);
+  useSocketEvent(socket, 'request-pause', handlePauseRequest);
+  useSocketEvent(socket, 'pause-declined', handlePauseDeclined);
+  useSocketEvent(socket, 'timer-paused', handleTimerPaused);
+  useSocketEvent(socket, 'timer-resume', handleTimerResume);
 
   // ---------------------------------------------------------------------------
   // User action handlers
   // ---------------------------------------------------------------------------
 
+  /**
+   * Shows a failed action to the user as a client-side system message.
+   * @param {string} action - What failed, e.g. "Message not sent".
+   * @param {Error} err - The error from emitWithAck.
+   */
+  function showActionError(action, err) {
+    setMessages(prev => [...prev, {
+      id: Date.now(),
+      message_type: 'system',
+      content: `${action}: ${err.message}`,
+      created_at: new Date().toISOString(),
+      sender_id: 0,
+    }]);
+  }
+
+  /**
+   * Tells the others we stopped typing, if we had told them we started.
+   */
+  function stopTypingSignal() {
+    clearTimeout(typingIdleRef.current);
+    if (lastTypingSentRef.current && socket) {
+      socket.emit('typing-stop');
+    }
+    lastTypingSentRef.current = 0;
+  }
+
+  /**
+   * Updates the input and drives the typing indicator: 'typing-start' is
+   * emitted at most every TYPING_THROTTLE_MS while the user types, and
+   * 'typing-stop' once the input is cleared or after TYPING_IDLE_MS idle.
+   * @param {string} value - The new input value.
+   */
+  function handleInputChange(value) {
+    setInput(value);
+    if (!socket || chatClosed) return;
+    if (!value.trim()) {
+      stopTypingSignal();
+      return;
+    }
+    const now = Date.now();
+    if (now - lastTypingSentRef.current >= TYPING_THROTTLE_MS) {
+      socket.emit('typing-start', { conversationId: parseInt(conversationId) });
+      lastTypingSentRef.current = now;
+    }
+    clearTimeout(typingIdleRef.current);
+    typingIdleRef.current = setTimeout(stopTypingSignal, TYPING_IDLE_MS);
+  }
+
   /**
    * Sends a text message via socket. Guards against empty input, missing
-   * socket, or a closed chat.
+   * socket, or a closed chat, and checks the text with the same rules the
+   * server applies (shared/validation.js). If the server rejects the message, the text
+   * is put back in the input (unless the user has started typing again).
    * @param {React.FormEvent<HTMLFormElement>} e - The form submit event.
    */
-  function sendMessage(e) {
+  async function sendMessage(e) {
     e.preventDefault();
     if (!input.trim() || !socket || chatClosed) return;
-    socket.emit('send-message', { conversationId: parseInt(conversationId), content: input.trim() });
+    if (editingMessage) return saveEdit();
+    const { value: content, error } = validateMessageText(input);
+    if (error) return showActionError('Message not sent', error);
+    const replyTo = replyingTo;
     setInput('');
+    setReplyingTo(null);
+    // The server clears our indicator when the message arrives
+    clearTimeout(typingIdleRef.current);
+    lastTypingSentRef.current = 0;
+    try {
+      await emitWithAck(socket, 'send-message', {
+        conversationId: parseInt(conversationId),
+        content,
+        replyToId: replyTo?.id,
+      });
+    } catch (err) {
+      setInput(current => current || content);
+      setReplyingTo(current => current || replyTo);
+      showActionError('Message not sent', err);
+    }
   }
 
   /**
    * Stops the voice recording, uploads the resulting blob to the server,
-   * and emits a voice note message via socket with the returned URL.
+   * and emits a voice note message via socket with the returned URL. The
+   * duration is checked against the server's limit before anything is uploaded.
    */
   async function handleVoiceStop() {
     const result = await stopRecording();
     if (!result) return;
+    const { error } = validateVoiceDuration(result.duration);
+    if (error) return showActionError('Voice note not sent', error);
     const formData = new FormData();
     formData.append('voice', result.blob, 'voice.webm');
     try {
       const data = await api.uploadVoice(formData);
-      socket.emit('send-voice-note', {
+      await emitWithAck(socket, 'send-voice-note', {
         conversationId: parseInt(conversationId),
         voiceUrl: data.url,
         duration: result.duration,
+        replyToId: replyingTo?.id,
       });
+      setReplyingTo(null);
     } catch (err) {
       console.error('Voice upload failed:', err);
+      showActionError('Voice note not sent', err);
     }
   }
 
   /**
-   * Submits the user's extension vote and transitions to the waiting state.
+   * Submits the user's extension vote and transitions to the waiting state
+   * (reverting it if the vote is rejected).
    * @param {'extend'|'friends_forever'|'leave'} vote - The user's chosen option.
    */
-  function handleExtensionVote(vote) {
-    socket.emit('extension-vote', { conversationId: parseInt(conversationId), vote });
+  async function handleExtensionVote(vote) {
     setExtensionWaiting(true);
+    try {
+      await emitWithAck(socket, 'extension-vote', { conversationId: parseInt(conversationId), vote });
+    } catch (err) {
+      setExtensionWaiting(false);
+      showActionError('Vote not counted', err);
+    }
+  }
+
+  /**
+   * Asks the others to pause the timer. The button stays hidden until they
+   * answer (or the request is rejected).
+   */
+  async function requestPause() {
+    setPauseRequested(true);
+    try {
+      const data = await emitWithAck(socket, 'request-pause', { conversationId: parseInt(conversationId) });
+      setPausesLeft(data.pausesLeft);
+    } catch (err) {
+      setPauseRequested(false);
+      if (err.details?.pausesLeft === 0) setPausesLeft(0);
+      showActionError('Pause not requested', err);
+    }
+  }
+
+  /**
+   * Answers someone else's pause request.
+   * @param {boolean} accept - True to pause the timer, false to keep going.
+   */
+  async function respondToPause(accept) {
+    setPauseRequestFrom(null);
+    try {
+      await emitWithAck(socket, 'respond-pause', { conversationId: parseInt(conversationId), accept });
+    } catch (err) {
+      showActionError(accept ? 'Timer not paused' : 'Answer not sent', err);
+    }
+  }
+
+  /**
+   * Ends the running pause early; the countdown continues on 'timer-resume'.
+   */
+  async function resumeTimer() {
+    try {
+      await emitWithAck(socket, 'timer-resume', { conversationId: parseInt(conversationId) });
+    } catch (err) {
+      showActionError('Timer not resumed', err);
+    }
   }
 
   /**
@@ -310,29 +767,216 @@ export default function Chat() {
   async function handlePhotoSubmit(file) {
     const formData = new FormData();
     formData.append('photo', file);
-    const data = await api.uploadPhoto(formData);
-    socket.emit('photo-exchange-submit', {
-      conversationId: parseInt(conversationId),
-      photoUrl: data.url,
-    });
+    try {
+      const data = await api.uploadPhoto(formData);
+      await emitWithAck(socket, 'photo-exchange-submit', {
+        conversationId: parseInt(conversationId),
+        photoUrl: data.url,
+      });
+    } catch (err) {
+      showActionError('Photo not submitted', err);
+      throw err;
+    }
   }
 
   /**
-   * Submits the user's star rating for the partner's photo and closes
-   * all photo exchange modals.
-   * @param {number} score - The 1-5 star rating.
+   * Submits the user's star ratings for the other participants' photos and
+   * closes all photo exchange modals.
+   * @param {Object.<number, number>} scores - 1-5 star rating keyed by the rated user's ID.
    */
-  function handleRatingSubmit(score) {
-    socket.emit('rate-photo', { conversationId: parseInt(conversationId), score });
+  function handleRatingSubmit(scores) {
+    for (const [ratedId, score] of Object.entries(scores)) {
+      emitWithAck(socket, 'rate-photo', { conversationId: parseInt(conversationId), ratedId: Number(ratedId), score })
+        .catch(err => {
+          // A repeat rating (e.g. after a reconnect) is harmless
+          if (err.code !== 'DUPLICATE') showActionError('Rating not saved', err);
+        });
+    }
     setShowRating(false);
     setShowPhotoExchange(false);
     setPhotoExchangeData(null);
   }
 
+  /**
+   * Adds the user's reaction to a message, or removes it if they already
+   * reacted with that emoji.
+   * @param {number} messageId
+   * @param {string} emoji - One of REACTION_EMOJIS.
+   */
+  async function toggleReaction(messageId, emoji) {
+    setReactionPickerFor(null);
+    const mine = reactions[messageId]?.find(r => r.emoji === emoji)?.userIds.includes(user.id);
+    try {
+      const data = await emitWithAck(socket, mine ? 'remove-reaction' : 'add-reaction', {
+        conversationId: parseInt(conversationId), messageId, emoji,
+      });
+      setReactions(prev => ({ ...prev, [messageId]: data.reactions }));
+    } catch (err) {
+      // Already there (e.g. a double click) -- the broadcast shows it anyway
+      if (err.code !== 'DUPLICATE') showActionError('Reaction not saved', err);
+    }
+  }
+
+  /**
+   * Fetches the page of messages before the oldest one loaded and
+   * prepends it, keeping the scroll position.
+   */
+  async function loadOlderMessages() {
+    const oldest = messages.find(m => m.conversation_id);
+    if (!oldest || loadingOlder) return;
+    setLoadingOlder(true);
+    try {
+      const data = await api.getConversation(conversationId, { before: oldest.id });
+      const container = messagesContainerRef.current;
+      scrollRestoreRef.current = container.scrollHeight - container.scrollTop;
+      setMessages(prev => [...data.messages, ...prev]);
+      setReactions(prev => ({ ...data.reactions, ...prev }));
+      setHasOlder(data.hasMore);
+    } catch (err) {
+      console.error('Failed to load older messages:', err);
+    } finally {
+      setLoadingOlder(false);
+    }
+  }
+
+  /**
+   * Loads older messages once the user scrolls near the top of the list.
+   * @param {React.UIEvent<HTMLDivElement>} e
+   */
+  function handleMessagesScroll(e) {
+    if (hasOlder && e.currentTarget.scrollTop < 80) loadOlderMessages();
+  }
+
+  /**
+   * Picks a message to reply to with the next text or voice message.
+   * @param {Object} msg
+   */
+  function startReply(msg) {
+    setEditingMessage(null);
+    setReplyingTo(msg);
+    inputRef.current?.focus();
+  }
+
+  /**
+   * Loads one of the user's own messages into the input for editing.
+   * @param {Object} msg
+   */
+  function startEdit(msg) {
+    setReplyingTo(null);
+    setEditingMessage(msg);
+    setInput(msg.content);
+    inputRef.current?.focus();
+  }
+
+  /** Leaves edit mode without saving. */
+  function cancelEdit() {
+    setEditingMessage(null);
+    setInput('');
+  }
+
+  /**
+   * Sends the input as the new text of the message being edited. On
+   * failure the edit is put back so the user can retry.
+   */
+  async function saveEdit() {
+    const { value: content, error } = validateMessageText(input);
+    if (error) return showActionError('Edit not saved', error);
+    const target = editingMessage;
+    setInput('');
+    setEditingMessage(null);
+    stopTypingSignal();
+    try {
+      await emitWithAck(socket, 'edit-message', {
+        conversationId: parseInt(conversationId),
+        messageId: target.id,
+        content,
+      });
+    } catch (err) {
+      setInput(current => current || content);
+      setEditingMessage(current => current || target);
+      showActionError('Edit not saved', err);
+    }
+  }
+
+  /**
+   * Unsends one of the user's own messages after confirmation.
+   * @param {Object} msg
+   */
+  async function unsendMessage(msg) {
+    if (!window.confirm('Delete this message for everyone?')) return;
+    try {
+      await emitWithAck(socket, 'delete-message', { conversationId: parseInt(conversationId), messageId: msg.id });
+    } catch (err) {
+      showActionError('Message not deleted', err);
+    }
+  }
+
+  /**
+   * Whether the user may still edit or delete a message: their own,
+   * not deleted, and sent within the server's edit window.
+   * @param {Object} msg
+   * @returns {boolean}
+   */
+  function canChangeMessage(msg) {
+    if (msg.sender_id !== user.id || msg.deleted_at) return false;
+    // created_at is SQLite's UTC "YYYY-MM-DD HH:MM:SS"
+    const sentAt = Date.parse(msg.created_at.replace(' ', 'T') + 'Z');
+    return now - sentAt < editWindowMs;
+  }
+
+  /**
+   * Scrolls the original of a quoted message into view.
+   * @param {number} messageId
+   */
+  function scrollToMessage(messageId) {
+    document.getElementById(`message-${messageId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
   // ---------------------------------------------------------------------------
   // Display helpers
   // ---------------------------------------------------------------------------
 
+  /**
+   * Builds the banner text explaining which trauma category brought the
+   * pair together.
+   * @param {{ affinity: 'same'|'complementary'|null, category: string|null, partnerCategory: string|null }|null} match
+   * @returns {string|null} Banner text, or null for a FIFO fallback match.
+   */
+  function describeTraumaMatch(match) {
+    if (!match?.affinity) return null;
+    if (match.affinity === 'same') {
+      return `You were matched over shared ${match.category} trauma.`;
+    }
+    return `Matched on complementary trauma: your ${match.category}, their ${match.partnerCategory}.`;
+  }
+
+  /**
+   * Looks up a group member by user ID.
+   * @param {number} id - The member's user ID.
+   * @returns {Object|undefined} The participant, if known.
+   */
+  function findParticipant(id) {
+    return participants.find(p => p.id === id);
+  }
+
+  /**
+   * Renders a small circular avatar: the user's photo, or the first letter
+   * of their name as a fallback.
+   * @param {{ photo_url?: string|null, display_name?: string }|undefined} person
+   * @param {string} className - CSS class for the avatar container.
+   * @returns {React.ReactElement}
+   */
+  function renderAvatar(person, className) {
+    return (
+      <div className={className}>
+        {person?.photo_url
+          ? <img src={person.photo_url} alt="" style={{width:'100%',height:'100%',borderRadius:'50%',objectFit:'cover'}} />
+          : (person?.display_name?.[0] || '?')
+        }
+      </div>
+    );
+  }
+
   /**
    * Formats a number of seconds into a "M:SS" countdown string.
    * @param {number|null} seconds - Seconds remaining, or null for no active timer.
@@ -354,67 +998,274 @@ export default function Chat() {
     return new Date(ts).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
   }
 
+  /**
+   * Builds the header's typing line: "Stranger is typing…" in a pair, the
+   * typists' names in a group, or null when nobody is typing.
+   * @returns {string|null}
+   */
+  function describeTyping() {
+    if (typingUserIds.length === 0) return null;
+    if (!isGroup) return 'Stranger is typing…';
+    const names = typingUserIds.map(id => findParticipant(id)?.display_name || 'Someone');
+    if (names.length === 1) return `${names[0]} is typing…`;
+    if (names.length === 2) return `${names[0]} and ${names[1]} are typing…`;
+    return 'Several people are typing…';
+  }
+
+  const typingStatus = describeTyping();
+
+  /**
+   * Describes a message for a reply quote: who sent it and a one-line
+   * snippet of what it said.
+   * @param {Object|undefined} msg - The quoted message, if it is loaded.
+   * @returns {{ name: string, snippet: string }}
+   */
+  function describeQuote(msg) {
+    if (!msg) return { name: '', snippet: 'Earlier message' };
+    if (msg.deleted_at) return { name: '', snippet: 'Message deleted' };
+    const name = msg.sender_id === user.id ? 'You'
+      : isGroup ? findParticipant(msg.sender_id)?.display_name || 'Someone'
+      : partner?.display_name || 'Stranger';
+    const snippet = msg.message_type === 'voice' ? `🎤 Voice note (${msg.voice_duration}s)` : msg.content;
+    return { name, snippet };
+  }
+
+  /**
+   * Works out the receipt state of one of the user's own messages. In a
+   * group a message only counts as delivered/read once every remaining
+   * member has reached it.
+   * @param {Object} msg - A message sent by the user.
+   * @returns {'sent'|'delivered'|'read'}
+   */
+  function receiptState(msg) {
+    const others = isGroup
+      ? participants.filter(p => !p.left && p.id !== user.id).map(p => p.id)
+      : [partner?.id];
+    const reached = field => others.every(id => (receipts[id]?.[field] || 0) >= msg.id);
+    if (reached('readUpTo')) return 'read';
+    if (reached('deliveredUpTo')) return 'delivered';
+    return 'sent';
+  }
+
   // ---------------------------------------------------------------------------
   // Render
   // ---------------------------------------------------------------------------
   return (
     <div className="chat-page">
-      {/* -- Header: partner info + timer -- */}
+      {/* -- Header: partner (or group member) info + timer -- */}
       <div className="chat-header">
-        <div className="partner-avatar">
-          {/* Show partner photo or first letter of their name as fallback */}
-          {partner?.photo_url
-            ? <img src={partner.photo_url} alt="" style={{width:'100%',height:'100%',borderRadius:'50%',objectFit:'cover'}} />
-            : (partner?.display_name?.[0] || '?')
-          }
-        </div>
-        <div className="partner-info">
-          <div className="partner-name">{partner?.display_name || 'Stranger'}</div>
-          <div className="partner-status">
-            {chatClosed ? 'Disconnected' : isFriendsForever ? 'Friends Forever' : 'Connected'}
-          </div>
-        </div>
-        {/* Timer display: "FOREVER" when friends, countdown when timed, hidden otherwise */}
+        {isGroup ? (
+          <>
+            <div className="group-avatars">
+              {participants.filter(p => !p.left).map(p => (
+                <span key={p.id}>{renderAvatar(p, 'partner-avatar')}</span>
+              ))}
+            </div>
+            <div className="partner-info">
+              <div className="partner-name">Group Session</div>
+              <div className={`partner-status${typingStatus ? ' typing' : ''}`}>
+                {chatClosed ? 'Disconnected' : typingStatus || (isFriendsForever ? 'Friends Forever' :
+                  participants.filter(p => !p.left).map(p => p.id === user.id ? 'You' : p.display_name).join(', '))}
+              </div>
+            </div>
+          </>
+        ) : (
+          <>
+            {/* Show partner photo or first letter of their name as fallback */}
+            {renderAvatar(partner, 'partner-avatar')}
+            <div className="partner-info">
+              <div className="partner-name">{partner?.display_name || 'Stranger'}</div>
+              <div className={`partner-status${typingStatus ? ' typing' : ''}`}>
+                {chatClosed ? 'Disconnected' : typingStatus || (isFriendsForever ? 'Friends Forever' : 'Connected')}
+              </div>
+            </div>
+          </>
+        )}
+        {/* Timer display: "FOREVER" when friends, round + countdown when timed, hidden otherwise */}
         {isFriendsForever ? (
           <div className="timer-display friends">FOREVER</div>
         ) : secondsLeft !== null ? (
-          <div className={`timer-display ${isWarning ? 'warning' : ''}`}>
-            {formatTime(secondsLeft)}
+          <div className={`timer-display ${pause ? 'paused' : isWarning ? 'warning' : ''}`}>
+            {round && `Round ${round} · `}{pause && 'Paused '}{formatTime(secondsLeft)}
           </div>
         ) : null}
+        {/* Pause button: while the countdown runs, nobody has asked yet and pauses are left */}
+        {!chatClosed && !isFriendsForever && !pause && !pauseRequested && pauseRequestFrom === null
+          && secondsLeft > 0 && pausesLeft !== 0 && (
+          <button className="pause-btn" onClick={requestPause} title="Ask to pause the timer">Hold on</button>
+        )}
       </div>
 
       {/* -- Messages list -- */}
-      <div className="messages-container">
-        {messages.map(msg => (
-          <div
-            key={msg.id}
-            className={`message-bubble ${
-              // Three bubble styles: system (centered), sent (right), received (left)
-              msg.message_type === 'system' ? 'system' :
-              msg.sender_id === user.id ? 'sent' : 'received'
-            }`}
-          >
-            {/* Voice messages render an audio player; text/system messages render content */}
-            {msg.message_type === 'voice' ? (
-              <div className="voice-note">
-                <audio controls src={msg.voice_url} style={{height:32,width:'100%'}} />
-                <span className="voice-duration">{msg.voice_duration}s</span>
-              </div>
-            ) : (
-              <div>{msg.content}</div>
-            )}
-            {/* Timestamp is hidden for system messages */}
-            {msg.message_type !== 'system' && (
-              <div className="message-time">{formatMsgTime(msg.created_at)}</div>
-            )}
-          </div>
-        ))}
+      <div className="messages-container" ref={messagesContainerRef} onScroll={handleMessagesScroll}>
+        {/* Older history: loaded on scroll-up, or with this button if the list doesn't scroll yet */}
+        {hasOlder && (
+          <button className="load-older" onClick={loadOlderMessages} disabled={loadingOlder}>
+            {loadingOlder ? 'Loading…' : 'Load earlier messages'}
+          </button>
+        )}
+        {describeTraumaMatch(traumaMatch) && (
+          <div className="trauma-match-banner">{describeTraumaMatch(traumaMatch)}</div>
+        )}
+        {messages.map(msg => {
+          const quote = msg.reply_to_id && describeQuote(messages.find(m => m.id === msg.reply_to_id));
+          const bubble = (
+            <div
+              key={msg.id}
+              id={msg.conversation_id ? `message-${msg.id}` : undefined}
+              className={`message-bubble ${
+                // Three bubble styles: system (centered), sent (right), received (left)
+                msg.message_type === 'system' ? 'system' :
+                msg.sender_id === user.id ? 'sent' : 'received'
+              }`}
+            >
+              {/* In a group, received messages are labelled with the sender's name */}
+              {isGroup && msg.message_type !== 'system' && msg.sender_id !== user.id && (
+                <div className="message-sender">{findParticipant(msg.sender_id)?.display_name || 'Someone'}</div>
+              )}
+              {/* Quoted snippet of the message this one replies to; click to jump there */}
+              {quote && !msg.deleted_at && (
+                <div className="reply-quote" onClick={() => scrollToMessage(msg.reply_to_id)}>
+                  {quote.name && <div className="reply-quote-name">{quote.name}</div>}
+                  <div className="reply-quote-text">{quote.snippet}</div>
+                </div>
+              )}
+              {/* Deleted messages leave a tombstone; voice messages render an audio
+                  player; text/system messages render content */}
+              {msg.deleted_at ? (
+                <div className="message-deleted">This message was deleted</div>
+              ) : msg.message_type === 'voice' ? (
+                <div className="voice-note">
+                  <audio controls src={msg.voice_url} style={{height:32,width:'100%'}} />
+                  <span className="voice-duration">{msg.voice_duration}s</span>
+                </div>
+              ) : (
+                <div>{msg.content}</div>
+              )}
+              {/* Timestamp is hidden for system messages */}
+              {msg.message_type !== 'system' && (
+                <div className="message-time">
+                  {msg.edited_at && !msg.deleted_at && <span className="message-edited">edited </span>}
+                  {formatMsgTime(msg.created_at)}
+                  {/* Ticks on our own messages: ✓ sent, ✓✓ delivered, blue ✓✓ read */}
+                  {msg.sender_id === user.id && (() => {
+                    const state = receiptState(msg);
+                    return (
+                      <span className={`message-ticks ${state}`} title={state[0].toUpperCase() + state.slice(1)}>
+                        {state === 'sent' ? '✓' : '✓✓'}
+                      </span>
+                    );
+                  })()}
+                </div>
+              )}
+              {/* Reaction chips (ours highlighted), the emoji picker and message
+                  actions; server messages only, and none on a deleted one */}
+              {msg.message_type !== 'system' && msg.conversation_id && !msg.deleted_at && (
+                <div className="message-reactions">
+                  {(reactions[msg.id] || []).map(({ emoji, userIds }) => (
+                    <button
+                      key={emoji}
+                      className={`reaction-chip${userIds.includes(user.id) ? ' mine' : ''}`}
+                      onClick={() => toggleReaction(msg.id, emoji)}
+                      disabled={chatClosed}
+                    >
+                      {emoji} {userIds.length}
+                    </button>
+                  ))}
+                  {!chatClosed && (
+                    <>
+                      <button
+                        className="message-action"
+                        onClick={() => setReactionPickerFor(reactionPickerFor === msg.id ? null : msg.id)}
+                        title="React"
+                      >
+                        +
+                      </button>
+                      <button className="message-action" onClick={() => startReply(msg)} title="Reply">
+                        ↩
+                      </button>
+                      {canChangeMessage(msg) && (
+                        <>
+                          {msg.message_type === 'text' && (
+                            <button className="message-action" onClick={() => startEdit(msg)} title="Edit">
+                              ✎
+                            </button>
+                          )}
+                          <button className="message-action" onClick={() => unsendMessage(msg)} title="Delete">
+                            🗑
+                          </button>
+                        </>
+                      )}
+                    </>
+                  )}
+                  {reactionPickerFor === msg.id && (
+                    <div className="reaction-picker">
+                      {REACTION_EMOJIS.map(emoji => (
+                        <button key={emoji} onClick={() => toggleReaction(msg.id, emoji)}>{emoji}</button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+              )}
+            </div>
+          );
+          // Group messages from others get the sender's avatar alongside
+          if (!isGroup || msg.message_type === 'system' || msg.sender_id === user.id) return bubble;
+          return (
+            <div key={msg.id} className="group-message">
+              {renderAvatar(findParticipant(msg.sender_id), 'sender-avatar')}
+              {bubble}
+            </div>
+          );
+        })}
         {/* Invisible anchor element for auto-scrolling to bottom */}
         <div ref={messagesEndRef} />
       </div>
 
+      {/* -- Pause banner: a request to answer, our own pending request, or the running pause -- */}
+      {!chatClosed && !isFriendsForever && (pause || pauseRequested || pauseRequestFrom !== null) && (
+        <div className="pause-banner">
+          {pause ? (
+            <>
+              <span>Timer paused for up to {pause.seconds}s.</span>
+              <button onClick={resumeTimer}>Resume now</button>
+            </>
+          ) : pauseRequestFrom !== null ? (
+            <>
+              <span>
+                {isGroup ? findParticipant(pauseRequestFrom)?.display_name || 'Someone' : partner?.display_name || 'Your partner'}
+                {' '}needs a minute. Pause the timer?
+              </span>
+              <button onClick={() => respondToPause(true)}>Pause</button>
+              <button className="secondary" onClick={() => respondToPause(false)}>Keep going</button>
+            </>
+          ) : (
+            <span>Waiting for an answer to your pause request…</span>
+          )}
+        </div>
+      )}
+
       {/* -- Input area: text input + voice recording (hidden when chat is closed) -- */}
+      {/* -- Reply preview: the message being replied to, with a cancel button -- */}
+      {!chatClosed && replyingTo && (
+        <div className="reply-preview">
+          <div className="reply-quote">
+            <div className="reply-quote-name">Replying to {describeQuote(replyingTo).name}</div>
+            <div className="reply-quote-text">{describeQuote(replyingTo).snippet}</div>
+          </div>
+          <button className="cancel-reply" onClick={() => setReplyingTo(null)} title="Cancel reply">×</button>
+        </div>
+      )}
+      {!chatClosed && editingMessage && (
+        <div className="reply-preview">
+          <div className="reply-quote">
+            <div className="reply-quote-name">Editing message</div>
+            <div className="reply-quote-text">{editingMessage.content}</div>
+          </div>
+          <button className="cancel-reply" onClick={cancelEdit} title="Cancel edit">×</button>
+        </div>
+      )}
+
       {!chatClosed && (
         <div className="chat-input-area">
           {isRecording ? (
@@ -436,9 +1287,11 @@ export default function Chat() {
               </button>
               <form onSubmit={sendMessage} style={{display:'flex',flex:1,gap:8}}>
                 <input
+                  ref={inputRef}
                   value={input}
-                  onChange={e => setInput(e.target.value)}
+                  onChange={e => handleInputChange(e.target.value)}
                   placeholder="Type a message..."
+                  maxLength={MESSAGE_MAX_LENGTH}
                 />
                 <button className="send-btn" type="submit" disabled={!input.trim()}>
                   &gt;
@@ -465,7 +1318,11 @@ export default function Chat() {
 
       {/* Extension vote modal (user has not voted yet) */}
       {showExtension && !extensionWaiting && (
-        <ExtensionModal onVote={handleExtensionVote} />
+        <ExtensionModal
+          onVote={handleExtensionVote}
+          deadline={voteDeadline?.deadline}
+          defaultVote={voteDeadline?.defaultVote}
+        />
       )}
 
       {/* Extension waiting modal (user voted, waiting for partner) */}
@@ -473,7 +1330,7 @@ export default function Chat() {
         <div className="modal-overlay">
           <div className="modal">
             <h2>Waiting...</h2>
-            <p>Waiting for your partner to decide...</p>
+            <p>{isGroup ? 'Waiting for the others to decide...' : 'Waiting for your partner to decide...'}</p>
           </div>
         </div>
       )}
@@ -484,6 +1341,7 @@ export default function Chat() {
           onSubmit={handlePhotoSubmit}
           photos={null}
           onRate={null}
+          isGroup={isGroup}
         />
       )}
 
@@ -494,6 +1352,8 @@ export default function Chat() {
           photos={photoExchangeData}
           onRate={handleRatingSubmit}
           currentUserId={user.id}
+          isGroup={isGroup}
+          participants={participants}
         />
       )}
 
@@ -3,19 +3,39 @@
  * @description Main lobby page -- the home screen for authenticated users.
  *
  * Displays the user's point total and provides the primary "Find Someone"
- * call-to-action that navigates to the matching queue. Also offers navigation
- * to the profile page and a logout button.
+ * call-to-action that navigates to the matching queue, plus a "Group Session"
+ * button that queues for a 3-6 person group therapy room instead. The timer
+ * profile picker (speed round, standard or marathon, as listed by the server)
+ * sets how long the conversation's timer runs; only users who picked the same
+ * one are matched.
+ * Also offers a match preferences panel, navigation to the profile page, and
+ * a logout button.
  */
 
+import { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { api } from '../api';
 import { useAuth } from '../hooks/useAuth';
+import MatchPreferencesPanel from '../components/MatchPreferencesPanel';
+
+/**
+ * Describes a timer profile's duration as an adjective, e.g. "3-minute"
+ * or "45-second".
+ *
+ * @param {number} seconds - The profile's duration.
+ * @returns {string}
+ */
+function describeDuration(seconds) {
+  return seconds % 60 === 0 ? `${seconds / 60}-minute` : `${seconds}-second`;
+}
 
 /**
  * Lobby page component.
  *
  * A simple landing area after login/onboarding that serves as the main hub.
- * The user can start a new conversation (Find Someone), view their profile,
- * or log out.
+ * The user can pick a timer profile, start a new conversation (Find Someone),
+ * join a group session, edit their match preferences, view their profile, or
+ * log out.
  *
  * @component
  * @returns {React.ReactElement} The lobby UI.
@@ -23,6 +43,25 @@ import { useAuth } from '../hooks/useAuth';
 export default function Lobby() {
   const { user, logout } = useAuth();
   const navigate = useNavigate();
+  /** Whether the match preferences panel is expanded */
+  const [showPreferences, setShowPreferences] = useState(false);
+  /** The timer profiles served by the server, in display order */
+  const [timerProfiles, setTimerProfiles] = useState([]);
+  /** The timer profile key to queue with (the server's default until loaded) */
+  const [timerProfile, setTimerProfile] = useState(undefined);
+  const profile = timerProfiles.find(p => p.key === timerProfile);
+
+  // Load the profiles and preselect the server's default
+  useEffect(() => {
+    api.getTimerProfiles()
+      .then(({ profiles, defaultProfile }) => {
+        setTimerProfiles(profiles);
+        setTimerProfile(current => current ?? defaultProfile);
+      })
+      // Without the list there is nothing to pick; queueing still works,
+      // as the server falls back to its default profile.
+      .catch(() => {});
+  }, []);
 
   return (
     <div className="lobby">
@@ -36,14 +75,36 @@ export default function Lobby() {
         <div>
           <h2 style={{fontSize:24,marginBottom:8}}>Ready to connect?</h2>
           <p style={{color:'var(--text-secondary)',maxWidth:300}}>
-            You'll be paired with a random stranger for a 3-minute timed conversation. No pressure. Just trauma.
+            You'll be paired with a random stranger for a {profile ? `${describeDuration(profile.seconds)} ` : ''}timed conversation. No pressure. Just trauma.
           </p>
         </div>
-        <button className="find-btn" onClick={() => navigate('/matching')}>
-          Find Someone
-        </button>
+        <div className="timer-profiles" role="radiogroup" aria-label="Timer">
+          {timerProfiles.map(p => (
+            <button
+              key={p.key}
+              role="radio"
+              aria-checked={p.key === timerProfile}
+              className={p.key === timerProfile ? 'timer-profile selected' : 'timer-profile'}
+              onClick={() => setTimerProfile(p.key)}
+            >
+              {p.label}
+            </button>
+          ))}
+        </div>
+        <div className="find-actions">
+          <button className="find-btn" onClick={() => navigate('/matching', { state: { timerProfile } })}>
+            Find Someone
+          </button>
+          <button className="find-btn group" onClick={() => navigate('/matching', { state: { mode: 'group', timerProfile } })}>
+            Group Session
+          </button>
+        </div>
+        {showPreferences && (
+          <MatchPreferencesPanel onClose={() => setShowPreferences(false)} />
+        )}
       </div>
       <div className="lobby-nav">
+        <button className="btn-outline" onClick={() => setShowPreferences(v => !v)}>Preferences</button>
         <button className="btn-outline" onClick={() => navigate('/profile')}>Profile</button>
         <button className="btn-outline" onClick={logout}>Logout</button>
       </div>
@@ -4,15 +4,24 @@
  *
  * On mount, emits a `join-queue` socket event to enter the matchmaking pool.
  * When the server finds a partner it fires a `matched` event containing the
- * conversation ID, room ID, and partner info. The component then navigates to
- * the chat page with that data passed via route state.
+ * conversation ID, room ID, partner info, and the trauma match reason. The
+ * component then navigates to the chat page with that data passed via route state.
+ *
+ * When opened with `{ mode: 'group' }` route state (the Lobby's "Group Session"
+ * button) it joins the group therapy queue instead; the `matched` event then
+ * carries `isGroup` and the full participant list. The `timerProfile` route
+ * state (picked in the Lobby) is sent along, so only users who chose the same
+ * timer are matched.
+ *
+ * While waiting, the server sends `queue-status` updates (queue position,
+ * number of users waiting, estimated wait) which are shown under the spinner.
  *
  * On unmount (including cancel), emits `leave-queue` to remove the user from
  * the matchmaking pool.
  */
 
-import { useEffect, useCallback } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate, useLocation } from 'react-router-dom';
 import { useSocket, useSocketEvent } from '../hooks/useSocket';
 
 /**
@@ -23,19 +32,26 @@ import { useSocket, useSocketEvent } from '../hooks/useSocket';
  */
 export default function Matching() {
   const navigate = useNavigate();
+  const location = useLocation();
   const socket = useSocket();
+  /** Whether we are waiting for a group therapy room rather than one partner */
+  const isGroup = location.state?.mode === 'group';
+  /** The timer profile picked in the Lobby (the server defaults to 'standard') */
+  const timerProfile = location.state?.timerProfile;
+  /** @type {[{ position: number, waiting: number, estimatedWaitSeconds: number|null, groupSize?: number }|null, Function]} */
+  const [queueStatus, setQueueStatus] = useState(null);
 
   // Join the matchmaking queue on mount, leave on unmount
   useEffect(() => {
     if (socket) {
-      socket.emit('join-queue');
+      socket.emit('join-queue', { mode: isGroup ? 'group' : undefined, timerProfile });
     }
     return () => {
       if (socket) {
         socket.emit('leave-queue');
       }
     };
-  }, [socket]);
+  }, [socket, isGroup, timerProfile]);
 
   /**
    * Handles the `matched` socket event by navigating to the chat page.
@@ -43,21 +59,54 @@ export default function Matching() {
    * the Chat component can immediately join the socket room without an
    * extra server round-trip.
    *
-   * @param {{ conversationId: number, roomId: string, partner: Object }} data
+   * @param {{ conversationId: number, roomId: string, partner: Object|null, traumaMatch?: Object,
+   *   isGroup?: boolean, participants?: Array<Object> }} data
    */
   const handleMatched = useCallback((data) => {
     navigate(`/chat/${data.conversationId}`, {
-      state: { roomId: data.roomId, partner: data.partner },
+      state: {
+        roomId: data.roomId,
+        partner: data.partner,
+        traumaMatch: data.traumaMatch,
+        isGroup: !!data.isGroup,
+        participants: data.participants || null,
+      },
     });
   }, [navigate]);
 
   useSocketEvent(socket, 'matched', handleMatched);
+  useSocketEvent(socket, 'queue-status', setQueueStatus);
+
+  /**
+   * Formats the server's wait estimate for display.
+   * @param {number|null} seconds - Estimated seconds until matched, or null if unknown.
+   * @returns {string} e.g. "~45s", "~2 min", or "unknown".
+   */
+  function formatWait(seconds) {
+    if (seconds === null) return 'unknown';
+    if (seconds < 60) return `~${seconds}s`;
+    return `~${Math.round(seconds / 60)} min`;
+  }
 
   return (
     <div className="matching">
       <div className="spinner" />
-      <h2>Finding someone...</h2>
-      <p style={{opacity:0.8,marginTop:8}}>Looking for a fellow trauma survivor</p>
+      <h2>{isGroup ? 'Gathering a group...' : 'Finding someone...'}</h2>
+      <p style={{opacity:0.8,marginTop:8}}>
+        {isGroup ? 'Group therapy starts when enough survivors show up' : 'Looking for a fellow trauma survivor'}
+      </p>
+      {queueStatus && (
+        <div className="queue-status">
+          {queueStatus.groupSize ? (
+            <div>{queueStatus.waiting} of {queueStatus.groupSize} here</div>
+          ) : (
+            <>
+              <div>You are #{queueStatus.position} of {queueStatus.waiting} waiting</div>
+              <div>Estimated wait: {formatWait(queueStatus.estimatedWaitSeconds)}</div>
+            </>
+          )}
+        </div>
+      )}
       <button className="cancel-btn" onClick={() => navigate('/lobby')}>Cancel</button>
     </div>
   );
@@ -6,6 +6,7 @@
  *   - Whether the users became "Friends Forever"
  *   - Points earned during the conversation (with a detailed breakdown)
  *   - Conversation statistics (message count, extension count, total points)
+ *   - A "Download transcript" button (JSON, plain text or HTML)
  *   - Navigation to start a new conversation or return to the lobby
  *
  * On mount, fetches the user's point log and the conversation details in
@@ -34,6 +35,12 @@ export default function PostChat() {
   const [points, setPoints] = useState(null);
   const [conversation, setConversation] = useState(null);
   const [messageCount, setMessageCount] = useState(0);
+  /** Transcript format picked for download */
+  const [exportFormat, setExportFormat] = useState('html');
+  /** Whether a transcript download is in progress */
+  const [exporting, setExporting] = useState(false);
+  /** Why the last transcript download failed, if it did */
+  const [exportError, setExportError] = useState('');
 
   // Fetch conversation data and point history on mount
   useEffect(() => {
@@ -49,7 +56,7 @@ export default function PostChat() {
         ]);
         setPoints(pData);
         setConversation(cData.conversation);
-        setMessageCount(cData.messages.length);
+        setMessageCount(cData.totalMessages);
         // Refresh user context so total_points is up-to-date
         refreshUser();
       } catch (err) {
@@ -59,6 +66,28 @@ export default function PostChat() {
     load();
   }, [conversationId, refreshUser]);
 
+  /**
+   * Downloads the conversation transcript in the chosen format by handing
+   * the fetched file to the browser through a temporary object URL.
+   */
+  async function downloadTranscript() {
+    setExporting(true);
+    setExportError('');
+    try {
+      const { blob, filename } = await api.exportConversation(conversationId, exportFormat);
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = filename || `transcript.${exportFormat}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (err) {
+      setExportError(err.message);
+    } finally {
+      setExporting(false);
+    }
+  }
+
   // Filter the full point log to only entries from this conversation
   const convPoints = points?.log?.filter(
     l => String(l.conversation_id) === String(conversationId)
@@ -110,6 +139,18 @@ export default function PostChat() {
           </div>
         )}
 
+        <div className="transcript-download">
+          <select value={exportFormat} onChange={e => setExportFormat(e.target.value)} aria-label="Transcript format">
+            <option value="html">HTML</option>
+            <option value="txt">Plain text</option>
+            <option value="json">JSON</option>
+          </select>
+          <button className="btn-outline" onClick={downloadTranscript} disabled={exporting}>
+            {exporting ? 'Preparing…' : 'Download transcript'}
+          </button>
+        </div>
+        {exportError && <p className="error" style={{color:'var(--danger)',fontSize:13}}>{exportError}</p>}
+
         <div className="actions">
           <button className="btn-primary" onClick={() => navigate('/matching')}>Find Another</button>
           <button className="btn-outline" onClick={() => navigate('/lobby')}>Lobby</button>
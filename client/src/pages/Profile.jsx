@@ -9,9 +9,10 @@
  *   3. Leaderboard -- top users by total points
  *
  * The page is divided into four cards:
- *   - Profile header (photo, name, bio, demographics)
+ *   - Profile header (photo, name, bio, demographics, reputation)
  *   - Points history (last 15 entries)
- *   - Conversation history (partner names, extension counts, status)
+ *   - Conversation history (partner names, extension counts, status), with a
+ *     search box that full-text searches the messages of all of them
  *   - Global leaderboard (ranked by total points)
  */
 
@@ -20,6 +21,23 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { api } from '../api';
 
+/** @constant {number} SEARCH_DEBOUNCE_MS - Pause in typing before a search is sent. */
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Renders a search snippet, highlighting the matched terms the server
+ * wrapped in \u0002 ... \u0003.
+ * @param {string} snippet
+ * @returns {Array<React.ReactNode>}
+ */
+function renderSnippet(snippet) {
+  return snippet.split('\u0002').flatMap((chunk, i) => {
+    if (i === 0) return [chunk];
+    const [hit, rest] = chunk.split('\u0003');
+    return [<mark key={i}>{hit}</mark>, rest];
+  });
+}
+
 /**
  * Profile page component.
  *
@@ -36,6 +54,10 @@ export default function Profile() {
   const [points, setPoints] = useState(null);
   const [conversations, setConversations] = useState([]);
   const [leaderboard, setLeaderboard] = useState([]);
+  /** Text in the conversation search box */
+  const [searchQuery, setSearchQuery] = useState('');
+  /** Hits for searchQuery, or null when not searching */
+  const [searchResults, setSearchResults] = useState(null);
 
   // Fetch all profile data in parallel on mount
   useEffect(() => {
@@ -60,6 +82,32 @@ export default function Profile() {
     load();
   }, []);
 
+  // Search once the user pauses typing
+  useEffect(() => {
+    const q = searchQuery.trim();
+    if (!q) return;
+    // Ignore the answer if the query changed while it was in flight
+    let stale = false;
+    const timeout = setTimeout(() => {
+      api.searchMessages(q)
+        .then(data => { if (!stale) setSearchResults(data.results); })
+        .catch(err => console.error(err));
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      stale = true;
+      clearTimeout(timeout);
+    };
+  }, [searchQuery]);
+
+  /**
+   * Updates the search box; clearing it goes back to the conversation list.
+   * @param {string} value
+   */
+  function handleSearchChange(value) {
+    setSearchQuery(value);
+    if (!value.trim()) setSearchResults(null);
+  }
+
   return (
     <div className="profile-page">
       <div className="header">
@@ -84,6 +132,11 @@ export default function Profile() {
               <h2>{user?.display_name}</h2>
               <p>@{user?.username}</p>
               <span className="points-badge">{user?.total_points || 0} pts</span>
+              {user?.reputation != null && (
+                <span className="reputation-badge" title="Bayesian average of the star ratings you've received">
+                  &#9733; {user.reputation.toFixed(1)} reputation
+                </span>
+              )}
             </div>
           </div>
 
@@ -110,10 +163,38 @@ export default function Profile() {
         {conversations.length > 0 && (
           <div className="card conversation-history">
             <h3>Conversations</h3>
-            {conversations.map(c => (
+            <input
+              className="conv-search"
+              type="search"
+              value={searchQuery}
+              onChange={e => handleSearchChange(e.target.value)}
+              placeholder="Search your messages..."
+            />
+            {searchResults !== null ? (
+              searchResults.length === 0 ? (
+                <p className="conv-search-empty">No messages found.</p>
+              ) : searchResults.map(r => (
+                <div key={r.message_id} className="conv-item search-result">
+                  <div>
+                    <div className="conv-partner">
+                      {r.is_group ? 'Group Session' : r.partner_name}
+                      <span className="search-result-date"> · {new Date(r.created_at).toLocaleDateString()}</span>
+                    </div>
+                    <div className="search-snippet">
+                      <strong>{r.sender_id === user?.id ? 'You' : r.sender_name}:</strong> {renderSnippet(r.snippet)}
+                    </div>
+                  </div>
+                  <span className={`conv-status ${r.is_friends_forever ? 'friends' : ''}`}>
+                    {r.is_friends_forever ? 'Friends Forever' : r.status}
+                  </span>
+                </div>
+              ))
+            ) : conversations.map(c => (
               <div key={c.id} className="conv-item">
                 <div>
-                  <div className="conv-partner">{c.partner_name}</div>
+                  <div className="conv-partner">
+                    {c.is_group ? `Group Session (${c.participant_count})` : c.partner_name}
+                  </div>
                   <div style={{fontSize:12,color:'var(--text-secondary)'}}>
                     {c.extensions_count} extensions
                   </div>
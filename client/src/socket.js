@@ -10,12 +10,25 @@
  * Usage flow:
  *   1. `connectSocket()` -- creates (if needed) and connects the socket
  *   2. Components use the returned socket to emit/listen for events
+ *      (`emitWithAck()` when they need to know whether the server accepted it)
  *   3. `disconnectSocket()` -- tears down the connection on logout
+ *
+ * While connected, the module also keeps an estimate of the offset between
+ * the browser's clock and the server's (a `time-sync` ping on every connect
+ * and once a minute), so countdowns can use `serverNow()` instead of a
+ * local clock that may be off by seconds.
  */
 
 import { io } from 'socket.io-client';
 import { getToken } from './api';
 
+/** @constant {number} ACK_TIMEOUT_MS - How long to wait for the server to acknowledge an event. */
+const ACK_TIMEOUT_MS = 10000;
+/** @constant {number} CLOCK_SYNC_INTERVAL_MS - How often the clock offset is re-estimated while connected. */
+const CLOCK_SYNC_INTERVAL_MS = 60 * 1000;
+/** @constant {number} CLOCK_SYNC_SAMPLES - Pings per sync; the one with the shortest round trip is used. */
+const CLOCK_SYNC_SAMPLES = 3;
+
 /**
  * Module-level singleton reference. Null when no socket has been created yet
  * or after `disconnectSocket()` has been called.
@@ -23,11 +36,24 @@ import { getToken } from './api';
  */
 let socket = null;
 
+/**
+ * Estimated server clock minus browser clock, in ms.
+ * @type {number}
+ */
+let clockOffset = 0;
+
+/**
+ * Interval ID of the periodic clock sync, while a socket exists.
+ * @type {number|null}
+ */
+let clockSyncInterval = null;
+
 /**
  * Returns the existing socket instance or lazily creates a new one.
  *
  * The socket is created with `autoConnect: false` so the caller controls
- * when the connection is actually established (via `connectSocket`).
+ * when the connection is actually established (via `connectSocket`). It
+ * syncs the clock on every (re)connect and periodically after that.
  *
  * @returns {import('socket.io-client').Socket} The singleton socket instance.
  */
@@ -39,6 +65,11 @@ export function getSocket() {
         token: getToken(),
       },
     });
+    const s = socket;
+    s.on('connect', () => syncClock(s));
+    clockSyncInterval = setInterval(() => {
+      if (s.connected) syncClock(s);
+    }, CLOCK_SYNC_INTERVAL_MS);
   }
   return socket;
 }
@@ -72,5 +103,89 @@ export function disconnectSocket() {
   if (socket) {
     socket.disconnect();
     socket = null;
+    clearInterval(clockSyncInterval);
+    clockSyncInterval = null;
+  }
+}
+
+/**
+ * Emits an event and waits for the server's acknowledgement.
+ *
+ * The server answers every client event with `{ ok: true, data }` or
+ * `{ ok: false, code, message, details? }` (codes are listed in ERROR_CODES
+ * in shared/constants.js).  Like the REST `request()` helper in api.js, this
+ * resolves with the data and throws on failure.
+ *
+ * @async
+ * @param {import('socket.io-client').Socket} s - The connected socket.
+ * @param {string} event - The event name (e.g. 'send-message').
+ * @param {Object} [payload] - The event payload.
+ * @returns {Promise<*>} The `data` of a successful ack.
+ * @throws {Error} With the server's message and its error `code` and
+ *   `details` attached (`TIMEOUT` if the server did not answer in time).
+ */
+export function emitWithAck(s, event, payload) {
+  return new Promise((resolve, reject) => {
+    s.timeout(ACK_TIMEOUT_MS).emit(event, payload, (timeoutErr, response) => {
+      if (timeoutErr) {
+        const err = new Error('The server did not respond');
+        err.code = 'TIMEOUT';
+        return reject(err);
+      }
+      if (response.ok) return resolve(response.data);
+      const err = new Error(response.message);
+      err.code = response.code;
+      err.details = response.details || {};
+      reject(err);
+    });
+  });
+}
+
+/**
+ * Estimates the offset to the server's clock from a few `time-sync` pings,
+ * assuming each reply took half its round trip to arrive. The sample with
+ * the shortest round trip is the most accurate. If a ping fails the
+ * previous estimate is kept.
+ *
+ * @async
+ * @param {import('socket.io-client').Socket} s - The connected socket.
+ */
+async function syncClock(s) {
+  let best = null;
+  for (let i = 0; i < CLOCK_SYNC_SAMPLES; i++) {
+    const sentAt = Date.now();
+    let data;
+    try {
+      data = await emitWithAck(s, 'time-sync');
+    } catch {
+      return;
+    }
+    const receivedAt = Date.now();
+    const roundTrip = receivedAt - sentAt;
+    if (!best || roundTrip < best.roundTrip) {
+      best = { roundTrip, offset: data.serverTime + roundTrip / 2 - receivedAt };
+    }
+  }
+  clockOffset = best.offset;
+}
+
+/**
+ * Corrects the clock offset with a timestamp the server sent in an event:
+ * the server's clock cannot be behind a time it has already sent us.
+ *
+ * @param {number} [serverTime] - The server's clock (epoch ms) when it sent the event.
+ */
+export function noteServerTime(serverTime) {
+  if (typeof serverTime === 'number' && serverTime > serverNow()) {
+    clockOffset = serverTime - Date.now();
   }
 }
+
+/**
+ * The current time on the server's clock, as best we know it.
+ *
+ * @returns {number} Epoch ms.
+ */
+export function serverNow() {
+  return Date.now() + clockOffset;
+}
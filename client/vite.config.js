@@ -1,9 +1,27 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
+import { fileURLToPath } from 'node:url'
 
 export default defineConfig({
   plugins: [react()],
+  // shared/validation.js is CommonJS (the server require()s it), so it is
+  // aliased to a bare import and pre-bundled / converted like a dependency.
+  resolve: {
+    alias: {
+      '@shared/validation': fileURLToPath(new URL('../shared/validation.js', import.meta.url)),
+    },
+  },
+  optimizeDeps: {
+    include: ['@shared/validation'],
+  },
+  build: {
+    commonjsOptions: {
+      include: [/shared[\\/]validation\.js$/, /node_modules/],
+    },
+  },
   server: {
+    // Serve the client and shared/ only -- not the rest of the repo (db, uploads).
+    fs: { allow: ['.', '../shared'] },
     proxy: {
       '/api': 'http://localhost:3001',
       '/uploads': 'http://localhost:3001',
@@ -2,7 +2,8 @@
  * @file SQLite database initialisation and singleton accessor.
  *
  * Uses `better-sqlite3` for synchronous, high-performance access.
- * The database file lives at the project root (`traumachat.db`).
+ * The database file lives at the project root (`traumachat.db`) unless
+ * the DB_PATH environment variable names another.
  * On first access the schema is created (if it does not already exist),
  * WAL journal mode is enabled for concurrency, and foreign-key
  * enforcement is turned on.
@@ -12,9 +13,14 @@
 
 const Database = require('better-sqlite3');
 const path = require('path');
+const { REPUTATION, TIMER_PROFILES, DEFAULT_TIMER_PROFILE } = require('../../shared/constants');
 
-/** Absolute path to the SQLite database file at the project root. */
-const DB_PATH = path.join(__dirname, '..', '..', 'traumachat.db');
+/**
+ * Path to the SQLite database file: the project root's `traumachat.db`
+ * unless DB_PATH names another (`:memory:` for a throwaway database, as
+ * the tests use).
+ */
+const DB_PATH = process.env.DB_PATH || path.join(__dirname, '..', '..', 'traumachat.db');
 
 /**
  * Module-level singleton reference to the open database connection.
@@ -30,6 +36,8 @@ let db;
  * - Enables WAL (Write-Ahead Logging) for better read/write concurrency.
  * - Enables foreign-key constraint enforcement (off by default in SQLite).
  * - Runs the full schema creation (idempotent via CREATE TABLE IF NOT EXISTS).
+ * - Applies additive column migrations for databases created by older versions.
+ * - Creates the full-text search index over message text (backfilled once).
  *
  * @returns {import('better-sqlite3').Database} The open database handle.
  */
@@ -39,6 +47,8 @@ function getDb() {
     db.pragma('journal_mode = WAL');
     db.pragma('foreign_keys = ON');
     initSchema();
+    migrateSchema();
+    ensureSearchIndex();
   }
   return db;
 }
@@ -48,12 +58,21 @@ function getDb() {
  *
  * Table overview:
  *   - **users**           -- registered user accounts and profile data.
- *   - **conversations**   -- paired chat sessions between two users.
+ *   - **conversations**   -- chat sessions between two users, or group rooms.
+ *   - **conversation_participants** -- who is (or was) in each conversation.
+ *   - **conversation_events** -- audit trail of every lifecycle transition.
  *   - **messages**        -- text, voice, and system messages within conversations.
+ *   - **message_edits**   -- earlier text of edited messages.
+ *   - **message_reactions** -- emoji reactions to messages.
  *   - **extension_votes** -- per-round votes on whether to extend a conversation.
  *   - **photo_exchanges** -- photos submitted during the photo-exchange phase.
  *   - **ratings**         -- 1-5 star ratings users give each other's photos.
  *   - **points_log**      -- audit trail for every point award.
+ *   - **match_preferences** -- per-user matchmaking filters (age, gender, location).
+ *   - **sessions**        -- login tokens, so sessions survive a server restart.
+ *   - **queue_entries**   -- users waiting in the matchmaking queues (restored on restart).
+ *   - **voice_uploads**   -- who uploaded each voice-note file.
+ *   - **rate_limit_violations** -- users who hit a message rate limit, for moderation.
  *
  * @private
  */
@@ -73,25 +92,74 @@ function initSchema() {
       childhood_trauma TEXT,
       trauma_response TEXT,
       total_points INTEGER DEFAULT 0,
+      reputation REAL DEFAULT ${REPUTATION.PRIOR_MEAN},
       onboarding_complete INTEGER DEFAULT 0,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
-    -- Each row represents a single paired conversation between two users.
+    -- Each row represents a single conversation: a pair, or a group room
+    -- (is_group = 1) whose user1_id/user2_id are its first two members.
     -- status tracks the conversation lifecycle (see CONVERSATION_STATUS).
+    -- timer_profile names the TIMER_PROFILES entry it was matched with;
+    -- timer_seconds / timer_warning_seconds are that profile's durations
+    -- when the conversation started, which its timer keeps using.
+    -- While the timer is paused, current_timer_end is NULL and
+    -- timer_paused_ms holds the time that was left; timer_paused_until
+    -- is when the pause ends by itself.  pauses_used counts the pauses
+    -- taken over all rounds.  vote_deadline is when the current extension
+    -- vote is resolved with whatever votes are in.
     CREATE TABLE IF NOT EXISTS conversations (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       user1_id INTEGER NOT NULL REFERENCES users(id),
       user2_id INTEGER NOT NULL REFERENCES users(id),
       room_id TEXT UNIQUE NOT NULL,
       status TEXT NOT NULL DEFAULT 'active',
+      is_group INTEGER DEFAULT 0,
       extensions_count INTEGER DEFAULT 0,
       is_friends_forever INTEGER DEFAULT 0,
       current_timer_end TEXT,
+      timer_profile TEXT NOT NULL DEFAULT '${DEFAULT_TIMER_PROFILE}',
+      timer_seconds INTEGER,
+      timer_warning_seconds INTEGER,
+      timer_paused_ms INTEGER,
+      timer_paused_until TEXT,
+      pauses_used INTEGER NOT NULL DEFAULT 0,
+      vote_deadline TEXT,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Membership of every conversation (pairs included).  left_at is set
+    -- when someone leaves a group that carries on without them.
+    -- last_delivered_id / last_read_id are receipt watermarks: every
+    -- message up to that ID has reached / been read by this member.
+    CREATE TABLE IF NOT EXISTS conversation_participants (
+      conversation_id INTEGER NOT NULL REFERENCES conversations(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      joined_at TEXT DEFAULT (datetime('now')),
+      left_at TEXT,
+      last_delivered_id INTEGER DEFAULT 0,
+      last_read_id INTEGER DEFAULT 0,
+      PRIMARY KEY (conversation_id, user_id)
+    );
+
+    -- Every status change of a conversation, written by
+    -- services/stateMachine.  from_status is NULL for the creation row;
+    -- actor_id is the user who triggered the change, if any.
+    CREATE TABLE IF NOT EXISTS conversation_events (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      conversation_id INTEGER NOT NULL REFERENCES conversations(id),
+      from_status TEXT,
+      to_status TEXT NOT NULL,
+      event TEXT NOT NULL,
+      actor_id INTEGER REFERENCES users(id),
       created_at TEXT DEFAULT (datetime('now'))
     );
 
     -- All messages exchanged during a conversation (text, voice, system).
+    -- reply_to_id is the earlier message of the same conversation that
+    -- this one quotes, if any.  edited_at is set by the last edit (earlier
+    -- versions are in message_edits); a deleted ("unsent") message stays
+    -- as a tombstone with deleted_at set and its content cleared.
     CREATE TABLE IF NOT EXISTS messages (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       conversation_id INTEGER NOT NULL REFERENCES conversations(id),
@@ -100,36 +168,63 @@ function initSchema() {
       content TEXT,
       voice_url TEXT,
       voice_duration REAL,
+      reply_to_id INTEGER REFERENCES messages(id),
+      edited_at TEXT,
+      deleted_at TEXT,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
+    -- Edit history: the text a message had before each edit.
+    CREATE TABLE IF NOT EXISTS message_edits (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      message_id INTEGER NOT NULL REFERENCES messages(id),
+      previous_content TEXT,
+      edited_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Emoji reactions to text and voice messages.  A member can add each
+    -- emoji to a message once.
+    CREATE TABLE IF NOT EXISTS message_reactions (
+      message_id INTEGER NOT NULL REFERENCES messages(id),
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      emoji TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now')),
+      PRIMARY KEY (message_id, user_id, emoji)
+    );
+
     -- Records each user's extension vote per voting round.
     -- A new round number is assigned for each extension cycle.
+    -- is_default marks votes cast for a user who missed the deadline.
     CREATE TABLE IF NOT EXISTS extension_votes (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       conversation_id INTEGER NOT NULL REFERENCES conversations(id),
       user_id INTEGER NOT NULL REFERENCES users(id),
       round INTEGER NOT NULL,
       vote TEXT NOT NULL,
+      is_default INTEGER DEFAULT 0,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
     -- Photos submitted during the photo-exchange phase.
+    -- round is the conversation's extensions_count at submission time.
     CREATE TABLE IF NOT EXISTS photo_exchanges (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       conversation_id INTEGER NOT NULL REFERENCES conversations(id),
       sender_id INTEGER NOT NULL REFERENCES users(id),
       photo_url TEXT NOT NULL,
+      round INTEGER,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
     -- Star ratings (1-5) that users give each other after viewing photos.
+    -- round is the conversation's extensions_count at rating time.
     CREATE TABLE IF NOT EXISTS ratings (
       id INTEGER PRIMARY KEY AUTOINCREMENT,
       conversation_id INTEGER NOT NULL REFERENCES conversations(id),
       rater_id INTEGER NOT NULL REFERENCES users(id),
       rated_id INTEGER NOT NULL REFERENCES users(id),
       score INTEGER NOT NULL CHECK(score >= 1 AND score <= 5),
+      round INTEGER,
       created_at TEXT DEFAULT (datetime('now'))
     );
 
@@ -144,7 +239,166 @@ function initSchema() {
       description TEXT,
       created_at TEXT DEFAULT (datetime('now'))
     );
+
+    -- Saved matchmaking filters, at most one row per user.
+    -- genders is a JSON array of acceptable partner genders (empty = any).
+    CREATE TABLE IF NOT EXISTS match_preferences (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id),
+      min_age INTEGER,
+      max_age INTEGER,
+      genders TEXT,
+      same_location_only INTEGER DEFAULT 0,
+      avoid_repeats INTEGER DEFAULT 1,
+      updated_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Login session tokens (see middleware/session.js).
+    CREATE TABLE IF NOT EXISTS sessions (
+      token TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Users currently waiting for a match.  mode is 'pair' or 'group';
+    -- preferences holds a per-session override as JSON (NULL = saved ones);
+    -- timer_profile is the TIMER_PROFILES entry they picked;
+    -- joined_at is epoch ms so wait-based relaxation survives a restart.
+    CREATE TABLE IF NOT EXISTS queue_entries (
+      user_id INTEGER PRIMARY KEY REFERENCES users(id),
+      mode TEXT NOT NULL,
+      preferences TEXT,
+      timer_profile TEXT,
+      joined_at INTEGER NOT NULL
+    );
+
+    -- Who uploaded each voice note, so SEND_VOICE_NOTE only accepts the
+    -- sender's own recordings.
+    CREATE TABLE IF NOT EXISTS voice_uploads (
+      url TEXT PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+
+    -- Users who hit a message rate limit (socket/rateLimiter), kept for
+    -- moderation review.  One row per burst of rejected events, not per
+    -- rejected event; event is the client event that was limited.
+    CREATE TABLE IF NOT EXISTS rate_limit_violations (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      user_id INTEGER NOT NULL REFERENCES users(id),
+      conversation_id INTEGER REFERENCES conversations(id),
+      event TEXT NOT NULL,
+      created_at TEXT DEFAULT (datetime('now'))
+    );
+  `);
+}
+
+/**
+ * Adds a column to an existing table unless it is already present.
+ *
+ * SQLite has no `ADD COLUMN IF NOT EXISTS`, so the current columns are
+ * read via `PRAGMA table_info` first.
+ *
+ * @param {string} table      - Table name.
+ * @param {string} column     - Column name.
+ * @param {string} definition - Column type and constraints (e.g. "INTEGER DEFAULT 0").
+ * @returns {boolean} True if the column was added (so callers can backfill it).
+ * @private
+ */
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (columns.some(c => c.name === column)) return false;
+  db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+  return true;
+}
+
+/**
+ * Brings databases created before a column was introduced up to date.
+ *
+ * `CREATE TABLE IF NOT EXISTS` never alters an existing table, so every
+ * column added after a table first shipped must also be listed here.
+ * Each call is idempotent.
+ *
+ * @private
+ */
+function migrateSchema() {
+  ensureColumn('match_preferences', 'avoid_repeats', 'INTEGER DEFAULT 1');
+  ensureColumn('photo_exchanges', 'round', 'INTEGER');
+  ensureColumn('ratings', 'round', 'INTEGER');
+  ensureColumn('conversation_participants', 'last_delivered_id', 'INTEGER DEFAULT 0');
+  ensureColumn('conversation_participants', 'last_read_id', 'INTEGER DEFAULT 0');
+  ensureColumn('messages', 'reply_to_id', 'INTEGER REFERENCES messages(id)');
+  ensureColumn('messages', 'edited_at', 'TEXT');
+  ensureColumn('messages', 'deleted_at', 'TEXT');
+  ensureColumn('queue_entries', 'timer_profile', 'TEXT');
+  ensureColumn('conversations', 'timer_profile', `TEXT NOT NULL DEFAULT '${DEFAULT_TIMER_PROFILE}'`);
+  ensureColumn('conversations', 'timer_paused_ms', 'INTEGER');
+  ensureColumn('conversations', 'timer_paused_until', 'TEXT');
+  ensureColumn('conversations', 'pauses_used', 'INTEGER NOT NULL DEFAULT 0');
+  ensureColumn('conversations', 'vote_deadline', 'TEXT');
+  ensureColumn('extension_votes', 'is_default', 'INTEGER DEFAULT 0');
+
+  if (ensureColumn('conversations', 'timer_seconds', 'INTEGER')) {
+    // Conversations from before timer profiles all used the standard timer.
+    ensureColumn('conversations', 'timer_warning_seconds', 'INTEGER');
+    const standard = TIMER_PROFILES[DEFAULT_TIMER_PROFILE];
+    db.prepare('UPDATE conversations SET timer_seconds = ?, timer_warning_seconds = ?')
+      .run(standard.SECONDS, standard.WARNING_SECONDS);
+  }
+
+  if (ensureColumn('conversations', 'is_group', 'INTEGER DEFAULT 0')) {
+    // Conversations from before group rooms are all pairs.
+    db.exec(`
+      INSERT OR IGNORE INTO conversation_participants (conversation_id, user_id, joined_at)
+      SELECT id, user1_id, created_at FROM conversations
+      UNION ALL
+      SELECT id, user2_id, created_at FROM conversations
+    `);
+  }
+
+  if (ensureColumn('users', 'reputation', `REAL DEFAULT ${REPUTATION.PRIOR_MEAN}`)) {
+    // Backfill from existing ratings using the same Bayesian average as
+    // services/reputation.js.
+    db.prepare(`
+      UPDATE users SET reputation = ROUND(
+        (? * ? + COALESCE((SELECT SUM(score) FROM ratings WHERE rated_id = users.id), 0))
+        / (? + (SELECT COUNT(*) FROM ratings WHERE rated_id = users.id)), 2)
+    `).run(REPUTATION.PRIOR_MEAN, REPUTATION.PRIOR_WEIGHT, REPUTATION.PRIOR_WEIGHT);
+  }
+}
+
+/**
+ * Creates the FTS5 index `messages_fts` over `messages.content`, plus the
+ * triggers that keep it in sync as messages are inserted, edited and
+ * deleted.  It is an external-content table: it stores only the index
+ * and reads the text back from `messages` (rowid = message ID).
+ *
+ * When the index is first created on a database that already has
+ * messages, it is rebuilt from them.
+ *
+ * @private
+ */
+function ensureSearchIndex() {
+  const exists = db.prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'messages_fts'").get();
+  db.exec(`
+    CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+      content, content = 'messages', content_rowid = 'id'
+    );
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_insert AFTER INSERT ON messages BEGIN
+      INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+    END;
+
+    CREATE TRIGGER IF NOT EXISTS messages_fts_delete AFTER DELETE ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+    END;
+
+    -- Edits and unsends (which clear the text) both update content.
+    CREATE TRIGGER IF NOT EXISTS messages_fts_update AFTER UPDATE OF content ON messages BEGIN
+      INSERT INTO messages_fts (messages_fts, rowid, content) VALUES ('delete', old.id, old.content);
+      INSERT INTO messages_fts (rowid, content) VALUES (new.id, new.content);
+    END;
   `);
+  if (!exists) db.exec("INSERT INTO messages_fts (messages_fts) VALUES ('rebuild')");
 }
 
 module.exports = { getDb };
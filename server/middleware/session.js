@@ -1,14 +1,20 @@
 /**
- * @file In-memory session management for both HTTP (Express) and
+ * @file Persisted session management for both HTTP (Express) and
  * WebSocket (Socket.IO) transports.
  *
- * Sessions are stored as a simple Map of UUID tokens to user IDs.
- * Because the store lives in process memory, all sessions are lost
- * when the server restarts.  This is intentional for the current
- * development / single-instance deployment model.
+ * Sessions are UUID tokens mapped to user IDs.  They are persisted in
+ * the `sessions` table so that clients can reconnect to their live
+ * conversations after a server restart; an in-memory Map caches the
+ * lookups so the hot path (every request and socket handshake) does not
+ * hit the database.
+ *
+ * A session expires SESSION_TTL_DAYS after it was created (0 = never):
+ * an expired token is rejected and its row deleted, and an hourly sweep
+ * deletes the rows of expired tokens nobody presents again.
  *
  * Exports:
- *   - Low-level helpers: createSession, getSession, deleteSession
+ *   - Low-level helpers: createSession, getSession, deleteSession,
+ *     deleteExpiredSessions
  *   - Express middleware: sessionMiddleware (optional auth extraction),
  *     requireAuth (mandatory auth gate)
  *   - Socket.IO middleware: socketSessionMiddleware (authenticates on
@@ -17,10 +23,20 @@
  * @module server/middleware/session
  */
 
+const { getDb } = require('../db/init');
+const { SESSION_TTL_DAYS } = require('../../shared/constants');
+
+/** Session lifetime in milliseconds (Infinity when sessions never expire). */
+const SESSION_TTL_MS = SESSION_TTL_DAYS > 0 ? SESSION_TTL_DAYS * 24 * 60 * 60 * 1000 : Infinity;
+
+/** How often expired sessions are deleted, in milliseconds. */
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+
 /**
- * In-memory session store.
- * Keys are UUID v4 tokens; values are numeric user IDs.
- * @type {Map<string, number>}
+ * In-memory cache of the `sessions` table.
+ * Keys are UUID v4 tokens; values hold the user ID and the expiry time
+ * (epoch ms).
+ * @type {Map<string, { userId: number, expiresAt: number }>}
  */
 const sessions = new Map();
 
@@ -35,7 +51,8 @@ const sessions = new Map();
  */
 function createSession(userId) {
   const token = require('uuid').v4();
-  sessions.set(token, userId);
+  getDb().prepare('INSERT INTO sessions (token, user_id) VALUES (?, ?)').run(token, userId);
+  sessions.set(token, { userId, expiresAt: Date.now() + SESSION_TTL_MS });
   return token;
 }
 
@@ -46,7 +63,21 @@ function createSession(userId) {
  * @returns {number|null} The user ID, or null if the token is invalid / expired.
  */
 function getSession(token) {
-  return sessions.get(token) || null;
+  let session = sessions.get(token);
+  if (!session) {
+    // Not cached yet -- e.g. the first request after a restart.
+    const row = getDb().prepare(
+      "SELECT user_id, CAST(strftime('%s', created_at) AS INTEGER) AS created FROM sessions WHERE token = ?"
+    ).get(token);
+    if (!row) return null;
+    session = { userId: row.user_id, expiresAt: row.created * 1000 + SESSION_TTL_MS };
+    sessions.set(token, session);
+  }
+  if (session.expiresAt <= Date.now()) {
+    deleteSession(token);
+    return null;
+  }
+  return session.userId;
 }
 
 /**
@@ -55,9 +86,23 @@ function getSession(token) {
  * @param {string} token - The session token to invalidate.
  */
 function deleteSession(token) {
+  getDb().prepare('DELETE FROM sessions WHERE token = ?').run(token);
   sessions.delete(token);
 }
 
+/**
+ * Deletes every expired session, from the table and the cache.  Runs
+ * every SWEEP_INTERVAL_MS; does nothing when sessions never expire.
+ */
+function deleteExpiredSessions() {
+  if (SESSION_TTL_MS === Infinity) return;
+  getDb().prepare("DELETE FROM sessions WHERE created_at <= datetime('now', ?)").run(`-${SESSION_TTL_DAYS} days`);
+  const now = Date.now();
+  for (const [token, session] of sessions) {
+    if (session.expiresAt <= now) sessions.delete(token);
+  }
+}
+
 /**
  * Express middleware that **optionally** extracts authentication info.
  *
@@ -123,11 +168,14 @@ function socketSessionMiddleware(socket, next) {
   next();
 }
 
+setInterval(deleteExpiredSessions, SWEEP_INTERVAL_MS).unref();
+
 module.exports = {
   sessions,
   createSession,
   getSession,
   deleteSession,
+  deleteExpiredSessions,
   sessionMiddleware,
   requireAuth,
   socketSessionMiddleware,
@@ -109,7 +109,7 @@ router.post('/login', async (req, res) => {
  */
 router.get('/me', requireAuth, (req, res) => {
   const db = getDb();
-  const user = db.prepare('SELECT id, username, display_name, photo_url, bio, location, gender, age, childhood_trauma, trauma_response, total_points, onboarding_complete FROM users WHERE id = ?').get(req.userId);
+  const user = db.prepare('SELECT id, username, display_name, photo_url, bio, location, gender, age, childhood_trauma, trauma_response, total_points, reputation, onboarding_complete FROM users WHERE id = ?').get(req.userId);
   if (!user) return res.status(404).json({ error: 'User not found' });
   res.json({ user });
 });
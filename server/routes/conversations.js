@@ -2,21 +2,68 @@
  * @file Conversation history REST routes.
  *
  * Provides read-only access to a user's past and current conversations,
- * including partner metadata and full message history.
+ * including partner metadata and paginated message history.
  *
  * Routes:
- *   GET /api/conversations      -- List the authenticated user's conversations.
- *   GET /api/conversations/:id  -- Get a single conversation with messages.
+ *   GET /api/conversations         -- List the authenticated user's conversations.
+ *   GET /api/conversations/search  -- Full-text search over the user's messages.
+ *   GET /api/conversations/timer-profiles -- The timer profiles a conversation can be queued with.
+ *   GET /api/conversations/:id     -- Get a single conversation with a page of messages.
+ *   GET /api/conversations/:id/export -- Download the full transcript (json, txt or html).
  *
  * @module server/routes/conversations
  */
 
 const express = require('express');
+const {
+  MESSAGE_EDIT_WINDOW_SECONDS, PUBLIC_BASE_URL, TIMER_PROFILES, DEFAULT_TIMER_PROFILE,
+} = require('../../shared/constants');
 const { getDb } = require('../db/init');
 const { requireAuth } = require('../middleware/session');
+const conversationService = require('../services/conversation');
+const transcriptService = require('../services/transcript');
 
 const router = express.Router();
 
+/** @constant {number} DEFAULT_PAGE_SIZE - Messages per page when `limit` is omitted. */
+const DEFAULT_PAGE_SIZE = 50;
+/** @constant {number} MAX_PAGE_SIZE - Largest `limit` a client may ask for. */
+const MAX_PAGE_SIZE = 100;
+/** @constant {number} SEARCH_RESULT_LIMIT - Most search hits returned, best matches first. */
+const SEARCH_RESULT_LIMIT = 50;
+/** @constant {string} SNIPPET_START - Marks the start of a matched term in a search snippet. */
+const SNIPPET_START = '\u0002';
+/** @constant {string} SNIPPET_END - Marks the end of a matched term in a search snippet. */
+const SNIPPET_END = '\u0003';
+
+/**
+ * Turns free text typed by a user into an FTS5 query: every word must
+ * appear, and the words match as prefixes ("anx" finds "anxiety").  Each
+ * word is quoted so FTS5 operators and punctuation are taken literally.
+ *
+ * @param {string} text
+ * @returns {string|null} The FTS5 MATCH expression, or null if there are no words.
+ * @private
+ */
+function toFtsQuery(text) {
+  const words = text.split(/\s+/).filter(Boolean);
+  if (words.length === 0) return null;
+  return words.map(w => `"${w.replace(/"/g, '""')}"*`).join(' ');
+}
+
+/**
+ * Parses an optional positive-integer query parameter.
+ *
+ * @param {string|undefined} value - The raw query string value.
+ * @returns {number|undefined|null} The number, undefined if absent, or
+ *   null if present but not a positive integer.
+ * @private
+ */
+function parseCursor(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) && Number(value) > 0 ? Number(value) : null;
+}
+
 /**
  * GET /
  *
@@ -24,48 +71,179 @@ const router = express.Router();
  * ordered newest-first.  Each row includes computed partner metadata
  * (name, photo, ID) derived via CASE expressions so the client always
  * sees the "other" user's info regardless of whether the authenticated
- * user is user1 or user2 in the conversations table.
+ * user is user1 or user2 in the conversations table.  Group rooms have
+ * no single partner, so their partner fields are null; `participant_count`
+ * gives the room's size instead.
  *
  * @returns {{ conversations: Object[] }} Array of conversation rows with partner info.
  */
 router.get('/', requireAuth, (req, res) => {
   const db = getDb();
   // The CASE expressions resolve the "other" user's details.
-  // req.userId is bound five times because it appears in three CASE
-  // conditions and the WHERE clause (which checks both user columns).
+  // req.userId is bound four times because it appears in three CASE
+  // conditions and the membership check in the WHERE clause.
   const conversations = db.prepare(`
     SELECT c.*,
-      CASE WHEN c.user1_id = ? THEN u2.display_name ELSE u1.display_name END as partner_name,
-      CASE WHEN c.user1_id = ? THEN u2.photo_url ELSE u1.photo_url END as partner_photo,
-      CASE WHEN c.user1_id = ? THEN u2.id ELSE u1.id END as partner_id
+      CASE WHEN c.is_group = 1 THEN NULL WHEN c.user1_id = ? THEN u2.display_name ELSE u1.display_name END as partner_name,
+      CASE WHEN c.is_group = 1 THEN NULL WHEN c.user1_id = ? THEN u2.photo_url ELSE u1.photo_url END as partner_photo,
+      CASE WHEN c.is_group = 1 THEN NULL WHEN c.user1_id = ? THEN u2.id ELSE u1.id END as partner_id,
+      (SELECT COUNT(*) FROM conversation_participants p WHERE p.conversation_id = c.id) as participant_count
     FROM conversations c
     JOIN users u1 ON c.user1_id = u1.id
     JOIN users u2 ON c.user2_id = u2.id
-    WHERE c.user1_id = ? OR c.user2_id = ?
+    WHERE c.id IN (SELECT conversation_id FROM conversation_participants WHERE user_id = ?)
     ORDER BY c.created_at DESC
     LIMIT 50
-  `).all(req.userId, req.userId, req.userId, req.userId, req.userId);
+  `).all(req.userId, req.userId, req.userId, req.userId);
   res.json({ conversations });
 });
 
+/**
+ * GET /search?q=
+ *
+ * Full-text search (SQLite FTS5, see `messages_fts` in db/init.js) over
+ * the text messages of every conversation the authenticated user is or
+ * was part of.  Each hit carries the conversation's status and the same
+ * partner fields as the list above, plus a `snippet` of the message with
+ * matched terms wrapped in SNIPPET_START / SNIPPET_END.  Deleted messages
+ * have no text and so never match.
+ *
+ * @param {string} q - Query: the words to search for (all must match, as prefixes).
+ * @returns {{ results: Object[] }} Up to 50 hits, best match first.
+ */
+router.get('/search', requireAuth, (req, res) => {
+  const query = toFtsQuery(typeof req.query.q === 'string' ? req.query.q : '');
+  if (!query) return res.status(400).json({ error: 'Search query is required' });
+
+  const db = getDb();
+  // As in GET /, the CASE expressions resolve the "other" user's details.
+  const results = db.prepare(`
+    SELECT m.id AS message_id, m.conversation_id, m.sender_id, m.created_at,
+      snippet(messages_fts, 0, ?, ?, '…', 12) AS snippet,
+      s.display_name AS sender_name,
+      c.status, c.is_group, c.is_friends_forever,
+      CASE WHEN c.is_group = 1 THEN NULL WHEN c.user1_id = ? THEN u2.display_name ELSE u1.display_name END as partner_name,
+      CASE WHEN c.is_group = 1 THEN NULL WHEN c.user1_id = ? THEN u2.photo_url ELSE u1.photo_url END as partner_photo,
+      CASE WHEN c.is_group = 1 THEN NULL WHEN c.user1_id = ? THEN u2.id ELSE u1.id END as partner_id
+    FROM messages_fts
+    JOIN messages m ON m.id = messages_fts.rowid
+    JOIN conversations c ON c.id = m.conversation_id
+    JOIN users s ON s.id = m.sender_id
+    JOIN users u1 ON c.user1_id = u1.id
+    JOIN users u2 ON c.user2_id = u2.id
+    WHERE messages_fts MATCH ?
+      AND m.message_type = 'text'
+      AND c.id IN (SELECT conversation_id FROM conversation_participants WHERE user_id = ?)
+    ORDER BY rank
+    LIMIT ?
+  `).all(SNIPPET_START, SNIPPET_END, req.userId, req.userId, req.userId, query, req.userId, SEARCH_RESULT_LIMIT);
+  res.json({ results });
+});
+
+/**
+ * GET /timer-profiles
+ *
+ * Lists the TIMER_PROFILES the lobby offers, in their configured order,
+ * with the durations this server actually runs (DEV_TIMER_SECONDS
+ * overrides them), so the client never keeps its own copy.
+ *
+ * @returns {{ profiles: Array<{ key: string, label: string, seconds: number }>, defaultProfile: string }}
+ */
+router.get('/timer-profiles', requireAuth, (req, res) => {
+  const profiles = Object.entries(TIMER_PROFILES).map(([key, profile]) => ({
+    key, label: profile.LABEL, seconds: profile.SECONDS,
+  }));
+  res.json({ profiles, defaultProfile: DEFAULT_TIMER_PROFILE });
+});
+
 /**
  * GET /:id
  *
- * Returns a single conversation and its full message history.
- * The query enforces that the authenticated user is a participant
- * (either user1 or user2) to prevent unauthorized access.
+ * Returns a single conversation, its current participants, one page of
+ * its messages (oldest first), the reactions to those messages (keyed by
+ * message ID) and every member's delivery/read receipts, along with the
+ * server's MESSAGE_EDIT_WINDOW_SECONDS so the client offers edit/delete
+ * for exactly as long as the server accepts them.  The query
+ * enforces that the authenticated user is (or was) a participant to
+ * prevent unauthorized access.
+ *
+ * Pagination is cursor-based on message IDs: without a cursor the latest
+ * page is returned; `before` pages back through older messages and
+ * `after` forward through newer ones.  `hasMore` says whether another
+ * page exists in that direction.
  *
  * @param {string} id - Conversation database ID (route parameter).
- * @returns {{ conversation: Object, messages: Object[] }}
+ * @param {string} [before] - Query: only messages older than this message ID.
+ * @param {string} [after]  - Query: only messages newer than this message ID.
+ * @param {string} [limit]  - Query: page size (default 50, max 100).
+ * @returns {{ conversation: Object, participants: Object[], messages: Object[], hasMore: boolean,
+ *   totalMessages: number, reactions: Object, receipts: Object[], editWindowSeconds: number }}
  */
 router.get('/:id', requireAuth, (req, res) => {
+  const before = parseCursor(req.query.before);
+  const after = parseCursor(req.query.after);
+  const limit = parseCursor(req.query.limit);
+  if (before === null || after === null || limit === null) {
+    return res.status(400).json({ error: 'before, after and limit must be positive integers' });
+  }
+  if (before !== undefined && after !== undefined) {
+    return res.status(400).json({ error: 'Use either before or after, not both' });
+  }
+
   const db = getDb();
   // Ensure the requesting user is a participant in this conversation.
-  const conv = db.prepare('SELECT * FROM conversations WHERE id = ? AND (user1_id = ? OR user2_id = ?)').get(req.params.id, req.userId, req.userId);
+  const conv = db.prepare(`
+    SELECT c.* FROM conversations c
+    JOIN conversation_participants p ON p.conversation_id = c.id
+    WHERE c.id = ? AND p.user_id = ?
+  `).get(req.params.id, req.userId);
+  if (!conv) return res.status(404).json({ error: 'Conversation not found' });
+
+  const participants = conversationService.getParticipants(conv.id);
+  const { messages, hasMore } = conversationService.getMessagesPage(conv.id, {
+    before,
+    after,
+    limit: Math.min(limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+  });
+  const totalMessages = conversationService.countMessages(conv.id);
+  const reactions = conversationService.getReactionsForMessages(messages.map(m => m.id));
+  const receipts = conversationService.getReceipts(conv.id);
+  res.json({
+    conversation: conv, participants, messages, hasMore, totalMessages, reactions, receipts,
+    editWindowSeconds: MESSAGE_EDIT_WINDOW_SECONDS,
+  });
+});
+
+/**
+ * GET /:id/export?format=json|txt|html
+ *
+ * Downloads the conversation's full transcript (see services/transcript):
+ * every message including system messages and voice-note links, the
+ * photo exchange rounds with their ratings, and the points the requesting
+ * user earned.  Only participants (current or former) may export it.
+ *
+ * @param {string} id       - Conversation database ID (route parameter).
+ * @param {string} [format] - Query: "json" (default), "txt" or "html".
+ * @returns {string} The transcript file, sent as an attachment.
+ */
+router.get('/:id/export', requireAuth, (req, res) => {
+  const format = transcriptService.EXPORT_FORMATS[req.query.format || 'json'];
+  if (!format) return res.status(400).json({ error: 'format must be json, txt or html' });
+
+  const db = getDb();
+  const conv = db.prepare(`
+    SELECT c.* FROM conversations c
+    JOIN conversation_participants p ON p.conversation_id = c.id
+    WHERE c.id = ? AND p.user_id = ?
+  `).get(req.params.id, req.userId);
   if (!conv) return res.status(404).json({ error: 'Conversation not found' });
 
-  const messages = db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY created_at ASC').all(conv.id);
-  res.json({ conversation: conv, messages });
+  // Not the request's Host header: it is client-controlled and would end up
+  // in a file the user may share.
+  const transcript = transcriptService.buildTranscript(conv.id, req.userId, PUBLIC_BASE_URL);
+  res.set('Content-Type', format.contentType);
+  res.attachment(`traumachat-conversation-${conv.id}.${format.extension}`);
+  res.send(format.render(transcript));
 });
 
 module.exports = router;
@@ -63,7 +63,8 @@ router.post('/profile-photo', requireAuth, uploadPhoto.single('photo'), (req, re
  * Uploads a single voice-note file (field name "voice").
  * The client typically records audio via MediaRecorder and sends the
  * resulting Blob here before emitting a SEND_VOICE_NOTE socket event
- * with the returned URL.
+ * with the returned URL.  The upload is recorded against the user so
+ * that only they can send it.
  *
  * @returns {{ url: string }} The URL of the uploaded voice note.
  */
@@ -72,6 +73,7 @@ router.post('/voice', requireAuth, uploadVoice.single('voice'), (req, res) => {
     return res.status(400).json({ error: 'No voice file uploaded' });
   }
   const voiceUrl = `/uploads/voice/${req.file.filename}`;
+  getDb().prepare('INSERT INTO voice_uploads (url, user_id) VALUES (?, ?)').run(voiceUrl, req.userId);
   res.json({ url: voiceUrl });
 });
 
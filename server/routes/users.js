@@ -12,6 +12,8 @@
  *   POST /api/users/trauma             -- Submit childhood trauma text.
  *   POST /api/users/complete-onboarding -- Mark onboarding as finished.
  *   GET  /api/users/leaderboard        -- Top 20 users by total_points.
+ *   GET  /api/users/preferences        -- Saved matchmaking preferences.
+ *   PUT  /api/users/preferences        -- Replace saved matchmaking preferences.
  *   GET  /api/users/:id                -- Public profile of a specific user.
  *
  * @module server/routes/users
@@ -21,6 +23,7 @@ const express = require('express');
 const { getDb } = require('../db/init');
 const { requireAuth } = require('../middleware/session');
 const { getTraumaResponse } = require('../services/trauma');
+const preferencesService = require('../services/preferences');
 
 const router = express.Router();
 
@@ -65,7 +68,7 @@ router.put('/profile', requireAuth, (req, res) => {
   values.push(req.userId);
   db.prepare(`UPDATE users SET ${fields.join(', ')} WHERE id = ?`).run(...values);
 
-  const user = db.prepare('SELECT id, username, display_name, photo_url, bio, location, gender, age, childhood_trauma, trauma_response, total_points, onboarding_complete FROM users WHERE id = ?').get(req.userId);
+  const user = db.prepare('SELECT id, username, display_name, photo_url, bio, location, gender, age, childhood_trauma, trauma_response, total_points, reputation, onboarding_complete FROM users WHERE id = ?').get(req.userId);
   res.json({ user });
 });
 
@@ -104,7 +107,7 @@ router.post('/trauma', requireAuth, (req, res) => {
 router.post('/complete-onboarding', requireAuth, (req, res) => {
   const db = getDb();
   db.prepare('UPDATE users SET onboarding_complete = 1 WHERE id = ?').run(req.userId);
-  const user = db.prepare('SELECT id, username, display_name, photo_url, bio, location, gender, age, childhood_trauma, trauma_response, total_points, onboarding_complete FROM users WHERE id = ?').get(req.userId);
+  const user = db.prepare('SELECT id, username, display_name, photo_url, bio, location, gender, age, childhood_trauma, trauma_response, total_points, reputation, onboarding_complete FROM users WHERE id = ?').get(req.userId);
   res.json({ user });
 });
 
@@ -122,18 +125,53 @@ router.get('/leaderboard', requireAuth, (req, res) => {
   res.json({ users });
 });
 
+/**
+ * GET /preferences
+ *
+ * Returns the authenticated user's saved matchmaking preferences
+ * (defaults to "anyone" if nothing has been saved yet).
+ *
+ * @returns {{ preferences: Object }}
+ */
+router.get('/preferences', requireAuth, (req, res) => {
+  res.json({ preferences: preferencesService.getPreferences(req.userId) });
+});
+
+/**
+ * PUT /preferences
+ *
+ * Replaces the authenticated user's matchmaking preferences.  Omitted
+ * fields are reset to their defaults.
+ *
+ * @body {number}   [minAge]           - Minimum partner age (21-50).
+ * @body {number}   [maxAge]           - Maximum partner age (21-50).
+ * @body {string[]} [genders]          - Acceptable partner genders (empty = any).
+ * @body {boolean}  [sameLocationOnly] - Only match users from the same location.
+ * @body {boolean}  [avoidRepeats]     - Skip recently matched partners (default true).
+ * @returns {{ preferences: Object }} The saved preferences.
+ */
+router.put('/preferences', requireAuth, (req, res) => {
+  const { preferences, error } = preferencesService.normalizePreferences(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+  preferencesService.savePreferences(req.userId, preferences);
+  res.json({ preferences });
+});
+
 /**
  * GET /:id
  *
  * Returns the public profile of a specific user by database ID.
- * Exposes a limited set of fields (no username, password_hash, trauma, etc.).
+ * Exposes a limited set of fields (no username, password_hash, trauma, etc.),
+ * including the rating-based reputation score.
  *
  * @param {string} id - The user's database ID (route parameter).
  * @returns {{ user: Object }} Public profile fields.
  */
 router.get('/:id', requireAuth, (req, res) => {
   const db = getDb();
-  const user = db.prepare('SELECT id, display_name, photo_url, bio, location, gender, age, total_points FROM users WHERE id = ?').get(req.params.id);
+  const user = db.prepare('SELECT id, display_name, photo_url, bio, location, gender, age, total_points, reputation FROM users WHERE id = ?').get(req.params.id);
   if (!user) return res.status(404).json({ error: 'User not found' });
   res.json({ user });
 });
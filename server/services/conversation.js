@@ -1,21 +1,30 @@
 /**
  * @file Conversation data-access service.
  *
- * Provides CRUD-style helpers for the `conversations` table and
- * encapsulates all status transitions in the conversation lifecycle:
+ * Provides CRUD-style helpers for the `conversations` table, plus named
+ * wrappers for the lifecycle transitions (which are declared, applied and
+ * recorded by services/stateMachine):
  *
  *   ACTIVE -> EXTENSION_PENDING  (handled by timer service)
  *   EXTENSION_PENDING -> PHOTO_EXCHANGE  (extendConversation)
  *   EXTENSION_PENDING -> FRIENDS_FOREVER (setFriendsForever)
- *   EXTENSION_PENDING -> CLOSED          (closeConversation)
  *   PHOTO_EXCHANGE -> ACTIVE             (setActive, after ratings complete)
  *   any non-CLOSED -> CLOSED             (closeConversation)
  *
+ * Each wrapper returns the updated row, or null if the transition was
+ * not legal from the conversation's current status.
+ *
+ * Membership lives in `conversation_participants` for pairs and group
+ * rooms alike; {@link getParticipantIds} is the authoritative member list,
+ * while `user1_id` / `user2_id` remain for pair-only helpers such as
+ * {@link getPartnerUserId}.
+ *
  * @module server/services/conversation
  */
 
 const { getDb } = require('../db/init');
-const { CONVERSATION_STATUS } = require('../../shared/constants');
+const { CONVERSATION_STATUS, TIMER_PROFILES, DEFAULT_TIMER_PROFILE } = require('../../shared/constants');
+const stateMachine = require('./stateMachine');
 
 /**
  * Fetches a conversation by its database ID.
@@ -39,11 +48,319 @@ function getConversationByRoom(roomId) {
   return db.prepare('SELECT * FROM conversations WHERE room_id = ?').get(roomId);
 }
 
+/**
+ * Creates a conversation and its participant rows in one transaction.
+ *
+ * The first two users are also stored as user1_id / user2_id so pair
+ * conversations keep working with the column-based queries.
+ *
+ * @param {number[]} userIds - Participants (at least two).
+ * @param {string}   roomId  - Socket.IO room UUID.
+ * @param {boolean}  [isGroup=false] - Whether this is a group therapy room.
+ * @param {string}   [timerProfile=DEFAULT_TIMER_PROFILE] - TIMER_PROFILES key;
+ *   its durations are copied onto the row for the timer to use.
+ * @returns {number} The new conversation's ID.
+ */
+function createConversation(userIds, roomId, isGroup = false, timerProfile = DEFAULT_TIMER_PROFILE) {
+  const profile = TIMER_PROFILES[timerProfile];
+  const db = getDb();
+  const insertParticipant = db.prepare(
+    'INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)'
+  );
+  const create = db.transaction(() => {
+    const result = db.prepare(
+      `INSERT INTO conversations (user1_id, user2_id, room_id, status, is_group, timer_profile, timer_seconds, timer_warning_seconds)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    ).run(userIds[0], userIds[1], roomId, CONVERSATION_STATUS.ACTIVE, isGroup ? 1 : 0,
+      timerProfile, profile.SECONDS, profile.WARNING_SECONDS);
+    for (const userId of userIds) insertParticipant.run(result.lastInsertRowid, userId);
+    stateMachine.recordCreated(result.lastInsertRowid);
+    return result.lastInsertRowid;
+  });
+  return create();
+}
+
+/**
+ * Returns the IDs of everyone still in a conversation (members who left
+ * a group are excluded), in join order.
+ *
+ * @param {number} conversationId
+ * @returns {number[]}
+ */
+function getParticipantIds(conversationId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT user_id FROM conversation_participants
+    WHERE conversation_id = ? AND left_at IS NULL
+    ORDER BY rowid
+  `).all(conversationId).map(r => r.user_id);
+}
+
+/**
+ * Returns the public profile of everyone still in a conversation.
+ *
+ * @param {number} conversationId
+ * @returns {Array<{ id: number, display_name: string, photo_url: string|null }>}
+ */
+function getParticipants(conversationId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT u.id, u.display_name, u.photo_url FROM conversation_participants p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.conversation_id = ? AND p.left_at IS NULL
+    ORDER BY p.rowid
+  `).all(conversationId);
+}
+
+/**
+ * Checks whether a user is (still) a member of a conversation.
+ *
+ * @param {number} conversationId
+ * @param {number} userId
+ * @returns {boolean}
+ */
+function isParticipant(conversationId, userId) {
+  const db = getDb();
+  return !!db.prepare(
+    'SELECT 1 FROM conversation_participants WHERE conversation_id = ? AND user_id = ? AND left_at IS NULL'
+  ).get(conversationId, userId);
+}
+
+/**
+ * Marks a user as having left a group conversation.  The group itself
+ * stays open; closing it when too few members remain is up to the caller.
+ *
+ * @param {number} conversationId
+ * @param {number} userId
+ */
+function removeParticipant(conversationId, userId) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE conversation_participants SET left_at = datetime('now')
+    WHERE conversation_id = ? AND user_id = ? AND left_at IS NULL
+  `).run(conversationId, userId);
+}
+
+/**
+ * Advances a member's receipt watermarks.  Reading a message implies it
+ * was delivered, so `read` also moves the delivered watermark.  IDs past
+ * the conversation's latest message are capped, and watermarks never
+ * move backwards.
+ *
+ * @param {number} conversationId
+ * @param {number} userId
+ * @param {number} messageId - Every message up to this ID is covered.
+ * @param {'delivered'|'read'} kind
+ * @returns {{ userId: number, deliveredUpTo: number, readUpTo: number }|null}
+ *   The member's receipt if it changed, otherwise null.
+ */
+function markReceipt(conversationId, userId, messageId, kind) {
+  const db = getDb();
+  const latest = db.prepare('SELECT MAX(id) AS id FROM messages WHERE conversation_id = ?').get(conversationId).id || 0;
+  const upTo = Math.min(messageId, latest);
+  const result = db.prepare(`
+    UPDATE conversation_participants
+    SET last_delivered_id = MAX(last_delivered_id, @upTo),
+        last_read_id = CASE WHEN @read THEN MAX(last_read_id, @upTo) ELSE last_read_id END
+    WHERE conversation_id = @conversationId AND user_id = @userId
+      AND (last_delivered_id < @upTo OR (@read AND last_read_id < @upTo))
+  `).run({ conversationId, userId, upTo, read: kind === 'read' ? 1 : 0 });
+  if (result.changes === 0) return null;
+  return getReceipts(conversationId).find(r => r.userId === userId);
+}
+
+/**
+ * Returns every member's receipt watermarks (members who left included,
+ * since their receipts still apply to older messages).
+ *
+ * @param {number} conversationId
+ * @returns {Array<{ userId: number, deliveredUpTo: number, readUpTo: number }>}
+ */
+function getReceipts(conversationId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT user_id AS userId, last_delivered_id AS deliveredUpTo, last_read_id AS readUpTo
+    FROM conversation_participants WHERE conversation_id = ? ORDER BY rowid
+  `).all(conversationId);
+}
+
+/**
+ * Fetches a user-sent (text or voice) message of a conversation.
+ *
+ * @param {number} conversationId
+ * @param {number} messageId
+ * @returns {Object|undefined} The message row, or undefined if there is no
+ *   such message in the conversation, it is a system message, or it was
+ *   deleted.
+ */
+function getUserMessage(conversationId, messageId) {
+  const db = getDb();
+  return db.prepare(`
+    SELECT * FROM messages
+    WHERE id = ? AND conversation_id = ? AND message_type != 'system' AND deleted_at IS NULL
+  `).get(messageId, conversationId);
+}
+
+/**
+ * Replaces the text of a message, keeping the previous text in
+ * `message_edits`.
+ *
+ * @param {number} messageId
+ * @param {string} content - The new text.
+ * @returns {Object} The updated message row.
+ */
+function editMessage(messageId, content) {
+  const db = getDb();
+  const apply = db.transaction(() => {
+    db.prepare('INSERT INTO message_edits (message_id, previous_content) SELECT id, content FROM messages WHERE id = ?')
+      .run(messageId);
+    db.prepare("UPDATE messages SET content = ?, edited_at = datetime('now') WHERE id = ?").run(content, messageId);
+    return db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId);
+  });
+  return apply();
+}
+
+/**
+ * Turns a message into a tombstone: its text or voice note is cleared and
+ * `deleted_at` is set, but the row stays so replies and receipts still
+ * line up.
+ *
+ * @param {number} messageId
+ * @returns {Object} The updated message row.
+ */
+function deleteMessage(messageId) {
+  const db = getDb();
+  db.prepare(`
+    UPDATE messages SET content = NULL, voice_url = NULL, voice_duration = NULL, deleted_at = datetime('now')
+    WHERE id = ?
+  `).run(messageId);
+  return db.prepare('SELECT * FROM messages WHERE id = ?').get(messageId);
+}
+
+/**
+ * Adds a user's emoji reaction to a message.
+ *
+ * @param {number} messageId
+ * @param {number} userId
+ * @param {string} emoji - One of REACTION_EMOJIS.
+ * @returns {boolean} False if the user had already reacted with that emoji.
+ */
+function addReaction(messageId, userId, emoji) {
+  const db = getDb();
+  return db.prepare('INSERT OR IGNORE INTO message_reactions (message_id, user_id, emoji) VALUES (?, ?, ?)')
+    .run(messageId, userId, emoji).changes > 0;
+}
+
+/**
+ * Removes a user's emoji reaction from a message.
+ *
+ * @param {number} messageId
+ * @param {number} userId
+ * @param {string} emoji
+ * @returns {boolean} False if there was no such reaction.
+ */
+function removeReaction(messageId, userId, emoji) {
+  const db = getDb();
+  return db.prepare('DELETE FROM message_reactions WHERE message_id = ? AND user_id = ? AND emoji = ?')
+    .run(messageId, userId, emoji).changes > 0;
+}
+
+/**
+ * Groups reaction rows by message and emoji, in the order each emoji was
+ * first used on the message.
+ *
+ * @param {Array<{ message_id: number, user_id: number, emoji: string }>} rows - Ordered by time.
+ * @returns {Object.<number, Array<{ emoji: string, userIds: number[] }>>}
+ * @private
+ */
+function aggregateReactions(rows) {
+  const byMessage = {};
+  for (const row of rows) {
+    const reactions = byMessage[row.message_id] || (byMessage[row.message_id] = []);
+    let entry = reactions.find(r => r.emoji === row.emoji);
+    if (!entry) reactions.push(entry = { emoji: row.emoji, userIds: [] });
+    entry.userIds.push(row.user_id);
+  }
+  return byMessage;
+}
+
+/**
+ * Returns a message's reactions, one entry per emoji with the users who
+ * chose it.
+ *
+ * @param {number} messageId
+ * @returns {Array<{ emoji: string, userIds: number[] }>}
+ */
+function getMessageReactions(messageId) {
+  const db = getDb();
+  const rows = db.prepare('SELECT * FROM message_reactions WHERE message_id = ? ORDER BY created_at, rowid')
+    .all(messageId);
+  return aggregateReactions(rows)[messageId] || [];
+}
+
+/**
+ * Returns the reactions to several messages, keyed by message ID
+ * (messages without reactions are omitted).
+ *
+ * @param {number[]} messageIds
+ * @returns {Object.<number, Array<{ emoji: string, userIds: number[] }>>}
+ */
+function getReactionsForMessages(messageIds) {
+  if (messageIds.length === 0) return {};
+  const db = getDb();
+  const rows = db.prepare(`
+    SELECT * FROM message_reactions WHERE message_id IN (${messageIds.map(() => '?').join(', ')})
+    ORDER BY created_at, rowid
+  `).all(...messageIds);
+  return aggregateReactions(rows);
+}
+
+/**
+ * Returns one page of a conversation's messages, oldest first.
+ *
+ * Pages are addressed by message ID cursors: `before` returns the newest
+ * `limit` messages older than that ID, `after` the oldest `limit` messages
+ * newer than it, and neither the latest `limit` messages.
+ *
+ * @param {number} conversationId
+ * @param {Object} options
+ * @param {number} [options.before] - Only messages with a smaller ID.
+ * @param {number} [options.after]  - Only messages with a larger ID.
+ * @param {number} options.limit    - Page size.
+ * @returns {{ messages: Object[], hasMore: boolean }} `hasMore` says whether
+ *   further messages exist beyond the page in the direction being paged
+ *   (newer for `after`, older otherwise).
+ */
+function getMessagesPage(conversationId, { before, after, limit }) {
+  const db = getDb();
+  // Fetch one extra row to find out whether there is another page.
+  const rows = after !== undefined
+    ? db.prepare('SELECT * FROM messages WHERE conversation_id = ? AND id > ? ORDER BY id LIMIT ?')
+      .all(conversationId, after, limit + 1)
+    : db.prepare('SELECT * FROM messages WHERE conversation_id = ? AND id < ? ORDER BY id DESC LIMIT ?')
+      .all(conversationId, before === undefined ? Number.MAX_SAFE_INTEGER : before, limit + 1);
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  return { messages: after !== undefined ? page : page.reverse(), hasMore };
+}
+
+/**
+ * Counts all messages of a conversation (system messages included).
+ *
+ * @param {number} conversationId
+ * @returns {number}
+ */
+function countMessages(conversationId) {
+  const db = getDb();
+  return db.prepare('SELECT COUNT(*) AS n FROM messages WHERE conversation_id = ?').get(conversationId).n;
+}
+
 /**
  * Determines the partner's user ID in a two-person conversation.
  *
- * Since conversations always have exactly two participants (user1 and user2),
- * this returns whichever one is NOT the supplied userId.
+ * Pair conversations have exactly two participants (user1 and user2), so
+ * this returns whichever one is NOT the supplied userId.  Not meaningful
+ * for group rooms -- use {@link getParticipantIds} there.
  *
  * @param {Object} conversation - A conversation row from the database.
  * @param {number} userId       - The "current" user's ID.
@@ -57,11 +374,11 @@ function getPartnerUserId(conversation, userId) {
  * Closes a conversation by setting its status to CLOSED.
  *
  * @param {number} conversationId
+ * @param {number|null} [actorId] - The user who caused it, if any.
+ * @returns {Object|null} The updated row, or null if it was already closed.
  */
-function closeConversation(conversationId) {
-  const db = getDb();
-  db.prepare('UPDATE conversations SET status = ? WHERE id = ?')
-    .run(CONVERSATION_STATUS.CLOSED, conversationId);
+function closeConversation(conversationId, actorId = null) {
+  return stateMachine.transition(conversationId, 'close', { actorId });
 }
 
 /**
@@ -72,11 +389,11 @@ function closeConversation(conversationId) {
  * no longer time-limited and the users retain permanent access.
  *
  * @param {number} conversationId
+ * @param {number|null} [actorId] - The user whose vote decided it.
+ * @returns {Object|null} The updated row, or null if no vote was pending.
  */
-function setFriendsForever(conversationId) {
-  const db = getDb();
-  db.prepare('UPDATE conversations SET status = ?, is_friends_forever = 1 WHERE id = ?')
-    .run(CONVERSATION_STATUS.FRIENDS_FOREVER, conversationId);
+function setFriendsForever(conversationId, actorId = null) {
+  return stateMachine.transition(conversationId, 'befriend', { actorId, set: { is_friends_forever: 1 } });
 }
 
 /**
@@ -87,35 +404,37 @@ function setFriendsForever(conversationId) {
  * conversation row so callers can read the new extensions_count.
  *
  * @param {number} conversationId
- * @returns {Object} The updated conversation row.
+ * @param {number|null} [actorId] - The user whose vote decided it.
+ * @returns {Object|null} The updated conversation row, or null if no vote was pending.
  */
-function extendConversation(conversationId) {
-  const db = getDb();
-  db.prepare('UPDATE conversations SET extensions_count = extensions_count + 1, status = ? WHERE id = ?')
-    .run(CONVERSATION_STATUS.PHOTO_EXCHANGE, conversationId);
-  return db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+function extendConversation(conversationId, actorId = null) {
+  return stateMachine.transition(conversationId, 'extend', {
+    actorId,
+    set: conv => ({ extensions_count: conv.extensions_count + 1 }),
+  });
 }
 
 /**
- * Resets a conversation's status to ACTIVE.
+ * Returns a conversation to ACTIVE after the photo exchange.
  *
- * Called after both users complete the photo-exchange and rating flow,
+ * Called after everyone completes the photo-exchange and rating flow,
  * just before a new timer is started.
  *
  * @param {number} conversationId
+ * @param {number|null} [actorId] - The user whose rating completed the round.
+ * @returns {Object|null} The updated row, or null if no photo exchange was running.
  */
-function setActive(conversationId) {
-  const db = getDb();
-  db.prepare('UPDATE conversations SET status = ? WHERE id = ?')
-    .run(CONVERSATION_STATUS.ACTIVE, conversationId);
+function setActive(conversationId, actorId = null) {
+  return stateMachine.transition(conversationId, 'ratings_complete', { actorId });
 }
 
 /**
  * Finds the most recent non-closed conversation for a given user.
  *
  * Returns conversations in any "live" status (active, extension_pending,
- * photo_exchange, or friends_forever).  Used primarily during reconnect
- * to determine whether the user should rejoin an existing room.
+ * photo_exchange, or friends_forever) that the user has not left.  Used
+ * primarily during reconnect to determine whether the user should rejoin
+ * an existing room.
  *
  * @param {number} userId
  * @returns {Object|undefined} The conversation row, or undefined if none is active.
@@ -123,20 +442,79 @@ function setActive(conversationId) {
 function getActiveConversationForUser(userId) {
   const db = getDb();
   return db.prepare(`
-    SELECT * FROM conversations
-    WHERE (user1_id = ? OR user2_id = ?)
-    AND status IN ('active', 'extension_pending', 'photo_exchange', 'friends_forever')
-    ORDER BY created_at DESC LIMIT 1
-  `).get(userId, userId);
+    SELECT c.* FROM conversations c
+    JOIN conversation_participants p ON p.conversation_id = c.id
+    WHERE p.user_id = ? AND p.left_at IS NULL
+    AND c.status IN ('active', 'extension_pending', 'photo_exchange', 'friends_forever')
+    ORDER BY c.created_at DESC, c.id DESC LIMIT 1
+  `).get(userId);
+}
+
+/**
+ * Returns the IDs of users this user has talked to "recently" and should
+ * therefore not be re-matched with.
+ *
+ * A partner is recent if a conversation with them started within the
+ * last `hours` hours, or is among this user's last `conversations`
+ * conversations.  Partners the user is Friends Forever with are never
+ * included -- friends may always meet again.  Group rooms are ignored.
+ *
+ * @param {number} userId
+ * @param {{ hours: number, conversations: number }} window - 0 disables either rule.
+ * @returns {Set<number>} Partner user IDs.
+ */
+function getRecentPartnerIds(userId, { hours, conversations }) {
+  const db = getDb();
+  const partnerExpr = 'CASE WHEN user1_id = ? THEN user2_id ELSE user1_id END';
+  const recent = new Set();
+
+  if (hours > 0) {
+    db.prepare(`
+      SELECT ${partnerExpr} AS partner_id FROM conversations
+      WHERE (user1_id = ? OR user2_id = ?) AND is_group = 0 AND created_at >= datetime('now', ?)
+    `).all(userId, userId, userId, `-${hours} hours`).forEach(r => recent.add(r.partner_id));
+  }
+  if (conversations > 0) {
+    db.prepare(`
+      SELECT ${partnerExpr} AS partner_id FROM conversations
+      WHERE (user1_id = ? OR user2_id = ?) AND is_group = 0
+      ORDER BY id DESC LIMIT ?
+    `).all(userId, userId, userId, conversations).forEach(r => recent.add(r.partner_id));
+  }
+
+  if (recent.size > 0) {
+    db.prepare(`
+      SELECT ${partnerExpr} AS partner_id FROM conversations
+      WHERE (user1_id = ? OR user2_id = ?) AND is_group = 0 AND is_friends_forever = 1
+    `).all(userId, userId, userId).forEach(r => recent.delete(r.partner_id));
+  }
+  return recent;
 }
 
 module.exports = {
   getConversation,
   getConversationByRoom,
+  createConversation,
+  getParticipantIds,
+  getParticipants,
+  isParticipant,
+  removeParticipant,
+  markReceipt,
+  getReceipts,
+  getUserMessage,
+  editMessage,
+  deleteMessage,
+  addReaction,
+  removeReaction,
+  getMessageReactions,
+  getReactionsForMessages,
+  getMessagesPage,
+  countMessages,
   getPartnerUserId,
   closeConversation,
   setFriendsForever,
   extendConversation,
   setActive,
   getActiveConversationForUser,
+  getRecentPartnerIds,
 };
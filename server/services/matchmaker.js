@@ -7,27 +7,88 @@
  *   - `userSockets` -- lookup from userId to their current socket ID
  *                      (used to address individual sockets from anywhere
  *                      in the server).
+ *   - `groupQueue`  -- ordered list of users waiting for a group therapy room.
+ *   - `recentMatchTimes` -- timestamps of recent matches, used to estimate
+ *                      wait times in {@link getQueueStatus}.
  *
- * When at least two users are in the queue, {@link tryMatch} dequeues
- * the first two, creates a new conversation row in SQLite, generates a
- * unique room ID (UUID v4), and returns the match details so the caller
- * (socket handler) can join both sockets to the room and start the timer.
+ * Who gets paired is decided by a pluggable strategy (see
+ * services/strategies): plain FIFO, preference-filtered, trauma-category
+ * (the default) or reputation-tiered.  The strategy is chosen with
+ * MATCHMAKING.STRATEGY (env MATCH_STRATEGY) and can be swapped at runtime
+ * with {@link setStrategy}.  This module keeps the bookkeeping shared by
+ * all of them: when {@link tryMatch} gets a pair back, it dequeues both
+ * users, creates a conversation row in SQLite with a unique room ID
+ * (UUID v4), and returns the match details so the caller (socket handler)
+ * can join both sockets to the room and start the timer.
+ *
+ * Both queues are mirrored to the `queue_entries` table.  After a restart
+ * {@link restoreQueue} loads the saved entries, and each user gets their
+ * old spot (and wait time) back via {@link reclaimQueueEntry} when they
+ * reconnect; entries nobody reclaims are dropped with
+ * {@link dropUnclaimedQueueEntries}.
+ *
+ * Group rooms are formed FIFO by {@link tryGroupMatch} once GROUP.TARGET_SIZE
+ * users are waiting, or with at least GROUP.MIN_SIZE once the oldest has
+ * waited GROUP.FILL_SECONDS.  Preferences and strategies do not apply.
+ *
+ * Every queued user has picked a timer profile (TIMER_PROFILES), and both
+ * kinds of matching only ever put users with the same profile together:
+ * each profile's users are matched as a separate queue.
  *
  * @module server/services/matchmaker
  */
 
 const { v4: uuidv4 } = require('uuid');
 const { getDb } = require('../db/init');
-const { CONVERSATION_STATUS } = require('../../shared/constants');
+const { MATCHMAKING, GROUP, TIMER_PROFILES, DEFAULT_TIMER_PROFILE } = require('../../shared/constants');
+const { getTraumaCategory, getTraumaAffinity } = require('./trauma');
+const preferencesService = require('./preferences');
+const conversationService = require('./conversation');
+const { getStrategy } = require('./strategies');
+
+/**
+ * A single waiting user.
+ * @typedef {Object} QueueEntry
+ * @property {number}      userId         - The user's database ID.
+ * @property {string}      socketId       - The user's Socket.IO socket ID at join time.
+ * @property {number}      joinedAt       - Epoch ms when the user entered the queue.
+ * @property {string}      timerProfile   - The TIMER_PROFILES key the user picked.
+ * @property {string|null} traumaCategory - Category derived from the user's
+ *                                          childhood_trauma, or null if unclassified.
+ * @property {{ age: number|null, gender: string|null, location: string|null }} profile
+ *                                          Demographics the partner's preferences are checked against.
+ * @property {Object}      preferences    - Normalised match preferences (see services/preferences).
+ * @property {number}      reputation     - The user's rating-based reputation score.
+ * @property {Set<number>} recentPartnerIds - Users this user talked to within the
+ *                                          MATCHMAKING repeat window (Friends Forever excluded).
+ */
 
 /**
- * In-memory matchmaking queue.
- * Each entry is an object with `{ userId: number, socketId: string }`.
- * Users are matched in FIFO order.
- * @type {Array<{ userId: number, socketId: string }>}
+ * In-memory matchmaking queue, ordered by join time (oldest first).
+ * @type {QueueEntry[]}
  */
 const queue = [];
 
+/**
+ * In-memory group therapy queue, ordered by join time (oldest first).
+ * @type {Array<{ userId: number, socketId: string, joinedAt: number, timerProfile: string }>}
+ */
+const groupQueue = [];
+
+/**
+ * Queue entries loaded from the database after a restart, waiting for
+ * their user to reconnect.  Keyed by userId.
+ * @type {Map<number, { mode: string, preferences: Object|null, timerProfile: string, joinedAt: number }>}
+ */
+const restoredEntries = new Map();
+
+/**
+ * Epoch ms timestamps of matches made within the last
+ * MATCHMAKING.THROUGHPUT_WINDOW_MS, oldest first.
+ * @type {number[]}
+ */
+const recentMatchTimes = [];
+
 /**
  * Maps a user's database ID to their current Socket.IO socket ID.
  * Updated on every connect / disconnect and queue join so the server
@@ -36,65 +97,348 @@ const queue = [];
  */
 const userSockets = new Map();
 
+/**
+ * The active pairing strategy.  Resolved at load time so a misspelt
+ * MATCH_STRATEGY fails on startup rather than on the first match.
+ * @type {{ name: string, findPair: Function }}
+ */
+let strategy = getStrategy(MATCHMAKING.STRATEGY);
+
+/**
+ * Switches the pairing strategy.  Users already queued are matched by the
+ * new strategy from the next {@link tryMatch} on.
+ *
+ * @param {string} name - A key of the strategies registry.
+ * @throws {Error} If no strategy with that name exists.
+ */
+function setStrategy(name) {
+  strategy = getStrategy(name);
+}
+
+/**
+ * @returns {string} Name of the active pairing strategy.
+ */
+function getStrategyName() {
+  return strategy.name;
+}
+
+/**
+ * Inserts an entry into a queue, keeping it ordered by join time.
+ *
+ * @param {Array<{ joinedAt: number }>} q
+ * @param {{ joinedAt: number }} entry
+ * @private
+ */
+function insertByJoinTime(q, entry) {
+  const idx = q.findIndex(other => other.joinedAt > entry.joinedAt);
+  if (idx === -1) q.push(entry);
+  else q.splice(idx, 0, entry);
+}
+
+/**
+ * Splits a queue into one queue per timer profile, keeping the join-time
+ * order within each.  Profiles are listed in the order of their
+ * longest-waiting user, so that user's profile is matched first.
+ *
+ * @param {Array<{ timerProfile: string }>} q
+ * @returns {Array<Array<Object>>}
+ * @private
+ */
+function splitByTimerProfile(q) {
+  const byProfile = new Map();
+  for (const entry of q) {
+    if (!byProfile.has(entry.timerProfile)) byProfile.set(entry.timerProfile, []);
+    byProfile.get(entry.timerProfile).push(entry);
+  }
+  return [...byProfile.values()];
+}
+
+/**
+ * Saves a queue entry to the `queue_entries` table.
+ *
+ * @param {number} userId
+ * @param {'pair'|'group'} mode
+ * @param {Object|null} preferences - Per-session override, or null for the saved ones.
+ * @param {string} timerProfile
+ * @param {number} joinedAt - Epoch ms.
+ * @private
+ */
+function persistEntry(userId, mode, preferences, timerProfile, joinedAt) {
+  getDb().prepare(
+    'INSERT OR REPLACE INTO queue_entries (user_id, mode, preferences, timer_profile, joined_at) VALUES (?, ?, ?, ?, ?)'
+  ).run(userId, mode, preferences ? JSON.stringify(preferences) : null, timerProfile, joinedAt);
+}
+
+/**
+ * Deletes users' saved queue entries.
+ *
+ * @param {number[]} userIds
+ * @private
+ */
+function unpersistEntries(userIds) {
+  const stmt = getDb().prepare('DELETE FROM queue_entries WHERE user_id = ?');
+  for (const userId of userIds) stmt.run(userId);
+}
+
 /**
  * Adds a user to the matchmaking queue.
  *
  * If the user is already queued (e.g. due to a reconnect), the stale
  * entry is removed first to prevent duplicates.
  *
- * @param {number} userId   - The user's database ID.
- * @param {string} socketId - The user's current Socket.IO socket ID.
+ * @param {number} userId        - The user's database ID.
+ * @param {string} socketId      - The user's current Socket.IO socket ID.
+ * @param {Object} [preferences] - Normalised preferences for this queue session;
+ *                                 defaults to the user's saved preferences.
+ * @param {string} [timerProfile] - TIMER_PROFILES key; defaults to DEFAULT_TIMER_PROFILE.
+ * @param {number} [joinedAt]    - Epoch ms the user started waiting; defaults
+ *                                 to now (restored entries keep their original time).
  */
-function addToQueue(userId, socketId) {
+function addToQueue(userId, socketId, preferences, timerProfile = DEFAULT_TIMER_PROFILE, joinedAt = Date.now()) {
   // Remove any existing entry to avoid duplicate queue positions.
   removeFromQueue(userId);
-  queue.push({ userId, socketId });
+
+  // Load everything tryMatch needs once at join time so it does not
+  // hit the DB per comparison.
+  const db = getDb();
+  const user = db.prepare('SELECT age, gender, location, childhood_trauma, reputation FROM users WHERE id = ?').get(userId) || {};
+  const traumaCategory = getTraumaCategory(user.childhood_trauma);
+
+  insertByJoinTime(queue, {
+    userId,
+    socketId,
+    joinedAt,
+    timerProfile,
+    traumaCategory,
+    reputation: user.reputation,
+    profile: { age: user.age, gender: user.gender, location: user.location },
+    preferences: preferences || preferencesService.getPreferences(userId),
+    recentPartnerIds: conversationService.getRecentPartnerIds(userId, {
+      hours: MATCHMAKING.REPEAT_WINDOW_HOURS,
+      conversations: MATCHMAKING.REPEAT_WINDOW_CONVERSATIONS,
+    }),
+  });
+  userSockets.set(userId, socketId);
+  persistEntry(userId, 'pair', preferences || null, timerProfile, joinedAt);
+}
+
+/**
+ * Adds a user to the group therapy queue, removing them from any queue
+ * they were already in.
+ *
+ * @param {number} userId     - The user's database ID.
+ * @param {string} socketId   - The user's current Socket.IO socket ID.
+ * @param {string} [timerProfile] - TIMER_PROFILES key; defaults to DEFAULT_TIMER_PROFILE.
+ * @param {number} [joinedAt] - Epoch ms the user started waiting; defaults to now.
+ */
+function addToGroupQueue(userId, socketId, timerProfile = DEFAULT_TIMER_PROFILE, joinedAt = Date.now()) {
+  removeFromQueue(userId);
+  insertByJoinTime(groupQueue, { userId, socketId, joinedAt, timerProfile });
   userSockets.set(userId, socketId);
+  persistEntry(userId, 'group', null, timerProfile, joinedAt);
 }
 
 /**
- * Removes a user from the matchmaking queue (if present).
+ * Removes a user from the matchmaking and group queues (if present).
  *
  * @param {number} userId - The user's database ID.
  */
 function removeFromQueue(userId) {
-  const idx = queue.findIndex(q => q.userId === userId);
-  if (idx !== -1) queue.splice(idx, 1);
+  for (const q of [queue, groupQueue]) {
+    const idx = q.findIndex(entry => entry.userId === userId);
+    if (idx !== -1) q.splice(idx, 1);
+  }
+  restoredEntries.delete(userId);
+  unpersistEntries([userId]);
+}
+
+/**
+ * Loads the queue entries saved before a restart.  They are not matched
+ * until their user reconnects (see {@link reclaimQueueEntry}).
+ *
+ * @returns {number} How many entries were restored.
+ */
+function restoreQueue() {
+  const rows = getDb().prepare('SELECT * FROM queue_entries').all();
+  for (const row of rows) {
+    restoredEntries.set(row.user_id, {
+      mode: row.mode,
+      preferences: row.preferences ? JSON.parse(row.preferences) : null,
+      // Entries saved before timer profiles existed (or with one since removed).
+      timerProfile: TIMER_PROFILES[row.timer_profile] ? row.timer_profile : DEFAULT_TIMER_PROFILE,
+      joinedAt: row.joined_at,
+    });
+  }
+  return rows.length;
+}
+
+/**
+ * Puts a reconnecting user back into the queue they were waiting in
+ * before a restart, keeping their original join time.
+ *
+ * @param {number} userId
+ * @param {string} socketId - The user's new socket ID.
+ * @returns {boolean} True if the user had a restored entry.
+ */
+function reclaimQueueEntry(userId, socketId) {
+  const entry = restoredEntries.get(userId);
+  if (!entry) return false;
+  restoredEntries.delete(userId);
+  if (entry.mode === 'group') addToGroupQueue(userId, socketId, entry.timerProfile, entry.joinedAt);
+  else addToQueue(userId, socketId, entry.preferences || undefined, entry.timerProfile, entry.joinedAt);
+  return true;
+}
+
+/**
+ * Forgets restored queue entries whose users never reconnected.
+ */
+function dropUnclaimedQueueEntries() {
+  unpersistEntries([...restoredEntries.keys()]);
+  restoredEntries.clear();
 }
 
 /**
- * Attempts to match the first two users in the queue.
+ * Attempts to match two users from the queue.
+ *
+ * The active strategy is asked for a pair within each timer profile's
+ * users in turn.  If it finds none, returns null.  Otherwise, dequeues
+ * both users, creates a conversation record (with their timer profile)
+ * in the database, and returns the match details.
  *
- * If fewer than two users are queued, returns null.
- * Otherwise, dequeues both users, creates a conversation record in the
- * database, and returns the match details.
+ * `traumaMatch` describes how the pair's traumas relate, whichever
+ * strategy chose them: `affinity` is "same", "complementary", or null; `categories` holds
+ * user1's and user2's categories in that order.
  *
- * @returns {{ conversationId: number, roomId: string,
- *             user1: { userId: number, socketId: string },
- *             user2: { userId: number, socketId: string } } | null}
- *   The match result, or null if not enough users are queued.
+ * @returns {{ conversationId: number, roomId: string, timerProfile: string,
+ *             user1: QueueEntry, user2: QueueEntry,
+ *             traumaMatch: { affinity: string|null, categories: Array<string|null> } } | null}
+ *   The match result, or null if no pair can be made yet.
  */
 function tryMatch() {
   if (queue.length < 2) return null;
 
-  // FIFO: the two longest-waiting users are paired.
-  const user1 = queue.shift();
-  const user2 = queue.shift();
-  const roomId = uuidv4();
+  const now = Date.now();
+  let pair = null;
+  for (const profileQueue of splitByTimerProfile(queue)) {
+    if (profileQueue.length < 2) continue;
+    const found = strategy.findPair(profileQueue, now);
+    if (found) {
+      pair = [profileQueue[found.i], profileQueue[found.j]];
+      break;
+    }
+  }
+  if (!pair) return null;
 
-  const db = getDb();
-  const result = db.prepare(
-    'INSERT INTO conversations (user1_id, user2_id, room_id, status) VALUES (?, ?, ?, ?)'
-  ).run(user1.userId, user2.userId, roomId, CONVERSATION_STATUS.ACTIVE);
+  // user1 is whoever has waited longer.
+  const [user1, user2] = pair.sort((a, b) => queue.indexOf(a) - queue.indexOf(b));
+  queue.splice(queue.indexOf(user2), 1);
+  queue.splice(queue.indexOf(user1), 1);
+  unpersistEntries([user1.userId, user2.userId]);
+  recentMatchTimes.push(Date.now());
+  const roomId = uuidv4();
+  const conversationId = conversationService.createConversation(
+    [user1.userId, user2.userId], roomId, false, user1.timerProfile);
 
   return {
-    conversationId: result.lastInsertRowid,
+    conversationId,
     roomId,
+    timerProfile: user1.timerProfile,
     user1,
     user2,
+    traumaMatch: {
+      affinity: getTraumaAffinity(user1.traumaCategory, user2.traumaCategory),
+      categories: [user1.traumaCategory, user2.traumaCategory],
+    },
   };
 }
 
+/**
+ * Attempts to form a group therapy room from the group queue.
+ *
+ * Among the users who picked the same timer profile, takes the oldest
+ * GROUP.TARGET_SIZE as soon as that many are waiting.  Otherwise, once
+ * the oldest of them has waited GROUP.FILL_SECONDS, all of them are
+ * grouped as long as there are at least GROUP.MIN_SIZE.
+ *
+ * @returns {{ conversationId: number, roomId: string, timerProfile: string,
+ *             members: Array<{ userId: number, socketId: string }> } | null}
+ *   The new room, or null if no group can be formed yet.
+ */
+function tryGroupMatch() {
+  for (const profileQueue of splitByTimerProfile(groupQueue)) {
+    if (profileQueue.length < GROUP.MIN_SIZE) continue;
+
+    const size = Math.min(profileQueue.length, GROUP.TARGET_SIZE);
+    if (size < GROUP.TARGET_SIZE && Date.now() - profileQueue[0].joinedAt < GROUP.FILL_SECONDS * 1000) {
+      continue;
+    }
+
+    const members = profileQueue.slice(0, size);
+    for (const member of members) groupQueue.splice(groupQueue.indexOf(member), 1);
+    unpersistEntries(members.map(m => m.userId));
+    recentMatchTimes.push(Date.now());
+    const roomId = uuidv4();
+    const { timerProfile } = members[0];
+    const conversationId = conversationService.createConversation(members.map(m => m.userId), roomId, true, timerProfile);
+
+    return { conversationId, roomId, timerProfile, members };
+  }
+  return null;
+}
+
+/**
+ * Describes a queued user's place in line.
+ *
+ * The estimated wait assumes matches keep happening at the rate seen over
+ * the last THROUGHPUT_WINDOW_MS, and that each match consumes two of the
+ * users ahead of (or including) this one.  With no recent matches there
+ * is nothing to extrapolate from, so the estimate is null.  Users in the
+ * group queue get no estimate; `groupSize` tells them how many people the
+ * room is waiting for instead.  Only users with the same timer profile
+ * count, since nobody else can be matched with them.
+ *
+ * @param {number} userId
+ * @returns {{ position: number, waiting: number, estimatedWaitSeconds: number|null,
+ *             timerProfile: string, groupSize?: number } | null}
+ *   1-based queue position, total users waiting and estimated seconds
+ *   until matched; or null if the user is not queued.
+ */
+function getQueueStatus(userId) {
+  const groupEntry = groupQueue.find(q => q.userId === userId);
+  if (groupEntry) {
+    const sameProfile = groupQueue.filter(q => q.timerProfile === groupEntry.timerProfile);
+    return {
+      position: sameProfile.indexOf(groupEntry) + 1,
+      waiting: sameProfile.length,
+      estimatedWaitSeconds: null,
+      timerProfile: groupEntry.timerProfile,
+      groupSize: GROUP.TARGET_SIZE,
+    };
+  }
+
+  const entry = queue.find(q => q.userId === userId);
+  if (!entry) return null;
+  const sameProfile = queue.filter(q => q.timerProfile === entry.timerProfile);
+  const idx = sameProfile.indexOf(entry);
+
+  // Drop matches that have fallen out of the throughput window.
+  const now = Date.now();
+  while (recentMatchTimes.length && now - recentMatchTimes[0] > MATCHMAKING.THROUGHPUT_WINDOW_MS) {
+    recentMatchTimes.shift();
+  }
+
+  let estimatedWaitSeconds = null;
+  if (recentMatchTimes.length > 0) {
+    // Matches per second, measured from the oldest recorded match.
+    const elapsed = Math.max(now - recentMatchTimes[0], 1000) / 1000;
+    const rate = recentMatchTimes.length / elapsed;
+    const matchesNeeded = Math.ceil((idx + 1) / 2);
+    estimatedWaitSeconds = Math.round(matchesNeeded / rate);
+  }
+
+  return { position: idx + 1, waiting: sameProfile.length, estimatedWaitSeconds, timerProfile: entry.timerProfile };
+}
+
 /**
  * Registers (or updates) the socket ID for a connected user.
  * Called on every new socket connection.
@@ -130,11 +474,20 @@ function getSocketId(userId) {
 
 module.exports = {
   queue,
+  groupQueue,
   userSockets,
   addToQueue,
+  addToGroupQueue,
   removeFromQueue,
   tryMatch,
+  tryGroupMatch,
+  restoreQueue,
+  reclaimQueueEntry,
+  dropUnclaimedQueueEntries,
+  getQueueStatus,
   registerSocket,
   unregisterSocket,
   getSocketId,
+  setStrategy,
+  getStrategyName,
 };
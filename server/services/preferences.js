@@ -0,0 +1,205 @@
+/**
+ * @file Match preference service.
+ *
+ * Stores each user's matchmaking filters in the `match_preferences`
+ * table and decides whether two queued users are mutually compatible.
+ *
+ * A preference set has the shape:
+ *
+ *   {
+ *     minAge: number|null,          // inclusive lower bound on partner age
+ *     maxAge: number|null,          // inclusive upper bound on partner age
+ *     genders: string[],            // acceptable partner genders (empty = any)
+ *     sameLocationOnly: boolean,    // partner must share the same location
+ *     avoidRepeats: boolean,        // skip partners talked to recently
+ *   }
+ *
+ * Demographic preferences are relaxed the longer a user waits (see
+ * {@link acceptsPartner}) so that picky users on a quiet night still
+ * get matched eventually.  Repeat avoidance is never relaxed.
+ *
+ * @module server/services/preferences
+ */
+
+const { getDb } = require('../db/init');
+const { MATCHMAKING } = require('../../shared/constants');
+
+/** Allowed user ages (mirrors the PUT /api/users/profile validation). */
+const MIN_AGE = 21;
+const MAX_AGE = 50;
+
+/** Gender values offered during onboarding. */
+const GENDERS = ['male', 'female', 'non-binary', 'other'];
+
+/**
+ * Preferences applied when a user has never saved any: accept everyone
+ * except recent partners.
+ * @type {{ minAge: null, maxAge: null, genders: string[], sameLocationOnly: boolean, avoidRepeats: boolean }}
+ */
+const DEFAULT_PREFERENCES = {
+  minAge: null,
+  maxAge: null,
+  genders: [],
+  sameLocationOnly: false,
+  avoidRepeats: true,
+};
+
+/**
+ * Validates and normalises a raw preference payload (from a REST body
+ * or a JOIN_QUEUE event).
+ *
+ * Missing fields fall back to {@link DEFAULT_PREFERENCES}.
+ *
+ * @param {Object} [raw={}] - Untrusted input.
+ * @returns {{ preferences?: Object, error?: string }} Either the normalised
+ *   preferences or a human-readable error message.
+ */
+function normalizePreferences(raw = {}) {
+  const prefs = { ...DEFAULT_PREFERENCES };
+
+  for (const key of ['minAge', 'maxAge']) {
+    const value = raw[key];
+    if (value === undefined || value === null || value === '') continue;
+    const n = Number(value);
+    if (!Number.isInteger(n) || n < MIN_AGE || n > MAX_AGE) {
+      return { error: `Age preferences must be whole numbers between ${MIN_AGE} and ${MAX_AGE}` };
+    }
+    prefs[key] = n;
+  }
+  if (prefs.minAge !== null && prefs.maxAge !== null && prefs.minAge > prefs.maxAge) {
+    return { error: 'Minimum age cannot be greater than maximum age' };
+  }
+
+  if (raw.genders !== undefined) {
+    if (!Array.isArray(raw.genders) || raw.genders.some(g => !GENDERS.includes(g))) {
+      return { error: `Genders must be a list of: ${GENDERS.join(', ')}` };
+    }
+    prefs.genders = [...new Set(raw.genders)];
+  }
+
+  if (raw.sameLocationOnly !== undefined) {
+    prefs.sameLocationOnly = Boolean(raw.sameLocationOnly);
+  }
+
+  if (raw.avoidRepeats !== undefined) {
+    prefs.avoidRepeats = Boolean(raw.avoidRepeats);
+  }
+
+  return { preferences: prefs };
+}
+
+/**
+ * Loads a user's saved preferences.
+ *
+ * @param {number} userId
+ * @returns {{ minAge: number|null, maxAge: number|null, genders: string[], sameLocationOnly: boolean, avoidRepeats: boolean }}
+ *   The saved preferences, or DEFAULT_PREFERENCES if none were saved.
+ */
+function getPreferences(userId) {
+  const db = getDb();
+  const row = db.prepare('SELECT * FROM match_preferences WHERE user_id = ?').get(userId);
+  if (!row) return { ...DEFAULT_PREFERENCES };
+  return {
+    minAge: row.min_age,
+    maxAge: row.max_age,
+    genders: row.genders ? JSON.parse(row.genders) : [],
+    sameLocationOnly: Boolean(row.same_location_only),
+    avoidRepeats: row.avoid_repeats === null ? true : Boolean(row.avoid_repeats),
+  };
+}
+
+/**
+ * Upserts a user's preferences.  The caller is expected to have run the
+ * input through {@link normalizePreferences} first.
+ *
+ * @param {number} userId
+ * @param {Object} prefs - Normalised preferences.
+ */
+function savePreferences(userId, prefs) {
+  const db = getDb();
+  db.prepare(`
+    INSERT INTO match_preferences (user_id, min_age, max_age, genders, same_location_only, avoid_repeats, updated_at)
+    VALUES (?, ?, ?, ?, ?, ?, datetime('now'))
+    ON CONFLICT(user_id) DO UPDATE SET
+      min_age = excluded.min_age,
+      max_age = excluded.max_age,
+      genders = excluded.genders,
+      same_location_only = excluded.same_location_only,
+      avoid_repeats = excluded.avoid_repeats,
+      updated_at = excluded.updated_at
+  `).run(userId, prefs.minAge, prefs.maxAge, JSON.stringify(prefs.genders),
+    prefs.sameLocationOnly ? 1 : 0, prefs.avoidRepeats ? 1 : 0);
+}
+
+/**
+ * Decides whether `seeker` would accept `partner`, taking into account
+ * how long the seeker has been waiting.
+ *
+ * Relaxation is measured in levels of MATCHMAKING.PREFERENCE_RELAX_SECONDS:
+ *   - every level widens the age range by AGE_RELAX_YEARS on each side;
+ *   - from level LOCATION_RELAX_LEVEL the same-location rule is dropped;
+ *   - from level GENDER_RELAX_LEVEL the gender filter is dropped.
+ * A relax interval of 0 disables relaxation entirely.
+ *
+ * Partners with an unknown age / gender / location only pass a filter
+ * on that attribute once it has been relaxed away.
+ *
+ * If the seeker has `avoidRepeats` on, anyone in their `recentPartnerIds`
+ * is rejected regardless of wait time.
+ *
+ * @param {{ preferences: Object, joinedAt: number, recentPartnerIds: Set<number> }} seeker
+ *   Queue entry doing the choosing.
+ * @param {{ userId: number, profile: { age: number|null, gender: string|null, location: string|null } }} partner
+ * @param {number} now - Current epoch ms.
+ * @returns {boolean}
+ */
+function acceptsPartner(seeker, partner, now) {
+  const prefs = seeker.preferences;
+  if (prefs.avoidRepeats && seeker.recentPartnerIds && seeker.recentPartnerIds.has(partner.userId)) {
+    return false;
+  }
+
+  const { age, gender, location } = partner.profile;
+  const stepMs = MATCHMAKING.PREFERENCE_RELAX_SECONDS * 1000;
+  const level = stepMs > 0 ? Math.floor((now - seeker.joinedAt) / stepMs) : 0;
+
+  if (prefs.minAge !== null || prefs.maxAge !== null) {
+    const slack = level * MATCHMAKING.AGE_RELAX_YEARS;
+    const min = prefs.minAge !== null ? prefs.minAge - slack : -Infinity;
+    const max = prefs.maxAge !== null ? prefs.maxAge + slack : Infinity;
+    if (age === null || age === undefined || age < min || age > max) return false;
+  }
+
+  if (prefs.genders.length > 0 && level < MATCHMAKING.GENDER_RELAX_LEVEL) {
+    if (!gender || !prefs.genders.includes(gender)) return false;
+  }
+
+  if (prefs.sameLocationOnly && level < MATCHMAKING.LOCATION_RELAX_LEVEL) {
+    const own = (seeker.profile.location || '').trim().toLowerCase();
+    if (!own || own !== (location || '').trim().toLowerCase()) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Returns true if both queue entries accept each other.
+ *
+ * @param {Object} a - Queue entry.
+ * @param {Object} b - Queue entry.
+ * @param {number} now - Current epoch ms.
+ * @returns {boolean}
+ */
+function areCompatible(a, b, now) {
+  return acceptsPartner(a, b, now) && acceptsPartner(b, a, now);
+}
+
+module.exports = {
+  GENDERS,
+  DEFAULT_PREFERENCES,
+  normalizePreferences,
+  getPreferences,
+  savePreferences,
+  acceptsPartner,
+  areCompatible,
+};
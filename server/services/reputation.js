@@ -0,0 +1,47 @@
+/**
+ * @file Reputation service.
+ *
+ * Turns the star ratings stored in the `ratings` table into a single
+ * per-user reputation score, cached on `users.reputation` so the
+ * matchmaker and profile routes can read it cheaply.
+ *
+ * The score is a Bayesian average (see REPUTATION in shared/constants):
+ * new users start at the prior mean and drift towards their true average
+ * as ratings accumulate.
+ *
+ * @module server/services/reputation
+ */
+
+const { getDb } = require('../db/init');
+const { REPUTATION } = require('../../shared/constants');
+
+/**
+ * Computes a user's reputation from every rating they have received.
+ *
+ * @param {number} userId
+ * @returns {number} The Bayesian average, rounded to two decimals.
+ */
+function computeReputation(userId) {
+  const db = getDb();
+  const { count, total } = db.prepare(
+    'SELECT COUNT(*) AS count, COALESCE(SUM(score), 0) AS total FROM ratings WHERE rated_id = ?'
+  ).get(userId);
+  const score = (REPUTATION.PRIOR_MEAN * REPUTATION.PRIOR_WEIGHT + total) / (REPUTATION.PRIOR_WEIGHT + count);
+  return Math.round(score * 100) / 100;
+}
+
+/**
+ * Recomputes and stores a user's reputation.  Call after inserting a
+ * rating for them.
+ *
+ * @param {number} userId - The user who was rated.
+ * @returns {number} The new reputation.
+ */
+function updateReputation(userId) {
+  const reputation = computeReputation(userId);
+  const db = getDb();
+  db.prepare('UPDATE users SET reputation = ? WHERE id = ?').run(reputation, userId);
+  return reputation;
+}
+
+module.exports = { computeReputation, updateReputation };
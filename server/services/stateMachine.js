@@ -0,0 +1,167 @@
+/**
+ * @file Conversation lifecycle state machine.
+ *
+ * The single place where a conversation's `status` may change.  Legal
+ * transitions are declared in {@link TRANSITIONS}; {@link transition}
+ * applies one atomically (the UPDATE only matches if the conversation
+ * is still in the expected status) and records it in the
+ * `conversation_events` table, so every conversation has a full audit
+ * trail of how it got where it is.
+ *
+ *   (created) --> ACTIVE
+ *   ACTIVE            --timer_expired-->    EXTENSION_PENDING
+ *   EXTENSION_PENDING --extend-->           PHOTO_EXCHANGE
+ *   EXTENSION_PENDING --befriend-->         FRIENDS_FOREVER
+ *   PHOTO_EXCHANGE    --ratings_complete--> ACTIVE
+ *   any but CLOSED    --close-->            CLOSED
+ *
+ * It also declares which client -> server socket events each status
+ * accepts ({@link ACCEPTED_EVENTS}); the socket handlers reject the rest.
+ *
+ * @module server/services/stateMachine
+ */
+
+const { getDb } = require('../db/init');
+const { CONVERSATION_STATUS, EVENTS } = require('../../shared/constants');
+
+const { ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER, CLOSED } = CONVERSATION_STATUS;
+
+/**
+ * Legal transitions: status -> { lifecycle event -> next status }.
+ * A status missing from the map (or an event missing from its entry)
+ * cannot be left that way.
+ *
+ * @type {Object.<string, Object.<string, string>>}
+ */
+const TRANSITIONS = {
+  [ACTIVE]: { timer_expired: EXTENSION_PENDING, close: CLOSED },
+  [EXTENSION_PENDING]: { extend: PHOTO_EXCHANGE, befriend: FRIENDS_FOREVER, close: CLOSED },
+  [PHOTO_EXCHANGE]: { ratings_complete: ACTIVE, close: CLOSED },
+  [FRIENDS_FOREVER]: { close: CLOSED },
+  [CLOSED]: {},
+};
+
+/**
+ * Client -> server socket events and the statuses in which they are
+ * accepted.  Events not listed here are not tied to a status.
+ *
+ * @type {Object.<string, string[]>}
+ */
+const ACCEPTED_EVENTS = {
+  [EVENTS.SEND_MESSAGE]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.SEND_VOICE_NOTE]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.TYPING_START]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.EDIT_MESSAGE]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.DELETE_MESSAGE]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.ADD_REACTION]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.REMOVE_REACTION]: [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER],
+  [EVENTS.REQUEST_PAUSE]: [ACTIVE],
+  [EVENTS.RESPOND_PAUSE]: [ACTIVE],
+  [EVENTS.TIMER_RESUME]: [ACTIVE],
+  [EVENTS.EXTENSION_VOTE]: [EXTENSION_PENDING],
+  [EVENTS.PHOTO_EXCHANGE_SUBMIT]: [PHOTO_EXCHANGE],
+  [EVENTS.RATE_PHOTO]: [PHOTO_EXCHANGE],
+};
+
+/**
+ * Returns the status a lifecycle event leads to from `status`.
+ *
+ * @param {string} status - Current conversation status.
+ * @param {string} event  - Lifecycle event, e.g. "timer_expired".
+ * @returns {string|null} The next status, or null if the transition is illegal.
+ */
+function nextStatus(status, event) {
+  const next = TRANSITIONS[status] && TRANSITIONS[status][event];
+  return next || null;
+}
+
+/**
+ * Whether a conversation in `status` accepts the given client socket event.
+ *
+ * @param {string} status    - Current conversation status.
+ * @param {string} eventName - A client -> server EVENTS value.
+ * @returns {boolean}
+ */
+function acceptsEvent(status, eventName) {
+  const allowed = ACCEPTED_EVENTS[eventName];
+  return !allowed || allowed.includes(status);
+}
+
+/**
+ * Inserts a row into `conversation_events`.
+ *
+ * @param {number} conversationId
+ * @param {string|null} fromStatus
+ * @param {string} toStatus
+ * @param {string} event
+ * @param {number|null} actorId
+ * @private
+ */
+function recordEvent(conversationId, fromStatus, toStatus, event, actorId) {
+  getDb().prepare(
+    'INSERT INTO conversation_events (conversation_id, from_status, to_status, event, actor_id) VALUES (?, ?, ?, ?, ?)'
+  ).run(conversationId, fromStatus, toStatus, event, actorId);
+}
+
+/**
+ * Records the creation of a conversation (which starts out ACTIVE).
+ * Call inside the transaction that inserts the conversation row.
+ *
+ * @param {number} conversationId
+ */
+function recordCreated(conversationId) {
+  recordEvent(conversationId, null, ACTIVE, 'created', null);
+}
+
+/**
+ * Applies a lifecycle event to a conversation if it is legal from the
+ * conversation's current status, and records it.
+ *
+ * @param {number} conversationId
+ * @param {string} event              - Lifecycle event, e.g. "extend".
+ * @param {Object} [options]
+ * @param {number|null} [options.actorId] - The user who triggered it, if any.
+ * @param {Object|function(Object): Object} [options.set] - Extra columns to
+ *   update along with the status, or a function building them from the
+ *   current conversation row.
+ * @returns {Object|null} The updated conversation row, or null if the
+ *   conversation does not exist or the transition is illegal (nothing changes).
+ */
+function transition(conversationId, event, { actorId = null, set = {} } = {}) {
+  const db = getDb();
+  const apply = db.transaction(() => {
+    const conv = db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+    if (!conv) return null;
+    const to = nextStatus(conv.status, event);
+    if (!to) return null;
+
+    const values = typeof set === 'function' ? set(conv) : set;
+    const columns = Object.keys(values);
+    db.prepare(`UPDATE conversations SET ${columns.map(c => `${c} = ?, `).join('')}status = ? WHERE id = ? AND status = ?`)
+      .run(...columns.map(c => values[c]), to, conversationId, conv.status);
+    recordEvent(conversationId, conv.status, to, event, actorId);
+    return db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+  });
+  return apply();
+}
+
+/**
+ * Returns a conversation's recorded transitions, oldest first.
+ *
+ * @param {number} conversationId
+ * @returns {Array<Object>} conversation_events rows.
+ */
+function getEvents(conversationId) {
+  return getDb().prepare('SELECT * FROM conversation_events WHERE conversation_id = ? ORDER BY id')
+    .all(conversationId);
+}
+
+module.exports = {
+  TRANSITIONS,
+  ACCEPTED_EVENTS,
+  nextStatus,
+  acceptsEvent,
+  recordCreated,
+  transition,
+  getEvents,
+};
@@ -0,0 +1,19 @@
+/**
+ * @file FIFO match strategy -- the original TraumaChat behaviour.
+ *
+ * Pairs the two longest-waiting users, ignoring preferences, trauma
+ * categories and reputation.  Useful as a baseline and on very quiet
+ * nights when any pairing beats none.
+ *
+ * @module server/services/strategies/fifo
+ */
+
+/**
+ * @param {import('../matchmaker').QueueEntry[]} queue - Oldest first.
+ * @returns {{ i: number, j: number } | null}
+ */
+function findPair(queue) {
+  return queue.length >= 2 ? { i: 0, j: 1 } : null;
+}
+
+module.exports = { name: 'fifo', findPair };
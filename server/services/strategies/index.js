@@ -0,0 +1,55 @@
+/**
+ * @file Registry of matchmaking strategies.
+ *
+ * A strategy decides WHO gets paired; the matchmaker (services/matchmaker.js)
+ * owns the queue, socket registration and conversation creation and simply
+ * asks the active strategy for the next pair.
+ *
+ * Every strategy module exports:
+ *
+ *   {
+ *     name: string,
+ *     findPair(queue, now) => { i, j } | null
+ *   }
+ *
+ * `findPair` receives the queue (oldest first) and the current epoch ms,
+ * must not modify the queue, and returns the indices of the two entries
+ * to pair -- or null if nobody should be matched yet.
+ *
+ * To add a strategy, create a module here and list it in STRATEGIES.
+ *
+ * @module server/services/strategies
+ */
+
+const fifo = require('./fifo');
+const preferenceFiltered = require('./preferenceFiltered');
+const traumaCategory = require('./traumaCategory');
+const reputation = require('./reputation');
+
+/**
+ * All available strategies, keyed by name.
+ * @type {Object.<string, { name: string, findPair: Function }>}
+ */
+const STRATEGIES = {
+  [fifo.name]: fifo,
+  [preferenceFiltered.name]: preferenceFiltered,
+  [traumaCategory.name]: traumaCategory,
+  [reputation.name]: reputation,
+};
+
+/**
+ * Looks up a strategy by name.
+ *
+ * @param {string} name - One of the STRATEGIES keys.
+ * @returns {{ name: string, findPair: Function }}
+ * @throws {Error} If no strategy with that name exists.
+ */
+function getStrategy(name) {
+  const strategy = STRATEGIES[name];
+  if (!strategy) {
+    throw new Error(`Unknown match strategy "${name}" (expected one of: ${Object.keys(STRATEGIES).join(', ')})`);
+  }
+  return strategy;
+}
+
+module.exports = { STRATEGIES, getStrategy };
@@ -0,0 +1,30 @@
+/**
+ * @file Preference-filtered match strategy.
+ *
+ * FIFO, but only between users who are mutually compatible according to
+ * their match preferences (age, gender, location, repeat avoidance; see
+ * services/preferences.js).  The oldest user with any compatible partner
+ * is paired with the longest-waiting one.
+ *
+ * @module server/services/strategies/preferenceFiltered
+ */
+
+const { areCompatible } = require('../preferences');
+
+/**
+ * @param {import('../matchmaker').QueueEntry[]} queue - Oldest first.
+ * @param {number} now - Current epoch ms (drives preference relaxation).
+ * @returns {{ i: number, j: number } | null}
+ */
+function findPair(queue, now) {
+  for (let i = 0; i < queue.length; i++) {
+    // Compatibility is symmetric, so earlier entries were already
+    // compared against this one on a previous iteration.
+    for (let j = i + 1; j < queue.length; j++) {
+      if (areCompatible(queue[i], queue[j], now)) return { i, j };
+    }
+  }
+  return null;
+}
+
+module.exports = { name: 'preferences', findPair };
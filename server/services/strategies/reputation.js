@@ -0,0 +1,49 @@
+/**
+ * @file Reputation match strategy.
+ *
+ * While the queue is shorter than MATCHMAKING.REPUTATION_MIN_QUEUE it
+ * behaves like the preference-filtered strategy -- there are too few
+ * people to be picky.  Once the queue is long enough, each user (oldest
+ * first) is paired with the compatible user whose reputation is closest
+ * to theirs, provided the gap is at most REPUTATION_MAX_GAP.  Users who
+ * have waited REPUTATION_FALLBACK_SECONDS accept the closest compatible
+ * reputation whatever the gap.
+ *
+ * @module server/services/strategies/reputation
+ */
+
+const { MATCHMAKING } = require('../../../shared/constants');
+const { areCompatible } = require('../preferences');
+const preferenceFiltered = require('./preferenceFiltered');
+
+/**
+ * @param {import('../matchmaker').QueueEntry[]} queue - Oldest first.
+ * @param {number} now - Current epoch ms.
+ * @returns {{ i: number, j: number } | null}
+ */
+function findPair(queue, now) {
+  if (queue.length < MATCHMAKING.REPUTATION_MIN_QUEUE) {
+    return preferenceFiltered.findPair(queue, now);
+  }
+
+  const fallbackMs = MATCHMAKING.REPUTATION_FALLBACK_SECONDS * 1000;
+  const gap = (a, b) => Math.abs((a.reputation || 0) - (b.reputation || 0));
+
+  for (let i = 0; i < queue.length; i++) {
+    const candidate = queue[i];
+    let best = -1;
+    for (let j = 0; j < queue.length; j++) {
+      if (j === i || !areCompatible(candidate, queue[j], now)) continue;
+      if (best === -1 || gap(candidate, queue[j]) < gap(candidate, queue[best])) best = j;
+    }
+    if (best === -1) continue;
+
+    if (gap(candidate, queue[best]) <= MATCHMAKING.REPUTATION_MAX_GAP
+      || now - candidate.joinedAt >= fallbackMs) {
+      return { i, j: best };
+    }
+  }
+  return null;
+}
+
+module.exports = { name: 'reputation', findPair };
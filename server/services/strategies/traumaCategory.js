@@ -0,0 +1,48 @@
+/**
+ * @file Trauma-category match strategy (the default).
+ *
+ * Among mutually compatible users (see services/preferences.js), prefers
+ * pairs whose trauma categories are the same, then complementary (see
+ * services/trauma.js).  A user who has waited at least
+ * MATCHMAKING.TRAUMA_FALLBACK_SECONDS is paired with the longest-waiting
+ * compatible user regardless of category.
+ *
+ * @module server/services/strategies/traumaCategory
+ */
+
+const { MATCHMAKING } = require('../../../shared/constants');
+const { areCompatible } = require('../preferences');
+const { getTraumaAffinity } = require('../trauma');
+
+/**
+ * @param {import('../matchmaker').QueueEntry[]} queue - Oldest first.
+ * @param {number} now - Current epoch ms.
+ * @returns {{ i: number, j: number } | null}
+ */
+function findPair(queue, now) {
+  const fallbackMs = MATCHMAKING.TRAUMA_FALLBACK_SECONDS * 1000;
+
+  for (let i = 0; i < queue.length; i++) {
+    const candidate = queue[i];
+    let complementary = -1;
+
+    // Affinity is symmetric, so earlier entries were already compared
+    // against this one on a previous iteration.
+    for (let j = i + 1; j < queue.length; j++) {
+      if (!areCompatible(candidate, queue[j], now)) continue;
+      const affinity = getTraumaAffinity(candidate.traumaCategory, queue[j].traumaCategory);
+      if (affinity === 'same') return { i, j };
+      if (affinity === 'complementary' && complementary === -1) complementary = j;
+    }
+    if (complementary !== -1) return { i, j: complementary };
+
+    // Waited long enough -- take the longest-waiting compatible user.
+    if (now - candidate.joinedAt >= fallbackMs) {
+      const j = queue.findIndex((other, k) => k !== i && areCompatible(candidate, other, now));
+      if (j !== -1) return { i, j };
+    }
+  }
+  return null;
+}
+
+module.exports = { name: 'trauma', findPair };
@@ -3,37 +3,83 @@
  *
  * Manages the countdown timer that limits how long two users can chat
  * before they must decide whether to extend.  Each conversation room
- * has at most one active timer at a time.
+ * has at most one active timer at a time.  Its warning threshold comes
+ * from the conversation row (`timer_warning_seconds`, copied from its
+ * timer profile); its duration is the row's `timer_seconds` for the first
+ * round and grows with each extension following ROUND_SCHEDULE (see
+ * {@link getRoundSeconds}).
  *
  * Timer lifecycle:
  *   1. {@link startTimer} is called when a conversation begins (or resumes
  *      after a photo exchange).
- *   2. After `(TIMER_SECONDS - TIMER_WARNING_SECONDS)` milliseconds, a
- *      TIMER_WARNING event is emitted.
- *   3. After the full `TIMER_SECONDS` duration, TIMER_EXPIRED and
- *      EXTENSION_PROMPT events are emitted, and the conversation status
- *      transitions to EXTENSION_PENDING.
- *   4. {@link clearTimer} cancels both timeouts (e.g. if the conversation
- *      is closed early or the users vote).
+ *   2. `timer_warning_seconds` before the end, a TIMER_WARNING event is
+ *      emitted.
+ *   3. After the round's full duration, the conversation
+ *      transitions to EXTENSION_PENDING (via the state machine) and
+ *      TIMER_EXPIRED and EXTENSION_PROMPT events are emitted.  If the
+ *      conversation is no longer ACTIVE by then, nothing happens.
+ *      The vote gets a deadline (`vote_deadline`,
+ *      EXTENSION_VOTE_DEADLINE.SECONDS away); when it passes, the
+ *      handler registered with {@link onVoteDeadline} resolves the vote.
+ *   4. Every TIMER_SYNC_INTERVAL_SECONDS until then, a TIMER_SYNC event
+ *      repeats the end time along with the server's clock, so clients
+ *      correct a countdown that drifted (see also the TIME_SYNC handshake).
+ *   5. {@link clearTimer} cancels the timeouts and the sync interval (e.g.
+ *      if the conversation is closed early or the users vote).
  *
- * All timer handles are stored in the `activeTimers` Map so they can be
- * cancelled deterministically.
+ * A running countdown can be suspended with {@link pauseTimer}: the time
+ * left is stored in `timer_paused_ms` instead of `current_timer_end`,
+ * and {@link endPause} turns it back into an end time -- when a user
+ * resumes, or by itself after PAUSE.MAX_SECONDS.
+ *
+ * After a server restart, {@link resumeTimer} re-arms a timer from the
+ * `current_timer_end` persisted by startTimer (or the pending end of a
+ * pause), and {@link resumeVoteDeadline} re-arms a vote deadline.
+ *
+ * All timer handles -- including the ones ending a pause or a vote -- are
+ * stored in the `activeTimers` Map so they can be cancelled deterministically.
  *
  * @module server/services/timer
  */
 
-const { TIMER_SECONDS, TIMER_WARNING_SECONDS, EVENTS, CONVERSATION_STATUS } = require('../../shared/constants');
+const {
+  TIMER_SYNC_INTERVAL_SECONDS, ROUND_SCHEDULE, PAUSE, EXTENSION_VOTE_DEADLINE, EVENTS,
+} = require('../../shared/constants');
 const { getDb } = require('../db/init');
+const stateMachine = require('./stateMachine');
 
 /**
  * In-memory store of running timers, keyed by Socket.IO room ID.
- * Each value holds both the main expiry timeout and the warning timeout.
- * @type {Map<string, { timeout: NodeJS.Timeout, warningTimeout: NodeJS.Timeout }>}
+ * Each value holds the main expiry timeout, the warning timeout and the
+ * TIMER_SYNC interval -- or, while the timer is paused or the extension
+ * vote is open, just the timeout that ends the pause or the vote.
+ * @type {Map<string, { timeout: NodeJS.Timeout, warningTimeout: NodeJS.Timeout|null, syncInterval: NodeJS.Timeout|null }>}
  */
 const activeTimers = new Map();
 
 /**
- * Starts the countdown timer for a conversation.
+ * Called with (io, conversationId) when a vote deadline passes; set by
+ * {@link onVoteDeadline}.
+ * @type {function(import('socket.io').Server, number): void|null}
+ */
+let voteDeadlineHandler = null;
+
+/**
+ * Duration of a given round of a conversation: the base duration scaled by
+ * the round's ROUND_SCHEDULE entry relative to the first.  Rounds past the
+ * end of the schedule use its last entry.
+ *
+ * @param {number} baseSeconds - The conversation's `timer_seconds` (round 1).
+ * @param {number} round       - 1-based round number (`extensions_count` + 1).
+ * @returns {number} Whole seconds.
+ */
+function getRoundSeconds(baseSeconds, round) {
+  const step = ROUND_SCHEDULE[Math.min(Math.max(round, 1), ROUND_SCHEDULE.length) - 1];
+  return Math.round(baseSeconds * step / ROUND_SCHEDULE[0]);
+}
+
+/**
+ * Starts the countdown timer for a conversation's current round.
  *
  * Any previously running timer for the same room is cleared first to
  * prevent stale timeouts from firing.
@@ -41,9 +87,9 @@ const activeTimers = new Map();
  * Side effects:
  *   - Persists the computed `endTime` to the conversations table so the
  *     client can display an accurate countdown even after a page refresh.
- *   - Emits TIMER_START to the room immediately.
- *   - Schedules a TIMER_WARNING emission at `TIMER_SECONDS - TIMER_WARNING_SECONDS`.
- *   - Schedules TIMER_EXPIRED + EXTENSION_PROMPT at `TIMER_SECONDS` and
+ *   - Emits TIMER_START, carrying the round number, to the room immediately.
+ *   - Schedules a TIMER_WARNING emission `timer_warning_seconds` before the end.
+ *   - Schedules TIMER_EXPIRED + EXTENSION_PROMPT after the round's duration and
  *     transitions the conversation status to EXTENSION_PENDING.
  *
  * @param {import('socket.io').Server} io             - The Socket.IO server instance.
@@ -51,47 +97,241 @@ const activeTimers = new Map();
  * @param {number}                     conversationId - The conversation's database ID.
  */
 function startTimer(io, roomId, conversationId) {
-  // Cancel any existing timer for this room to avoid duplicate expirations.
-  clearTimer(roomId);
-
-  const duration = TIMER_SECONDS * 1000;
-  // The warning fires TIMER_WARNING_SECONDS before the end.
-  const warningAt = (TIMER_SECONDS - TIMER_WARNING_SECONDS) * 1000;
-  const endTime = new Date(Date.now() + duration).toISOString();
+  const db = getDb();
+  const conv = db.prepare('SELECT timer_seconds, timer_warning_seconds, extensions_count FROM conversations WHERE id = ?')
+    .get(conversationId);
+  const round = conv.extensions_count + 1;
+  const duration = getRoundSeconds(conv.timer_seconds, round);
+  const endTime = new Date(Date.now() + duration * 1000).toISOString();
 
   // Persist the absolute end time so the client can reconstruct the
   // countdown on reconnect without relying on server-pushed deltas.
-  const db = getDb();
-  db.prepare('UPDATE conversations SET current_timer_end = ?, status = ? WHERE id = ?')
-    .run(endTime, CONVERSATION_STATUS.ACTIVE, conversationId);
+  db.prepare('UPDATE conversations SET current_timer_end = ?, timer_paused_ms = NULL, timer_paused_until = NULL WHERE id = ?')
+    .run(endTime, conversationId);
 
   // Notify both users that the timer has started.
   io.to(roomId).emit(EVENTS.TIMER_START, {
-    duration: TIMER_SECONDS,
+    round,
+    duration,
+    warningSeconds: conv.timer_warning_seconds,
     endTime,
+    serverTime: Date.now(),
   });
 
+  scheduleTimer(io, roomId, conversationId, endTime);
+}
+
+/**
+ * Re-arms the timer of an ACTIVE conversation from its persisted end
+ * time, e.g. after a server restart.  If the end time has already passed
+ * the timer expires immediately.  A paused timer instead gets the timeout
+ * that ends its pause back.  Nothing is emitted up front -- clients
+ * learn the end time when they rejoin.
+ *
+ * @param {import('socket.io').Server} io             - The Socket.IO server instance.
+ * @param {string}                     roomId         - The Socket.IO room ID for this conversation.
+ * @param {number}                     conversationId - The conversation's database ID.
+ * @param {string|null}                endTime        - The persisted `current_timer_end` (ISO 8601);
+ *                                                      null is treated as already expired.
+ */
+function resumeTimer(io, roomId, conversationId, endTime) {
+  const { timer_paused_until: pausedUntil } = getDb()
+    .prepare('SELECT timer_paused_until FROM conversations WHERE id = ?').get(conversationId);
+  if (pausedUntil) return schedulePauseEnd(io, roomId, conversationId, pausedUntil);
+  scheduleTimer(io, roomId, conversationId, endTime || new Date(0).toISOString());
+}
+
+/**
+ * Schedules the warning and expiry timeouts, and the periodic TIMER_SYNC,
+ * for a timer ending at `endTime`, replacing any timer already running for the room.  A
+ * warning whose moment has passed is skipped; an end time in the past
+ * expires on the next tick.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {string} roomId
+ * @param {number} conversationId
+ * @param {string} endTime - ISO 8601 end time.
+ * @private
+ */
+function scheduleTimer(io, roomId, conversationId, endTime) {
+  // Cancel any existing timer for this room to avoid duplicate expirations.
+  clearTimer(roomId);
+
+  const { timer_warning_seconds: warningSeconds } = getDb()
+    .prepare('SELECT timer_warning_seconds FROM conversations WHERE id = ?').get(conversationId);
+  const remaining = Math.max(new Date(endTime).getTime() - Date.now(), 0);
+  // The warning fires the profile's warning threshold before the end.
+  const warningIn = remaining - warningSeconds * 1000;
+
   // Schedule the "time is almost up" warning.
-  const warningTimeout = setTimeout(() => {
-    io.to(roomId).emit(EVENTS.TIMER_WARNING, { secondsLeft: TIMER_WARNING_SECONDS });
-  }, warningAt);
+  const warningTimeout = warningIn > 0 ? setTimeout(() => {
+    io.to(roomId).emit(EVENTS.TIMER_WARNING, { secondsLeft: warningSeconds });
+  }, warningIn) : null;
+
+  // Keep clients' countdowns aligned until the timer ends.
+  const syncInterval = setInterval(() => {
+    io.to(roomId).emit(EVENTS.TIMER_SYNC, { conversationId, endTime, serverTime: Date.now() });
+  }, TIMER_SYNC_INTERVAL_SECONDS * 1000);
 
   // Schedule the actual expiration.
   const timeout = setTimeout(() => {
     // Remove our own entry before emitting so any re-entrant calls to
     // startTimer do not see a stale handle.
+    clearInterval(syncInterval);
     activeTimers.delete(roomId);
 
-    // Transition the conversation to the voting phase.
-    db.prepare('UPDATE conversations SET status = ? WHERE id = ?')
-      .run(CONVERSATION_STATUS.EXTENSION_PENDING, conversationId);
+    // Transition the conversation to the voting phase -- unless it has
+    // left ACTIVE by other means in the meantime.
+    const deadline = new Date(Date.now() + EXTENSION_VOTE_DEADLINE.SECONDS * 1000).toISOString();
+    if (!stateMachine.transition(conversationId, 'timer_expired', { set: { vote_deadline: deadline } })) return;
 
     // Inform both users that time is up and they should vote.
     io.to(roomId).emit(EVENTS.TIMER_EXPIRED, { conversationId });
-    io.to(roomId).emit(EVENTS.EXTENSION_PROMPT, { conversationId });
-  }, duration);
+    io.to(roomId).emit(EVENTS.EXTENSION_PROMPT, {
+      conversationId,
+      deadline,
+      defaultVote: EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE,
+      serverTime: Date.now(),
+    });
+    scheduleVoteDeadline(io, roomId, conversationId, deadline);
+  }, remaining);
+
+  activeTimers.set(roomId, { timeout, warningTimeout, syncInterval });
+}
+
+/**
+ * Suspends the running countdown of a conversation, e.g. once a pause
+ * request was accepted.
+ *
+ * Side effects:
+ *   - Stores the time left in `timer_paused_ms`, clears `current_timer_end`
+ *     and counts the pause in `pauses_used`.
+ *   - Emits TIMER_PAUSED to the room.
+ *   - Schedules {@link endPause} PAUSE.MAX_SECONDS from now.
+ *
+ * @param {import('socket.io').Server} io             - The Socket.IO server instance.
+ * @param {string}                     roomId         - The Socket.IO room ID for this conversation.
+ * @param {number}                     conversationId - The conversation's database ID.
+ * @returns {boolean} False if no countdown was running (nothing changes).
+ */
+function pauseTimer(io, roomId, conversationId) {
+  const db = getDb();
+  const conv = db.prepare('SELECT current_timer_end, pauses_used FROM conversations WHERE id = ?')
+    .get(conversationId);
+  const remainingMs = conv && conv.current_timer_end ? new Date(conv.current_timer_end).getTime() - Date.now() : 0;
+  if (remainingMs <= 0) return false;
+
+  const resumeAt = new Date(Date.now() + PAUSE.MAX_SECONDS * 1000).toISOString();
+  db.prepare(`
+    UPDATE conversations
+    SET current_timer_end = NULL, timer_paused_ms = ?, timer_paused_until = ?, pauses_used = pauses_used + 1
+    WHERE id = ?
+  `).run(remainingMs, resumeAt, conversationId);
 
-  activeTimers.set(roomId, { timeout, warningTimeout });
+  io.to(roomId).emit(EVENTS.TIMER_PAUSED, {
+    conversationId,
+    remainingMs,
+    resumeAt,
+    serverTime: Date.now(),
+    pausesLeft: Math.max(PAUSE.MAX_PER_CONVERSATION - conv.pauses_used - 1, 0),
+  });
+
+  schedulePauseEnd(io, roomId, conversationId, resumeAt);
+  return true;
+}
+
+/**
+ * Ends the pause of a conversation's timer: the countdown continues from
+ * the time that was left, and TIMER_RESUME with the new end time is
+ * emitted to the room.
+ *
+ * @param {import('socket.io').Server} io             - The Socket.IO server instance.
+ * @param {string}                     roomId         - The Socket.IO room ID for this conversation.
+ * @param {number}                     conversationId - The conversation's database ID.
+ * @returns {boolean} False if the timer was not paused (nothing changes).
+ */
+function endPause(io, roomId, conversationId) {
+  const db = getDb();
+  const conv = db.prepare('SELECT timer_paused_ms, timer_warning_seconds FROM conversations WHERE id = ?')
+    .get(conversationId);
+  if (!conv || conv.timer_paused_ms === null) return false;
+
+  const endTime = new Date(Date.now() + conv.timer_paused_ms).toISOString();
+  db.prepare('UPDATE conversations SET current_timer_end = ?, timer_paused_ms = NULL, timer_paused_until = NULL WHERE id = ?')
+    .run(endTime, conversationId);
+
+  io.to(roomId).emit(EVENTS.TIMER_RESUME, {
+    conversationId,
+    endTime,
+    warningSeconds: conv.timer_warning_seconds,
+    serverTime: Date.now(),
+  });
+
+  scheduleTimer(io, roomId, conversationId, endTime);
+  return true;
+}
+
+/**
+ * Schedules the automatic end of a pause at `resumeAt`, replacing any
+ * timer already running for the room.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {string} roomId
+ * @param {number} conversationId
+ * @param {string} resumeAt - ISO 8601 time at which the pause ends.
+ * @private
+ */
+function schedulePauseEnd(io, roomId, conversationId, resumeAt) {
+  clearTimer(roomId);
+  const timeout = setTimeout(() => {
+    activeTimers.delete(roomId);
+    endPause(io, roomId, conversationId);
+  }, Math.max(new Date(resumeAt).getTime() - Date.now(), 0));
+  activeTimers.set(roomId, { timeout, warningTimeout: null, syncInterval: null });
+}
+
+/**
+ * Registers the function that resolves an extension vote once its
+ * deadline passes (the socket handlers, which own the vote logic).
+ *
+ * @param {function(import('socket.io').Server, number): void} handler -
+ *   Called with the Socket.IO server and the conversation ID.
+ */
+function onVoteDeadline(handler) {
+  voteDeadlineHandler = handler;
+}
+
+/**
+ * Re-arms the vote deadline of an EXTENSION_PENDING conversation, e.g.
+ * after a server restart.  A deadline that has passed (or was never set)
+ * is handled on the next tick.
+ *
+ * @param {import('socket.io').Server} io             - The Socket.IO server instance.
+ * @param {string}                     roomId         - The Socket.IO room ID for this conversation.
+ * @param {number}                     conversationId - The conversation's database ID.
+ * @param {string|null}                deadline       - The persisted `vote_deadline` (ISO 8601).
+ */
+function resumeVoteDeadline(io, roomId, conversationId, deadline) {
+  scheduleVoteDeadline(io, roomId, conversationId, deadline || new Date(0).toISOString());
+}
+
+/**
+ * Schedules the vote deadline handler for `deadline`, replacing any
+ * timer already running for the room.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {string} roomId
+ * @param {number} conversationId
+ * @param {string} deadline - ISO 8601.
+ * @private
+ */
+function scheduleVoteDeadline(io, roomId, conversationId, deadline) {
+  clearTimer(roomId);
+  const timeout = setTimeout(() => {
+    activeTimers.delete(roomId);
+    if (voteDeadlineHandler) voteDeadlineHandler(io, conversationId);
+  }, Math.max(new Date(deadline).getTime() - Date.now(), 0));
+  activeTimers.set(roomId, { timeout, warningTimeout: null, syncInterval: null });
 }
 
 /**
@@ -106,8 +346,12 @@ function clearTimer(roomId) {
   if (existing) {
     clearTimeout(existing.timeout);
     clearTimeout(existing.warningTimeout);
+    clearInterval(existing.syncInterval);
     activeTimers.delete(roomId);
   }
 }
 
-module.exports = { startTimer, clearTimer, activeTimers };
+module.exports = {
+  startTimer, resumeTimer, pauseTimer, endPause, onVoteDeadline, resumeVoteDeadline, clearTimer, getRoundSeconds,
+  activeTimers,
+};
@@ -0,0 +1,243 @@
+/**
+ * @file Conversation transcript export.
+ *
+ * Gathers everything that happened in a conversation -- members, every
+ * message (system messages and voice-note links included), the photo
+ * exchange rounds with their ratings, and the points the requesting user
+ * earned -- and renders it as JSON, plain text or a standalone HTML page.
+ *
+ * Points are only included for the user exporting the transcript; other
+ * members' point awards stay private.
+ *
+ * @module server/services/transcript
+ */
+
+const { getDb } = require('../db/init');
+const { MESSAGE_TYPES } = require('../../shared/constants');
+
+/**
+ * Supported export formats: MIME type, file extension and renderer.
+ *
+ * @type {Object.<string, { contentType: string, extension: string, render: function(Object): string }>}
+ */
+const EXPORT_FORMATS = {
+  json: { contentType: 'application/json; charset=utf-8', extension: 'json', render: t => JSON.stringify(t, null, 2) },
+  txt: { contentType: 'text/plain; charset=utf-8', extension: 'txt', render: renderText },
+  html: { contentType: 'text/html; charset=utf-8', extension: 'html', render: renderHtml },
+};
+
+/**
+ * Collects a conversation's transcript data.
+ *
+ * @param {number} conversationId
+ * @param {number} userId  - The user exporting it (whose points are included).
+ * @param {string} [baseUrl=''] - Origin put in front of upload paths, e.g.
+ *   "https://example.com"; by default the links stay relative ("/uploads/...").
+ * @returns {Object} The transcript: `conversation`, `members`, `messages`,
+ *   `photoRounds` and `points`.
+ */
+function buildTranscript(conversationId, userId, baseUrl = '') {
+  const db = getDb();
+  const conv = db.prepare('SELECT * FROM conversations WHERE id = ?').get(conversationId);
+  const link = url => (url ? baseUrl + url : null);
+
+  const members = db.prepare(`
+    SELECT u.id, u.display_name, p.joined_at, p.left_at FROM conversation_participants p
+    JOIN users u ON u.id = p.user_id
+    WHERE p.conversation_id = ?
+    ORDER BY p.rowid
+  `).all(conversationId).map(m => ({ id: m.id, name: m.display_name, joinedAt: m.joined_at, leftAt: m.left_at }));
+  const nameOf = id => members.find(m => m.id === id)?.name || 'Unknown';
+
+  const messages = db.prepare('SELECT * FROM messages WHERE conversation_id = ? ORDER BY id')
+    .all(conversationId).map(m => ({
+      id: m.id,
+      type: m.message_type,
+      // System messages are stored under a member's ID but belong to nobody.
+      sender: m.message_type === MESSAGE_TYPES.SYSTEM ? null : { id: m.sender_id, name: nameOf(m.sender_id) },
+      content: m.content,
+      voiceUrl: link(m.voice_url),
+      voiceDuration: m.voice_duration,
+      replyToId: m.reply_to_id,
+      editedAt: m.edited_at,
+      deletedAt: m.deleted_at,
+      sentAt: m.created_at,
+    }));
+
+  const photos = db.prepare('SELECT * FROM photo_exchanges WHERE conversation_id = ? ORDER BY id').all(conversationId);
+  const ratings = db.prepare('SELECT * FROM ratings WHERE conversation_id = ? ORDER BY id').all(conversationId);
+  // Rows from before rounds were recorded have a NULL round; they form one
+  // unnumbered group, listed first.
+  const rounds = [...new Set([...photos, ...ratings].map(r => r.round))].sort((a, b) => (a ?? 0) - (b ?? 0));
+  const photoRounds = rounds.map(round => ({
+    round,
+    photos: photos.filter(p => p.round === round)
+      .map(p => ({ userId: p.sender_id, name: nameOf(p.sender_id), photoUrl: link(p.photo_url), submittedAt: p.created_at })),
+    ratings: ratings.filter(r => r.round === round)
+      .map(r => ({ raterId: r.rater_id, raterName: nameOf(r.rater_id), ratedId: r.rated_id, ratedName: nameOf(r.rated_id), score: r.score })),
+  }));
+
+  const pointsLog = db.prepare('SELECT * FROM points_log WHERE conversation_id = ? AND user_id = ? ORDER BY id')
+    .all(conversationId, userId);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    conversation: {
+      id: conv.id,
+      status: conv.status,
+      isGroup: !!conv.is_group,
+      isFriendsForever: !!conv.is_friends_forever,
+      extensions: conv.extensions_count,
+      startedAt: conv.created_at,
+    },
+    members,
+    messages,
+    photoRounds,
+    points: {
+      total: pointsLog.reduce((sum, p) => sum + p.points, 0),
+      log: pointsLog.map(p => ({ event: p.event_type, points: p.points, description: p.description, awardedAt: p.created_at })),
+    },
+  };
+}
+
+/**
+ * Shortens a SQLite UTC timestamp ("YYYY-MM-DD HH:MM:SS") to minutes.
+ *
+ * @param {string} ts
+ * @returns {string} e.g. "2024-05-01 14:32 UTC"
+ * @private
+ */
+function formatTime(ts) {
+  return `${ts.slice(0, 16)} UTC`;
+}
+
+/**
+ * Heading for a photo exchange round; rounds recorded before round
+ * numbers existed (round null) get an unnumbered one.
+ *
+ * @param {{ round: number|null }} r - A transcript photo round.
+ * @returns {string} e.g. "Photo exchange, round 2"
+ * @private
+ */
+function roundTitle(r) {
+  return r.round === null ? 'Photo exchange' : `Photo exchange, round ${r.round}`;
+}
+
+/**
+ * Describes a message body as a single line of plain text.
+ *
+ * @param {Object} m - A transcript message.
+ * @returns {string}
+ * @private
+ */
+function describeBody(m) {
+  if (m.deletedAt) return '[message deleted]';
+  if (m.type === MESSAGE_TYPES.VOICE) return `[voice note, ${m.voiceDuration}s] ${m.voiceUrl}`;
+  return m.content + (m.editedAt ? ' (edited)' : '');
+}
+
+/**
+ * Renders a transcript as plain text.
+ *
+ * @param {Object} t - From {@link buildTranscript}.
+ * @returns {string}
+ */
+function renderText(t) {
+  const lines = [
+    `TraumaChat transcript -- conversation #${t.conversation.id}`,
+    `Started ${formatTime(t.conversation.startedAt)}, status: ${t.conversation.isFriendsForever ? 'Friends Forever' : t.conversation.status}, extensions: ${t.conversation.extensions}`,
+    `Members: ${t.members.map(m => m.name + (m.leftAt ? ' (left)' : '')).join(', ')}`,
+    '',
+    'Messages',
+    '--------',
+  ];
+  for (const m of t.messages) {
+    if (m.type === MESSAGE_TYPES.SYSTEM) {
+      lines.push(`[${formatTime(m.sentAt)}] *** ${m.content} ***`);
+    } else {
+      const reply = m.replyToId ? ` (reply to #${m.replyToId})` : '';
+      lines.push(`[${formatTime(m.sentAt)}] #${m.id} ${m.sender.name}${reply}: ${describeBody(m)}`);
+    }
+  }
+  for (const r of t.photoRounds) {
+    lines.push('', roundTitle(r), '-'.repeat(roundTitle(r).length));
+    for (const p of r.photos) lines.push(`${p.name}: ${p.photoUrl}`);
+    for (const rt of r.ratings) lines.push(`${rt.raterName} rated ${rt.ratedName} ${rt.score}/5`);
+  }
+  lines.push('', `Your points from this conversation: ${t.points.total}`);
+  for (const p of t.points.log) lines.push(`  +${p.points}  ${p.description || p.event}`);
+  lines.push('', `Exported ${t.exportedAt}`, '');
+  return lines.join('\n');
+}
+
+/**
+ * Escapes text for inclusion in HTML.
+ *
+ * @param {*} value
+ * @returns {string}
+ * @private
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Renders a transcript as a standalone HTML page (inline styles, no
+ * external assets besides the linked voice notes and photos).
+ *
+ * @param {Object} t - From {@link buildTranscript}.
+ * @returns {string}
+ */
+function renderHtml(t) {
+  const status = t.conversation.isFriendsForever ? 'Friends Forever' : t.conversation.status;
+  const messages = t.messages.map(m => {
+    const time = `<span class="time">${escapeHtml(formatTime(m.sentAt))}</span>`;
+    if (m.type === MESSAGE_TYPES.SYSTEM) return `<p class="system">${escapeHtml(m.content)} ${time}</p>`;
+    const reply = m.replyToId ? `<a class="reply" href="#m${m.replyToId}">↩ reply to #${m.replyToId}</a> ` : '';
+    const body = m.deletedAt ? '<em>message deleted</em>'
+      : m.type === MESSAGE_TYPES.VOICE
+        ? `<audio controls src="${escapeHtml(m.voiceUrl)}"></audio> <a href="${escapeHtml(m.voiceUrl)}">voice note (${escapeHtml(m.voiceDuration)}s)</a>`
+        : escapeHtml(m.content) + (m.editedAt ? ' <em>(edited)</em>' : '');
+    return `<p id="m${m.id}"><strong>${escapeHtml(m.sender.name)}</strong> ${time}<br>${reply}${body}</p>`;
+  }).join('\n');
+  const rounds = t.photoRounds.map(r => `
+<h2>${escapeHtml(roundTitle(r))}</h2>
+<div class="photos">${r.photos.map(p => `<figure><img src="${escapeHtml(p.photoUrl)}" alt=""><figcaption>${escapeHtml(p.name)}</figcaption></figure>`).join('')}</div>
+<ul>${r.ratings.map(rt => `<li>${escapeHtml(rt.raterName)} rated ${escapeHtml(rt.ratedName)} ${'★'.repeat(rt.score)}${'☆'.repeat(5 - rt.score)}</li>`).join('')}</ul>`).join('\n');
+  const points = t.points.log.map(p => `<li>+${escapeHtml(p.points)} ${escapeHtml(p.description || p.event)}</li>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>TraumaChat transcript #${escapeHtml(t.conversation.id)}</title>
+<style>
+  body { font-family: sans-serif; max-width: 720px; margin: 2em auto; padding: 0 1em; color: #111B21; }
+  .time { color: #667781; font-size: 0.8em; }
+  .system { text-align: center; background: #FFF9C4; padding: 4px; border-radius: 6px; }
+  .reply { color: #075E54; font-size: 0.85em; }
+  .photos { display: flex; gap: 1em; flex-wrap: wrap; }
+  .photos img { max-width: 200px; border-radius: 8px; }
+</style>
+</head>
+<body>
+<h1>TraumaChat transcript #${escapeHtml(t.conversation.id)}</h1>
+<p>Started ${escapeHtml(formatTime(t.conversation.startedAt))} &middot; ${escapeHtml(status)} &middot; ${escapeHtml(t.conversation.extensions)} extensions</p>
+<p>Members: ${t.members.map(m => escapeHtml(m.name) + (m.leftAt ? ' (left)' : '')).join(', ')}</p>
+<h2>Messages</h2>
+${messages}
+${rounds}
+<h2>Your points: ${escapeHtml(t.points.total)}</h2>
+<ul>${points}</ul>
+<p class="time">Exported ${escapeHtml(t.exportedAt)}</p>
+</body>
+</html>
+`;
+}
+
+module.exports = { EXPORT_FORMATS, buildTranscript, renderText, renderHtml };
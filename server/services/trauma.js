@@ -9,6 +9,9 @@
  *   parents, abandonment, school, siblings, poverty, emotional, nothing
  * plus a catch-all "default" bucket.
  *
+ * The same keyword table also classifies users for trauma-aware
+ * matchmaking (see {@link getTraumaCategory} and {@link getTraumaAffinity}).
+ *
  * @module server/services/trauma
  */
 
@@ -85,35 +88,87 @@ const KEYWORDS = [
 ];
 
 /**
- * Analyses the user's trauma description and returns a randomly
- * selected comedic therapist response from the matching category.
+ * Trauma categories considered "complementary" for matchmaking.
+ *
+ * Two users with different but related categories (e.g. one blames their
+ * parents, the other their siblings) tend to have plenty to talk about.
+ * The mapping is symmetric: if A lists B, then B lists A.  "nothing" has
+ * no complements -- deniers only recognise each other.
+ *
+ * @type {Object.<string, string[]>}
+ */
+const COMPLEMENTARY_CATEGORIES = {
+  parents: ['siblings', 'abandonment'],
+  siblings: ['parents', 'school'],
+  abandonment: ['parents', 'emotional'],
+  emotional: ['abandonment', 'poverty'],
+  poverty: ['emotional', 'school'],
+  school: ['siblings', 'poverty'],
+  nothing: [],
+};
+
+/**
+ * Classifies a trauma description into one of the KEYWORDS categories.
  *
  * Algorithm:
  *   1. Lowercase the input.
  *   2. Iterate through KEYWORDS in order; for each category, check
  *      if any pattern substring is present in the input.
- *   3. On the first match, pick a random response from that category.
- *   4. If no category matches, fall back to the "default" pool.
+ *   3. Return the key of the first matching category.
  *
- * @param {string} trauma - The user's free-text trauma description.
- * @returns {string} A humorous therapist response string.
+ * @param {string|null|undefined} trauma - The user's free-text trauma description.
+ * @returns {string|null} The category key, or null if nothing matched
+ *   (or no description was supplied).
  */
-function getTraumaResponse(trauma) {
+function getTraumaCategory(trauma) {
+  if (!trauma) return null;
   const lower = trauma.toLowerCase();
 
   // First-match-wins scan through all keyword categories.
   for (const { key, patterns } of KEYWORDS) {
-    for (const pattern of patterns) {
-      if (lower.includes(pattern)) {
-        const responses = RESPONSES[key];
-        return responses[Math.floor(Math.random() * responses.length)];
-      }
+    if (patterns.some(pattern => lower.includes(pattern))) {
+      return key;
     }
   }
+  return null;
+}
 
+/**
+ * Describes how well two trauma categories fit together for matchmaking.
+ *
+ * @param {string|null} a - First user's category (from getTraumaCategory).
+ * @param {string|null} b - Second user's category.
+ * @returns {'same'|'complementary'|null} "same" for identical categories,
+ *   "complementary" if listed in COMPLEMENTARY_CATEGORIES, otherwise null.
+ *   Uncategorised users (null) never have an affinity.
+ */
+function getTraumaAffinity(a, b) {
+  if (!a || !b) return null;
+  if (a === b) return 'same';
+  if ((COMPLEMENTARY_CATEGORIES[a] || []).includes(b)) return 'complementary';
+  return null;
+}
+
+/**
+ * Analyses the user's trauma description and returns a randomly
+ * selected comedic therapist response from the matching category.
+ *
+ * Uses {@link getTraumaCategory} to classify the input; if no category
+ * matches, falls back to the "default" pool.
+ *
+ * @param {string} trauma - The user's free-text trauma description.
+ * @returns {string} A humorous therapist response string.
+ */
+function getTraumaResponse(trauma) {
+  const category = getTraumaCategory(trauma);
   // No keyword matched -- use the generic default pool.
-  const defaults = RESPONSES.default;
-  return defaults[Math.floor(Math.random() * defaults.length)];
+  const responses = RESPONSES[category || 'default'];
+  return responses[Math.floor(Math.random() * responses.length)];
 }
 
-module.exports = { getTraumaResponse };
+module.exports = {
+  COMPLEMENTARY_CATEGORIES,
+  getTraumaCategory,
+  getTraumaAffinity,
+  getTraumaResponse,
+};
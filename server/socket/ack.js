@@ -0,0 +1,83 @@
+/**
+ * @file Acknowledgement helpers for client -> server socket events.
+ *
+ * Every client event may be emitted with a Socket.IO ack callback.  The
+ * handler registered via {@link onEvent} answers it with
+ *
+ *   { ok: true, data }                     on success
+ *   { ok: false, code, message, details? } on failure
+ *
+ * where `code` is one of the stable ERROR_CODES in shared/constants.js
+ * and `details` carries extra fields for some codes (e.g. `retryAfter`
+ * for RATE_LIMITED).
+ * Handlers signal failure by throwing a {@link SocketError}; anything else
+ * that is thrown is logged and reported as INTERNAL_ERROR.
+ *
+ * Clients that emit without an ack still get told about INVALID_STATE and
+ * RATE_LIMITED failures through an EVENT_REJECTED event, so older clients
+ * keep working.
+ *
+ * @module server/socket/ack
+ */
+
+const { EVENTS, ERROR_CODES } = require('../../shared/constants');
+
+/**
+ * An expected failure of a socket event, reported to the client.
+ */
+class SocketError extends Error {
+  /**
+   * @param {string} code    - One of ERROR_CODES.
+   * @param {string} message - Human-readable explanation, shown to the user.
+   * @param {Object} [details] - Extra fields sent along in the failed ack and
+   *   the EVENT_REJECTED fallback (e.g. the conversation ID and status).
+   */
+  constructor(code, message, details = {}) {
+    super(message);
+    this.name = 'SocketError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Registers a handler for a client event with ack support.
+ *
+ * The handler receives the payload (an empty object if none was sent) and
+ * returns the ack's `data` (undefined becomes null).  Destructuring a
+ * non-object payload yields undefined fields, which handlers reject as
+ * INVALID_PAYLOAD.
+ *
+ * @param {import('socket.io').Socket} socket
+ * @param {string} eventName
+ * @param {function(Object): *} handler
+ */
+function onEvent(socket, eventName, handler) {
+  socket.on(eventName, (...args) => {
+    // Socket.IO passes the ack callback last; a payload-less emit puts it first.
+    const ack = typeof args[args.length - 1] === 'function' ? args.pop() : null;
+    const payload = args[0] === undefined || args[0] === null ? {} : args[0];
+
+    let response;
+    try {
+      const data = handler(payload);
+      response = { ok: true, data: data === undefined ? null : data };
+    } catch (err) {
+      if (!(err instanceof SocketError)) {
+        console.error(`Error handling ${eventName}:`, err);
+      }
+      const code = err instanceof SocketError ? err.code : ERROR_CODES.INTERNAL_ERROR;
+      const message = err instanceof SocketError ? err.message : 'Something went wrong';
+      const details = err instanceof SocketError ? err.details : {};
+      response = { ok: false, code, message };
+      if (Object.keys(details).length > 0) response.details = details;
+
+      if (!ack && (code === ERROR_CODES.INVALID_STATE || code === ERROR_CODES.RATE_LIMITED)) {
+        socket.emit(EVENTS.EVENT_REJECTED, { event: eventName, ...details, reason: message });
+      }
+    }
+    if (ack) ack(response);
+  });
+}
+
+module.exports = { SocketError, onEvent };
@@ -4,20 +4,30 @@
  * This module wires up all socket events for matchmaking, chatting,
  * extension voting, photo exchange, rating, and disconnect handling.
  * It is the most complex module in the server because it orchestrates
- * the full conversation lifecycle as a state machine:
+ * the full conversation lifecycle as a state machine.  The legal
+ * transitions, and which client events each status accepts, are declared
+ * in services/stateMachine; events that arrive in the wrong status fail
+ * with INVALID_STATE.
+ *
+ * Every client event is registered through onEvent (socket/ack), so it
+ * can be emitted with an ack callback that receives `{ ok, data }` or
+ * `{ ok: false, code, message }`.  Handlers fail by throwing a
+ * SocketError with one of the ERROR_CODES.
  *
  * ============================================================
  *  CONVERSATION LIFECYCLE STATE MACHINE
  * ============================================================
  *
  *   [Queue]
- *      |  (two users in queue -- tryMatch succeeds)
+ *      |  (tryMatch finds a trauma-compatible pair, or
+ *      |   a user's fallback wait has elapsed)
  *      v
  *   ACTIVE  <--------------------------------------+
  *      |  (TIMER_SECONDS elapse -- timer expires)  |
  *      v                                           |
  *   EXTENSION_PENDING                              |
- *      |                                           |
+ *      |  (votes still missing at the deadline     |
+ *      |   count as the default vote)              |
  *      +-- vote includes "leave"                   |
  *      |      --> CLOSED                           |
  *      |                                           |
@@ -39,42 +49,100 @@
  *   CLOSED  (terminal -- disconnect or "leave" vote)
  *
  * ============================================================
+ *  TIMER PAUSES
+ * ============================================================
+ *
+ *   While ACTIVE, a participant may ask for a pause (REQUEST_PAUSE).
+ *   Once someone else in the conversation accepts (RESPOND_PAUSE),
+ *   the countdown is suspended (services/timer pauseTimer) until
+ *   anyone resumes it (TIMER_RESUME) or PAUSE.MAX_SECONDS pass.  The
+ *   status stays ACTIVE throughout, and a conversation gets at most
+ *   PAUSE.MAX_PER_CONVERSATION pauses.
+ *
+ * ============================================================
+ *  GROUP THERAPY ROOMS
+ * ============================================================
+ *
+ *   Group rooms (3-6 users, formed by matchmaker.tryGroupMatch) go
+ *   through the same lifecycle.  Every step that waits for "both"
+ *   users in a pair waits for every current participant instead, and
+ *   extension votes resolve by strict majority (which, for a pair,
+ *   is the same as the rules below).  Members who vote "leave" in a
+ *   group that carries on, or who disconnect, are removed from the
+ *   room; the group closes once fewer than two members remain.
+ *
+ * ============================================================
  *  DISCONNECT GRACE PERIOD
  * ============================================================
  *
- *   When a user disconnects, a 30-second grace timer starts.
- *   - If the user reconnects within 30 seconds, the timer is
- *     cancelled and they rejoin the conversation seamlessly.
+ *   When a user disconnects, a grace timer (DISCONNECT_GRACE_SECONDS)
+ *   starts.
+ *   - If the user reconnects in time, the timer is cancelled and
+ *     they rejoin the conversation seamlessly.
  *   - If the timer fires, the conversation is closed and the
  *     remaining partner is notified.
  *
  * ============================================================
+ *  SERVER RESTARTS
+ * ============================================================
+ *
+ *   On startup, restoreLiveState rebuilds the in-memory state below
+ *   from the database: timers are re-armed from current_timer_end
+ *   (or expire at once; paused ones resume at timer_paused_until),
+ *   vote deadlines are re-armed from vote_deadline,
+ *   pending pause requests are forgotten, the photo-exchange maps are reloaded from
+ *   the current round's rows, every participant of a timed
+ *   conversation gets a grace timer as if they had just disconnected,
+ *   and the matchmaking queues are restored for users who reconnect
+ *   within the grace period.
+ *
+ * ============================================================
  *  IN-MEMORY TRACKING MAPS
  * ============================================================
  *
  *   pendingPhotos   : conversationId -> Set<userId>
  *     Tracks which users have submitted a photo in the current
- *     exchange round.  Once the set reaches size 2, the photos
- *     are revealed to both users.
+ *     exchange round.  Once it covers every participant, all
+ *     photos are revealed at once.
  *
- *   pendingRatings  : conversationId -> Map<userId, score>
- *     Tracks which users have rated their partner's photo.
- *     Once both have rated, the photo-exchange phase ends,
+ *   pendingRatings  : conversationId -> Map<raterId, Set<ratedId>>
+ *     Tracks whose photos each user has rated.  Once everyone
+ *     has rated everyone else, the photo-exchange phase ends,
  *     the conversation returns to ACTIVE, and a new timer starts.
  *
+ *   pendingPauses   : conversationId -> { requesterId, round }
+ *     The unanswered pause request, if any.  A request only counts
+ *     in the round it was made in.
+ *
  *   disconnectTimers: userId -> NodeJS.Timeout
- *     Holds the 30-second grace-period timeout handle so it can
- *     be cancelled on reconnect.
+ *     Holds the grace-period timeout handle so it can be
+ *     cancelled on reconnect.
+ *
+ *   typingStates    : userId -> { conversationId, roomId, timeout }
+ *     Who is currently shown as typing, and where.  The timeout
+ *     clears the indicator if the client goes quiet.
  *
  * @module server/socket/handlers/index
  */
 
-const { EVENTS, CONVERSATION_STATUS, MESSAGE_TYPES } = require('../../../shared/constants');
+const {
+  EVENTS, ERROR_CODES, CONVERSATION_STATUS, MESSAGE_TYPES, MATCHMAKING, DISCONNECT_GRACE_SECONDS,
+  TYPING_EXPIRE_SECONDS, REACTION_EMOJIS, MESSAGE_EDIT_WINDOW_SECONDS, TIMER_PROFILES, DEFAULT_TIMER_PROFILE, PAUSE,
+  EXTENSION_VOTES, EXTENSION_VOTE_DEADLINE,
+} = require('../../../shared/constants');
 const { getDb } = require('../../db/init');
 const matchmaker = require('../../services/matchmaker');
-const { startTimer, clearTimer } = require('../../services/timer');
+const {
+  startTimer, resumeTimer, pauseTimer, endPause, onVoteDeadline, resumeVoteDeadline, clearTimer,
+} = require('../../services/timer');
 const conversationService = require('../../services/conversation');
+const stateMachine = require('../../services/stateMachine');
 const pointsService = require('../../services/points');
+const preferencesService = require('../../services/preferences');
+const reputationService = require('../../services/reputation');
+const { SocketError, onEvent } = require('../ack');
+const rateLimiter = require('../rateLimiter');
+const { validateMessageText, validateVoiceNote } = require('../../../shared/validation.js');
 
 /**
  * Tracks which users have submitted a photo in the current exchange.
@@ -84,12 +152,20 @@ const pointsService = require('../../services/points');
 const pendingPhotos = new Map();
 
 /**
- * Tracks which users have submitted a rating after the photo reveal.
- * Key: conversationId.  Value: Map of userId -> score.
- * @type {Map<number, Map<number, number>>}
+ * Tracks which photos each user has rated after the photo reveal.
+ * Key: conversationId.  Value: Map of raterId -> Set of rated userIds.
+ * @type {Map<number, Map<number, Set<number>>>}
  */
 const pendingRatings = new Map();
 
+/**
+ * The unanswered pause request of each conversation.
+ * Key: conversationId.  Value: who asked, and in which round
+ * (extensions_count) -- a request left over from an earlier round is void.
+ * @type {Map<number, { requesterId: number, round: number }>}
+ */
+const pendingPauses = new Map();
+
 /**
  * Holds the grace-period timeout handle for disconnected users.
  * Key: userId.  Value: the setTimeout handle.
@@ -99,6 +175,750 @@ const pendingRatings = new Map();
  */
 const disconnectTimers = new Map();
 
+/**
+ * Users currently shown as typing.
+ * Key: userId.  Value: the conversation they are typing in and the
+ * timeout that clears the indicator after TYPING_EXPIRE_SECONDS.
+ * @type {Map<number, { conversationId: number, roomId: string, timeout: NodeJS.Timeout }>}
+ */
+const typingStates = new Map();
+
+/**
+ * Shows a user as typing to the rest of their conversation room, or
+ * extends the indicator if it is already shown.
+ *
+ * @param {import('socket.io').Socket} socket - The typist's socket (excluded from the relay).
+ * @param {Object} conv - The conversation row.
+ */
+function startTyping(socket, conv) {
+  const userId = socket.userId;
+  let existing = typingStates.get(userId);
+  if (existing && existing.conversationId !== conv.id) {
+    stopTyping(socket);
+    existing = null;
+  }
+  if (existing) clearTimeout(existing.timeout);
+  else socket.to(conv.room_id).emit(EVENTS.TYPING_START, { conversationId: conv.id, userId });
+
+  const timeout = setTimeout(() => stopTyping(socket), TYPING_EXPIRE_SECONDS * 1000);
+  typingStates.set(userId, { conversationId: conv.id, roomId: conv.room_id, timeout });
+}
+
+/**
+ * Clears a user's typing indicator, if shown, and tells the room.
+ *
+ * @param {import('socket.io').Socket} socket - The typist's socket.
+ */
+function stopTyping(socket) {
+  const state = typingStates.get(socket.userId);
+  if (!state) return;
+  clearTimeout(state.timeout);
+  typingStates.delete(socket.userId);
+  socket.to(state.roomId).emit(EVENTS.TYPING_STOP, { conversationId: state.conversationId, userId: socket.userId });
+}
+
+/**
+ * Loads the conversation a client event refers to and checks that the
+ * user is in it and that its current status accepts the event (see
+ * stateMachine.ACCEPTED_EVENTS).
+ *
+ * @param {*} conversationId - As received in the payload.
+ * @param {number} userId
+ * @param {string} eventName - The client event being handled.
+ * @returns {Object} The conversation row.
+ * @throws {SocketError} INVALID_PAYLOAD, CONVERSATION_NOT_FOUND, NOT_PARTICIPANT
+ *   or INVALID_STATE.
+ */
+function requireConversation(conversationId, userId, eventName) {
+  if (!Number.isInteger(conversationId)) {
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'conversationId must be an integer');
+  }
+  const conv = conversationService.getConversation(conversationId);
+  if (!conv) throw new SocketError(ERROR_CODES.CONVERSATION_NOT_FOUND, 'Conversation not found');
+  if (!conversationService.isParticipant(conv.id, userId)) {
+    throw new SocketError(ERROR_CODES.NOT_PARTICIPANT, 'You are not in this conversation');
+  }
+  if (!stateMachine.acceptsEvent(conv.status, eventName)) {
+    throw new SocketError(ERROR_CODES.INVALID_STATE,
+      `Not allowed while the conversation is ${conv.status.replace(/_/g, ' ')}`,
+      { conversationId: conv.id, status: conv.status });
+  }
+  return conv;
+}
+
+/**
+ * Checks that a conversation's timer can be paused: it is counting down
+ * (not already paused or run out) and the conversation has pauses left.
+ *
+ * @param {Object} conv - The conversation row (ACTIVE).
+ * @throws {SocketError} INVALID_STATE otherwise.
+ */
+function requirePausable(conv) {
+  if (conv.timer_paused_ms !== null) {
+    throw new SocketError(ERROR_CODES.INVALID_STATE, 'The timer is already paused', { conversationId: conv.id });
+  }
+  if (conv.pauses_used >= PAUSE.MAX_PER_CONVERSATION) {
+    throw new SocketError(ERROR_CODES.INVALID_STATE, 'No pauses left in this conversation',
+      { conversationId: conv.id, pausesLeft: 0 });
+  }
+  if (!conv.current_timer_end || new Date(conv.current_timer_end).getTime() <= Date.now()) {
+    throw new SocketError(ERROR_CODES.INVALID_STATE, 'Time is already up', { conversationId: conv.id });
+  }
+}
+
+/**
+ * Describes a timer profile's duration for system messages.
+ *
+ * @param {string} timerProfile - A TIMER_PROFILES key.
+ * @returns {string} e.g. "3 minutes" or "45 seconds".
+ */
+function describeTimer(timerProfile) {
+  const seconds = TIMER_PROFILES[timerProfile].SECONDS;
+  if (seconds % 60 !== 0) return `${seconds} seconds`;
+  return seconds === 60 ? '1 minute' : `${seconds / 60} minutes`;
+}
+
+/**
+ * Sets up a freshly created match: joins both sockets to the room,
+ * awards participation points, notifies each user, records the opening
+ * system message and starts the timer.
+ *
+ * Each user's MATCHED payload carries a `traumaMatch` object describing
+ * why they were paired: `affinity` ("same", "complementary", or null for
+ * a FIFO fallback) plus their own and their partner's trauma category,
+ * along with the pair's `timerProfile`.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {ReturnType<typeof matchmaker.tryMatch>} match - A non-null tryMatch result.
+ */
+function startMatchedConversation(io, match) {
+  const { conversationId, roomId, timerProfile, user1, user2, traumaMatch } = match;
+  const db = getDb();
+
+  // Fetch minimal profile info to send to the partner.
+  const u1 = db.prepare('SELECT id, display_name, photo_url FROM users WHERE id = ?').get(user1.userId);
+  const u2 = db.prepare('SELECT id, display_name, photo_url FROM users WHERE id = ?').get(user2.userId);
+
+  // Join both sockets into the shared Socket.IO room.
+  // The guard (`if (s1)`) handles the unlikely case where a
+  // socket disconnected between queue-join and match resolution.
+  const s1 = io.sockets.sockets.get(user1.socketId);
+  const s2 = io.sockets.sockets.get(user2.socketId);
+  if (s1) s1.join(roomId);
+  if (s2) s2.join(roomId);
+
+  // Both users earn participation points just for being matched.
+  pointsService.awardParticipation(user1.userId, conversationId);
+  pointsService.awardParticipation(user2.userId, conversationId);
+
+  // Each user receives MATCHED with the *other* user's profile.
+  const [c1, c2] = traumaMatch.categories;
+  if (s1) {
+    s1.emit(EVENTS.MATCHED, {
+      conversationId, roomId, partner: u2, timerProfile,
+      traumaMatch: { affinity: traumaMatch.affinity, category: c1, partnerCategory: c2 },
+    });
+  }
+  if (s2) {
+    s2.emit(EVENTS.MATCHED, {
+      conversationId, roomId, partner: u1, timerProfile,
+      traumaMatch: { affinity: traumaMatch.affinity, category: c2, partnerCategory: c1 },
+    });
+  }
+
+  // Record a system message visible to both users in the chat history.
+  db.prepare('INSERT INTO messages (conversation_id, sender_id, message_type, content) VALUES (?, ?, ?, ?)')
+    .run(conversationId, user1.userId, MESSAGE_TYPES.SYSTEM,
+      `You have been matched! You have ${describeTimer(timerProfile)}. Make them count.`);
+
+  // Kick off the countdown.
+  startTimer(io, roomId, conversationId);
+}
+
+/**
+ * Sets up a freshly formed group therapy room: joins every member's
+ * socket to the room, awards participation points, sends each member a
+ * MATCHED event listing all participants, records the opening system
+ * message and starts the timer.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {ReturnType<typeof matchmaker.tryGroupMatch>} match - A non-null tryGroupMatch result.
+ */
+function startGroupConversation(io, match) {
+  const { conversationId, roomId, timerProfile, members } = match;
+  const db = getDb();
+  const participants = conversationService.getParticipants(conversationId);
+
+  for (const member of members) {
+    const s = io.sockets.sockets.get(member.socketId);
+    if (s) s.join(roomId);
+    pointsService.awardParticipation(member.userId, conversationId);
+  }
+  io.to(roomId).emit(EVENTS.MATCHED, { conversationId, roomId, isGroup: true, partner: null, participants, timerProfile });
+
+  db.prepare('INSERT INTO messages (conversation_id, sender_id, message_type, content) VALUES (?, ?, ?, ?)')
+    .run(conversationId, members[0].userId, MESSAGE_TYPES.SYSTEM,
+      `Welcome to group therapy. ${members.length} strangers, ${describeTimer(timerProfile)}. Share responsibly.`);
+
+  startTimer(io, roomId, conversationId);
+}
+
+/**
+ * Removes a member from a group room that carries on without them:
+ * marks them as left, takes their socket out of the room, tells them
+ * their conversation is over and tells the rest who left.  If fewer than
+ * two members remain the whole conversation is closed; otherwise any
+ * photo exchange that was only waiting on this member moves forward.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} conv   - The group conversation row.
+ * @param {number} userId - The departing member.
+ * @param {string} reason - Shown to the remaining members.
+ */
+function removeFromGroup(io, conv, userId, reason) {
+  conversationService.removeParticipant(conv.id, userId);
+
+  const socketId = matchmaker.getSocketId(userId);
+  const memberSocket = socketId && io.sockets.sockets.get(socketId);
+  if (memberSocket) {
+    memberSocket.leave(conv.room_id);
+    memberSocket.emit(EVENTS.CONVERSATION_CLOSED, { conversationId: conv.id, reason: 'You left the group' });
+  }
+
+  io.to(conv.room_id).emit(EVENTS.PARTICIPANT_LEFT, { conversationId: conv.id, userId, reason });
+
+  if (conversationService.getParticipantIds(conv.id).length < 2) {
+    conversationService.closeConversation(conv.id);
+    clearTimer(conv.room_id);
+    pendingPhotos.delete(conv.id);
+    pendingRatings.delete(conv.id);
+    pendingPauses.delete(conv.id);
+    io.to(conv.room_id).emit(EVENTS.CONVERSATION_CLOSED, { conversationId: conv.id, reason: 'Everyone else left the group' });
+    return;
+  }
+
+  revealPhotosIfReady(io, conv);
+  finishRatingsIfReady(io, conv);
+}
+
+/**
+ * Reveals the photo-exchange photos once every current participant has
+ * submitted one, sending all of them to the room at once.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} conv - The conversation row.
+ * @returns {boolean} True if the photos were revealed.
+ */
+function revealPhotosIfReady(io, conv) {
+  const submitted = pendingPhotos.get(conv.id);
+  const participantIds = conversationService.getParticipantIds(conv.id);
+  if (!submitted || !participantIds.every(id => submitted.has(id))) return false;
+
+  // The round's submissions are complete; a late duplicate submit must
+  // not trigger a second reveal.
+  pendingPhotos.delete(conv.id);
+  io.to(conv.room_id).emit(EVENTS.PHOTO_EXCHANGE_REVEAL, {
+    conversationId: conv.id,
+    photos: getRevealedPhotos(conv.id, participantIds),
+  });
+  return true;
+}
+
+/**
+ * Returns each participant's latest photo-exchange submission (older ones
+ * may be left over from previous extension rounds).
+ *
+ * @param {number} conversationId
+ * @param {number[]} participantIds - Current participants.
+ * @returns {Array<{ userId: number, photoUrl: string }>}
+ */
+function getRevealedPhotos(conversationId, participantIds) {
+  const photos = getDb().prepare(`
+    SELECT sender_id, photo_url FROM photo_exchanges
+    WHERE id IN (SELECT MAX(id) FROM photo_exchanges WHERE conversation_id = ? GROUP BY sender_id)
+  `).all(conversationId).filter(p => participantIds.includes(p.sender_id));
+  return photos.map(p => ({ userId: p.sender_id, photoUrl: p.photo_url }));
+}
+
+/**
+ * Describes where a user is in a conversation's photo exchange, for the
+ * rejoin payload: `photos` is null until everyone has submitted, and
+ * `rated` is true once the user has rated every other photo.
+ *
+ * @param {Object} conv - A conversation row in PHOTO_EXCHANGE.
+ * @param {number} userId
+ * @returns {{ photos: Array<{ userId: number, photoUrl: string }>|null, rated: boolean }}
+ */
+function getPhotoExchangeState(conv, userId) {
+  if (pendingPhotos.has(conv.id)) return { photos: null, rated: false };
+  const participantIds = conversationService.getParticipantIds(conv.id);
+  const rated = (pendingRatings.get(conv.id) || new Map()).get(userId) || new Set();
+  return {
+    photos: getRevealedPhotos(conv.id, participantIds),
+    rated: participantIds.every(id => id === userId || rated.has(id)),
+  };
+}
+
+/**
+ * Ends the photo-exchange phase once every current participant has rated
+ * every other participant's photo: cleans up the tracking maps, returns
+ * the conversation to ACTIVE and starts a new timer.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} conv - The conversation row.
+ * @param {number|null} [actorId] - The user whose rating may complete the round.
+ * @returns {boolean} True if the phase ended.
+ */
+function finishRatingsIfReady(io, conv, actorId = null) {
+  const ratings = pendingRatings.get(conv.id);
+  if (!ratings) return false;
+  const participantIds = conversationService.getParticipantIds(conv.id);
+  const done = participantIds.every(rater =>
+    participantIds.every(rated => rated === rater || (ratings.get(rater) && ratings.get(rater).has(rated))));
+  if (!done) return false;
+
+  pendingPhotos.delete(conv.id);
+  pendingRatings.delete(conv.id);
+  if (!conversationService.setActive(conv.id, actorId)) return false;
+  startTimer(io, conv.room_id, conv.id);
+  return true;
+}
+
+/**
+ * Resolves the current extension vote once every current participant has
+ * voted (see the rules at the EXTENSION_VOTE handler): closes the
+ * conversation, makes it Friends Forever or starts the photo exchange,
+ * and tells the room.  Used both when the last vote comes in and when the
+ * vote deadline passes.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} conv - The conversation row (EXTENSION_PENDING).
+ * @param {number|null} actorId - The user whose vote may complete the round;
+ *   null when the deadline resolves it.
+ * @returns {{ waiting: boolean, result?: string }} waiting is true until
+ *   everyone has voted; then result is the outcome.
+ */
+function resolveVotesIfReady(io, conv, actorId) {
+  const conversationId = conv.id;
+  const round = conv.extensions_count + 1;
+
+  // Retrieve all votes for this round to see if we can resolve.
+  const votes = getDb().prepare(
+    'SELECT * FROM extension_votes WHERE conversation_id = ? AND round = ?'
+  ).all(conversationId, round);
+
+  // Build a userId -> vote map of current participants.  Using an
+  // object (rather than the raw array) deduplicates in the unlikely
+  // event of a double-submit.
+  const participantIds = conversationService.getParticipantIds(conv.id);
+  const voteMap = {};
+  votes.forEach(v => { if (participantIds.includes(v.user_id)) voteMap[v.user_id] = v.vote; });
+  const voteValues = Object.values(voteMap);
+
+  if (voteValues.length < participantIds.length) return { waiting: true };
+
+  // --- Everyone has voted -- resolve the round ---
+
+  // The vote deadline is no longer needed, and a pause request nobody
+  // answered before time ran out is void.
+  clearTimer(conv.room_id);
+  pendingPauses.delete(conv.id);
+
+  // Who missed the deadline and had the default vote cast for them.
+  const defaultedIds = new Set(votes.filter(v => v.is_default).map(v => v.user_id));
+
+  const majority = count => count * 2 > participantIds.length;
+  const leaverIds = participantIds.filter(id => voteMap[id] === 'leave');
+  let result;
+
+  if (!majority(participantIds.length - leaverIds.length)) {
+    // --------------------------------------------------
+    // OUTCOME: CLOSED
+    // No majority wants to stay (for a pair: at least one
+    // user chose "leave", or missed the deadline with
+    // "leave" as the default). The conversation ends
+    // immediately.
+    // --------------------------------------------------
+    result = 'closed';
+    conversationService.closeConversation(conversationId, actorId);
+    io.to(conv.room_id).emit(EVENTS.EXTENSION_RESULT, { result: 'closed', conversationId });
+    io.to(conv.room_id).emit(EVENTS.CONVERSATION_CLOSED, {
+      conversationId,
+      reason: leaverIds.every(id => defaultedIds.has(id)) ? 'Not everyone voted in time' : 'Someone chose to leave',
+    });
+    return { waiting: false, result };
+  }
+
+  // The group carries on; whoever voted to leave goes now.
+  for (const leaverId of leaverIds) {
+    removeFromGroup(io, conv, leaverId, defaultedIds.has(leaverId) ? 'Did not vote in time' : 'Voted to leave');
+  }
+  const stayingIds = participantIds.filter(id => !leaverIds.includes(id));
+
+  if (majority(voteValues.filter(v => v === 'friends_forever').length)) {
+    // --------------------------------------------------
+    // OUTCOME: FRIENDS FOREVER
+    // A majority (for a pair: both users) voted
+    // "friends_forever". The conversation becomes
+    // permanent (no more timers), and everyone still in it
+    // receives the large friends-forever point bonus.
+    // --------------------------------------------------
+    result = 'friends_forever';
+    conversationService.setFriendsForever(conversationId, actorId);
+    stayingIds.forEach(id => pointsService.awardFriendsForever(id, conversationId));
+    io.to(conv.room_id).emit(EVENTS.EXTENSION_RESULT, { result: 'friends_forever', conversationId });
+    io.to(conv.room_id).emit(EVENTS.FRIENDS_FOREVER_CONFIRMED, { conversationId });
+  } else {
+    // --------------------------------------------------
+    // OUTCOME: PHOTO EXCHANGE (extend)
+    // The remaining case covers "extend" + "extend",
+    // "extend" + "friends_forever", or "friends_forever" +
+    // "extend" (and their group equivalents).  In all cases
+    // the conversation is extended and enters the
+    // photo-exchange phase.
+    // --------------------------------------------------
+    result = 'photo_exchange';
+    const updated = conversationService.extendConversation(conversationId, actorId);
+
+    // Award extension points (with possible streak bonus).
+    stayingIds.forEach(id => pointsService.awardExtension(id, conversationId, updated.extensions_count));
+
+    // Initialise the in-memory tracking sets for this exchange round.
+    pendingPhotos.set(conversationId, new Set());
+    pendingRatings.set(conversationId, new Map());
+
+    io.to(conv.room_id).emit(EVENTS.EXTENSION_RESULT, { result: 'photo_exchange', conversationId });
+    io.to(conv.room_id).emit(EVENTS.PHOTO_EXCHANGE_START, { conversationId });
+  }
+  return { waiting: false, result };
+}
+
+/**
+ * Resolves an extension vote whose deadline has passed: everyone who has
+ * not voted gets EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE (recorded with
+ * `is_default`), then the round is resolved as if they had voted.
+ * Registered with timer.onVoteDeadline.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {number} conversationId
+ */
+function resolveVoteDeadline(io, conversationId) {
+  const conv = conversationService.getConversation(conversationId);
+  if (!conv || conv.status !== CONVERSATION_STATUS.EXTENSION_PENDING) return;
+
+  const db = getDb();
+  const round = conv.extensions_count + 1;
+  const voted = new Set(db.prepare('SELECT user_id FROM extension_votes WHERE conversation_id = ? AND round = ?')
+    .all(conv.id, round).map(v => v.user_id));
+  const insert = db.prepare(
+    'INSERT INTO extension_votes (conversation_id, user_id, round, vote, is_default) VALUES (?, ?, ?, ?, 1)'
+  );
+  for (const participantId of conversationService.getParticipantIds(conv.id)) {
+    if (!voted.has(participantId)) insert.run(conv.id, participantId, round, EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE);
+  }
+
+  resolveVotesIfReady(io, conv, null);
+}
+
+/**
+ * Starts the grace period for a user who is no longer connected.  If
+ * they have not reconnected when it ends, a pair conversation is closed
+ * and the partner notified; in a group room only they are removed.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {number} userId
+ * @param {Object} conv - The user's conversation row.
+ */
+function startDisconnectGrace(io, userId, conv) {
+  clearTimeout(disconnectTimers.get(userId));
+  const timer = setTimeout(() => {
+    disconnectTimers.delete(userId);
+
+    // Re-fetch the conversation to check if it was closed by other
+    // means (e.g. the partner also disconnected, or a vote resolved)
+    // while we were waiting.
+    const freshConv = conversationService.getConversation(conv.id);
+    if (freshConv && freshConv.is_group) {
+      if (freshConv.status !== CONVERSATION_STATUS.CLOSED && conversationService.isParticipant(conv.id, userId)) {
+        removeFromGroup(io, freshConv, userId, 'Disconnected');
+      }
+    } else if (freshConv && freshConv.status !== CONVERSATION_STATUS.CLOSED) {
+      conversationService.closeConversation(conv.id);
+      clearTimer(conv.room_id);
+      pendingPauses.delete(conv.id);
+      io.to(conv.room_id).emit(EVENTS.PARTNER_DISCONNECTED, { conversationId: conv.id });
+      io.to(conv.room_id).emit(EVENTS.CONVERSATION_CLOSED, {
+        conversationId: conv.id,
+        reason: 'Partner disconnected',
+      });
+    }
+  }, DISCONNECT_GRACE_SECONDS * 1000);
+  disconnectTimers.set(userId, timer);
+}
+
+/**
+ * Rebuilds the in-memory state lost when the server stopped, from the
+ * database:
+ *   - ACTIVE conversations get their timer back (expiring at once if
+ *     current_timer_end has passed, or resuming at timer_paused_until
+ *     if it was paused).
+ *   - EXTENSION_PENDING conversations get their vote deadline back
+ *     (resolved at once if vote_deadline has passed).
+ *   - PHOTO_EXCHANGE conversations get pendingPhotos and pendingRatings
+ *     back from the current round's photo_exchanges and ratings rows.
+ *   - Every participant of a timed conversation starts a disconnect
+ *     grace period, so they rejoin where they left off if they
+ *     reconnect in time.  Friends Forever conversations have no
+ *     deadline and are left alone.
+ *   - Saved queue entries are restored; those not reclaimed by a
+ *     reconnecting user within the grace period are dropped.
+ *
+ * @param {import('socket.io').Server} io
+ * @private
+ */
+function restoreLiveState(io) {
+  const db = getDb();
+  const conversations = db.prepare('SELECT * FROM conversations WHERE status IN (?, ?, ?)')
+    .all(CONVERSATION_STATUS.ACTIVE, CONVERSATION_STATUS.EXTENSION_PENDING, CONVERSATION_STATUS.PHOTO_EXCHANGE);
+
+  for (const conv of conversations) {
+    if (conv.status === CONVERSATION_STATUS.ACTIVE) {
+      resumeTimer(io, conv.room_id, conv.id, conv.current_timer_end);
+    } else if (conv.status === CONVERSATION_STATUS.EXTENSION_PENDING) {
+      resumeVoteDeadline(io, conv.room_id, conv.id, conv.vote_deadline);
+    } else if (conv.status === CONVERSATION_STATUS.PHOTO_EXCHANGE) {
+      const round = conv.extensions_count;
+      const participantIds = conversationService.getParticipantIds(conv.id);
+
+      const submitted = new Set(db.prepare(
+        'SELECT sender_id FROM photo_exchanges WHERE conversation_id = ? AND round = ?'
+      ).all(conv.id, round).map(r => r.sender_id));
+      // Once everyone has submitted the photos were already revealed.
+      if (!participantIds.every(id => submitted.has(id))) pendingPhotos.set(conv.id, submitted);
+
+      const ratings = new Map();
+      for (const r of db.prepare('SELECT rater_id, rated_id FROM ratings WHERE conversation_id = ? AND round = ?').all(conv.id, round)) {
+        if (!ratings.has(r.rater_id)) ratings.set(r.rater_id, new Set());
+        ratings.get(r.rater_id).add(r.rated_id);
+      }
+      pendingRatings.set(conv.id, ratings);
+    }
+
+    for (const participantId of conversationService.getParticipantIds(conv.id)) {
+      startDisconnectGrace(io, participantId, conv);
+    }
+  }
+
+  matchmaker.restoreQueue();
+  setTimeout(() => matchmaker.dropUnclaimedQueueEntries(), DISCONNECT_GRACE_SECONDS * 1000);
+}
+
+/**
+ * Validates an ADD_REACTION / REMOVE_REACTION payload and looks up the
+ * message it targets.
+ *
+ * @param {{ conversationId: number, messageId: number, emoji: string }} payload
+ * @param {number} userId    - The reacting user.
+ * @param {string} eventName - The event being handled.
+ * @returns {{ conv: Object, message: Object, emoji: string }}
+ * @throws {SocketError} INVALID_PAYLOAD for an unknown emoji or a
+ *   non-integer messageId, MESSAGE_NOT_FOUND if the message is not a user
+ *   message of the conversation, or any {@link requireConversation} error.
+ */
+function requireReactionTarget({ conversationId, messageId, emoji }, userId, eventName) {
+  if (!REACTION_EMOJIS.includes(emoji)) {
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, `emoji must be one of ${REACTION_EMOJIS.join(' ')}`);
+  }
+  if (!Number.isInteger(messageId)) {
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'messageId must be an integer');
+  }
+  const conv = requireConversation(conversationId, userId, eventName);
+  const message = conversationService.getUserMessage(conv.id, messageId);
+  if (!message) throw new SocketError(ERROR_CODES.MESSAGE_NOT_FOUND, 'Message not found');
+  return { conv, message, emoji };
+}
+
+/**
+ * Validates the optional `replyToId` of a new message: it must be a user
+ * message of the same conversation.
+ *
+ * @param {Object} conv - The conversation the new message is sent in.
+ * @param {*} replyToId - From the payload; undefined or null for no reply.
+ * @returns {number|null} The ID to store in `reply_to_id`.
+ * @throws {SocketError} INVALID_PAYLOAD if it is not an integer,
+ *   MESSAGE_NOT_FOUND if there is no such message in the conversation.
+ */
+function requireReplyTarget(conv, replyToId) {
+  if (replyToId === undefined || replyToId === null) return null;
+  if (!Number.isInteger(replyToId)) {
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'replyToId must be an integer');
+  }
+  if (!conversationService.getUserMessage(conv.id, replyToId)) {
+    throw new SocketError(ERROR_CODES.MESSAGE_NOT_FOUND, 'The message you replied to was not found');
+  }
+  return replyToId;
+}
+
+/**
+ * Unwraps a shared/validation result.
+ *
+ * @param {{ value: * }|{ error: import('../../../shared/validation.js').ValidationError }} result
+ * @returns {*} The validated value.
+ * @throws {SocketError} INVALID_PAYLOAD with the failed `field` and `rule` as details.
+ */
+function requireValid(result) {
+  if (result.error) {
+    const { field, rule, message } = result.error;
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, message, { field, rule });
+  }
+  return result.value;
+}
+
+/**
+ * Validates a voice note's metadata and checks that the user uploaded it.
+ *
+ * @param {Object} payload - The SEND_VOICE_NOTE payload.
+ * @param {number} userId
+ * @returns {{ voiceUrl: string, duration: number }}
+ * @throws {SocketError} INVALID_PAYLOAD.
+ */
+function requireOwnVoiceNote(payload, userId) {
+  const voiceNote = requireValid(validateVoiceNote(payload));
+  const upload = getDb().prepare('SELECT user_id FROM voice_uploads WHERE url = ?').get(voiceNote.voiceUrl);
+  if (!upload || upload.user_id !== userId) {
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'voiceUrl must be a voice note you uploaded',
+      { field: 'voiceUrl', rule: 'not_owner' });
+  }
+  return voiceNote;
+}
+
+/**
+ * Spends one of the user's RATE_LIMITS tokens for an event in a
+ * conversation.  The first refusal of each burst is recorded in
+ * `rate_limit_violations` for moderation review.  Call it after every
+ * other check, so a rejected payload does not cost a token.
+ *
+ * @param {string} eventName - The event being handled.
+ * @param {number} userId
+ * @param {Object} conv      - The conversation row.
+ * @throws {SocketError} RATE_LIMITED with `details.retryAfter` in seconds.
+ */
+function requireWithinRateLimit(eventName, userId, conv) {
+  const { allowed, retryAfterMs, firstRejection } = rateLimiter.takeToken(eventName, userId, conv.id);
+  if (allowed) return;
+  if (firstRejection) {
+    getDb().prepare('INSERT INTO rate_limit_violations (user_id, conversation_id, event) VALUES (?, ?, ?)')
+      .run(userId, conv.id, eventName);
+  }
+  const retryAfter = Math.ceil(retryAfterMs / 1000);
+  throw new SocketError(ERROR_CODES.RATE_LIMITED,
+    `You're sending messages too fast. Try again in ${retryAfter}s.`,
+    { conversationId: conv.id, retryAfter });
+}
+
+/**
+ * Looks up a message the user wants to edit or delete, enforcing that
+ * they sent it and that it is still within MESSAGE_EDIT_WINDOW_SECONDS.
+ *
+ * @param {{ conversationId: number, messageId: number }} payload
+ * @param {number} userId    - The acting user.
+ * @param {string} eventName - The event being handled.
+ * @returns {{ conv: Object, message: Object }}
+ * @throws {SocketError} INVALID_PAYLOAD for a non-integer messageId,
+ *   MESSAGE_NOT_FOUND, NOT_SENDER, EDIT_WINDOW_EXPIRED, or any
+ *   {@link requireConversation} error.
+ */
+function requireOwnRecentMessage({ conversationId, messageId }, userId, eventName) {
+  if (!Number.isInteger(messageId)) {
+    throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'messageId must be an integer');
+  }
+  const conv = requireConversation(conversationId, userId, eventName);
+  const message = conversationService.getUserMessage(conv.id, messageId);
+  if (!message) throw new SocketError(ERROR_CODES.MESSAGE_NOT_FOUND, 'Message not found');
+  if (message.sender_id !== userId) {
+    throw new SocketError(ERROR_CODES.NOT_SENDER, 'You can only change your own messages');
+  }
+  // created_at is SQLite's UTC "YYYY-MM-DD HH:MM:SS".
+  const sentAt = Date.parse(message.created_at.replace(' ', 'T') + 'Z');
+  if (Date.now() - sentAt > MESSAGE_EDIT_WINDOW_SECONDS * 1000) {
+    throw new SocketError(ERROR_CODES.EDIT_WINDOW_EXPIRED,
+      `Messages can only be changed within ${MESSAGE_EDIT_WINDOW_SECONDS} seconds of sending`);
+  }
+  return { conv, message };
+}
+
+/**
+ * Broadcasts a message's current reactions to its conversation room.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} conv      - The conversation row.
+ * @param {number} messageId
+ * @returns {Array<{ emoji: string, userIds: number[] }>} The reactions sent.
+ */
+function broadcastReactions(io, conv, messageId) {
+  const reactions = conversationService.getMessageReactions(messageId);
+  io.to(conv.room_id).emit(EVENTS.REACTION_UPDATED, { conversationId: conv.id, messageId, reactions });
+  return reactions;
+}
+
+/**
+ * Marks a new message as delivered to every other participant whose
+ * socket is in the conversation room (and so has just been sent it),
+ * and broadcasts the updated receipts.
+ *
+ * @param {import('socket.io').Server} io
+ * @param {Object} conv    - The conversation row.
+ * @param {Object} message - The message row that was just broadcast.
+ */
+function markDeliveredInRoom(io, conv, message) {
+  const inRoom = io.sockets.adapter.rooms.get(conv.room_id) || new Set();
+  for (const participantId of conversationService.getParticipantIds(conv.id)) {
+    if (participantId === message.sender_id || !inRoom.has(matchmaker.getSocketId(participantId))) continue;
+    const receipt = conversationService.markReceipt(conv.id, participantId, message.id, 'delivered');
+    if (receipt) io.to(conv.room_id).emit(EVENTS.RECEIPT_UPDATED, { conversationId: conv.id, ...receipt });
+  }
+}
+
+/**
+ * Sends every queued user their current QUEUE_STATUS (position, number
+ * waiting, estimated wait).  Called whenever either queue changes.
+ *
+ * @param {import('socket.io').Server} io
+ */
+function broadcastQueueStatus(io) {
+  for (const entry of [...matchmaker.queue, ...matchmaker.groupQueue]) {
+    const status = matchmaker.getQueueStatus(entry.userId);
+    io.to(entry.socketId).emit(EVENTS.QUEUE_STATUS, status);
+  }
+}
+
+/**
+ * Runs matching passes until no further pair can be made.
+ *
+ * Called whenever someone joins the queue and periodically from the
+ * sweep interval, so users waiting for a trauma match fall back to FIFO
+ * pairing once MATCHMAKING.TRAUMA_FALLBACK_SECONDS elapse, and smaller
+ * groups start once GROUP.FILL_SECONDS elapse.  If anyone was matched,
+ * the remaining users get an updated QUEUE_STATUS.
+ *
+ * @param {import('socket.io').Server} io
+ * @returns {number} How many matches were made.
+ */
+function runMatchmaking(io) {
+  let match;
+  let count = 0;
+  while ((match = matchmaker.tryMatch())) {
+    startMatchedConversation(io, match);
+    count++;
+  }
+  while ((match = matchmaker.tryGroupMatch())) {
+    startGroupConversation(io, match);
+    count++;
+  }
+  if (count > 0) broadcastQueueStatus(io);
+  return count;
+}
+
 /**
  * Registers all Socket.IO event handlers on the given server instance.
  *
@@ -109,6 +929,12 @@ const disconnectTimers = new Map();
  * @param {import('socket.io').Server} io - The Socket.IO server instance.
  */
 function setupSocketHandlers(io) {
+  onVoteDeadline(resolveVoteDeadline);
+  restoreLiveState(io);
+
+  // Periodically retry matching for users already in the queue.
+  setInterval(() => runMatchmaking(io), MATCHMAKING.SWEEP_INTERVAL_MS);
+
   io.on('connection', (socket) => {
     // socket.userId was attached by socketSessionMiddleware during handshake.
     const userId = socket.userId;
@@ -117,9 +943,10 @@ function setupSocketHandlers(io) {
 
     // ---------------------------------------------------------------
     //  RECONNECT HANDLING
-    //  If this user disconnected recently and is still within the
-    //  30-second grace period, cancel the disconnect timer and
-    //  rejoin them to their active conversation room.
+    //  If this user disconnected recently (or the server restarted)
+    //  and is still within the grace period, cancel the disconnect
+    //  timer and rejoin them to their active conversation room.
+    //  Users who were queued before a restart get their spot back.
     // ---------------------------------------------------------------
     if (disconnectTimers.has(userId)) {
       clearTimeout(disconnectTimers.get(userId));
@@ -135,70 +962,95 @@ function setupSocketHandlers(io) {
           conversationId: conv.id,
           roomId: conv.room_id,
           status: conv.status,
-          partnerId: conversationService.getPartnerUserId(conv, userId),
+          isGroup: !!conv.is_group,
+          partnerId: conv.is_group ? null : conversationService.getPartnerUserId(conv, userId),
+          participants: conversationService.getParticipants(conv.id),
+          timerEnd: conv.current_timer_end,
+          round: conv.extensions_count + 1,
+          timerProfile: conv.timer_profile,
+          timerWarningSeconds: conv.timer_warning_seconds,
+          pause: conv.timer_paused_ms === null ? null : {
+            remainingMs: conv.timer_paused_ms,
+            resumeAt: conv.timer_paused_until,
+            serverTime: Date.now(),
+          },
+          pausesLeft: Math.max(PAUSE.MAX_PER_CONVERSATION - conv.pauses_used, 0),
+          voteDeadline: conv.status === CONVERSATION_STATUS.EXTENSION_PENDING ? conv.vote_deadline : null,
+          defaultVote: EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE,
+          photoExchange: conv.status === CONVERSATION_STATUS.PHOTO_EXCHANGE ? getPhotoExchangeState(conv, userId) : null,
         });
       }
     }
 
+    if (matchmaker.reclaimQueueEntry(userId, socket.id)) {
+      if (runMatchmaking(io) === 0) broadcastQueueStatus(io);
+    }
+
+    // ===============================================================
+    //  CLOCK SYNC
+    // ===============================================================
+
+    /**
+     * TIME_SYNC: Clock sync ping.  Answers with the server's clock so the
+     * client can estimate its offset (half the round trip is assumed to
+     * be the way back) and count timers down against server time.
+     *
+     * @returns {{ serverTime: number }} Epoch ms.
+     */
+    onEvent(socket, EVENTS.TIME_SYNC, () => ({ serverTime: Date.now() }));
+
     // ===============================================================
     //  MATCHMAKING
     // ===============================================================
 
     /**
-     * JOIN_QUEUE: User wants to be matched with a random stranger.
+     * JOIN_QUEUE: User wants to be matched with a stranger.
+     *
+     * Adds the user to the matchmaking queue and immediately runs a
+     * matching pass (see {@link runMatchmaking}).  If no suitable partner
+     * is available yet, the periodic sweep will retry.  Everyone still
+     * waiting receives an updated QUEUE_STATUS.
      *
-     * 1. Add the user to the matchmaking queue.
-     * 2. Attempt to pair the first two users in the queue.
-     * 3. If a match is found:
-     *    a. Look up display info for both users.
-     *    b. Join both sockets to a shared room.
-     *    c. Award participation points.
-     *    d. Emit MATCHED to each user (with the other's info).
-     *    e. Insert an initial system message.
-     *    f. Start the conversation timer.
+     * @param {Object} [payload]
+     * @param {Object} [payload.preferences] - Match preferences for this
+     *   session only; the user's saved preferences are used if omitted
+     *   or invalid.
+     * @param {string} [payload.mode] - "group" to wait for a group therapy
+     *   room instead of a one-on-one match.
+     * @param {string} [payload.timerProfile] - A TIMER_PROFILES key; only
+     *   users with the same profile are matched (default DEFAULT_TIMER_PROFILE).
+     * @returns {Object|null} The user's queue status (as in QUEUE_STATUS),
+     *   or null if they were matched straight away.
+     * @throws {SocketError} INVALID_PAYLOAD for an unknown timer profile.
      */
-    socket.on(EVENTS.JOIN_QUEUE, () => {
-      matchmaker.addToQueue(userId, socket.id);
-      const match = matchmaker.tryMatch();
-      if (match) {
-        const { conversationId, roomId, user1, user2 } = match;
-        const db = getDb();
-
-        // Fetch minimal profile info to send to the partner.
-        const u1 = db.prepare('SELECT id, display_name, photo_url FROM users WHERE id = ?').get(user1.userId);
-        const u2 = db.prepare('SELECT id, display_name, photo_url FROM users WHERE id = ?').get(user2.userId);
-
-        // Join both sockets into the shared Socket.IO room.
-        // The guard (`if (s1)`) handles the unlikely case where a
-        // socket disconnected between queue-join and match resolution.
-        const s1 = io.sockets.sockets.get(user1.socketId);
-        const s2 = io.sockets.sockets.get(user2.socketId);
-        if (s1) s1.join(roomId);
-        if (s2) s2.join(roomId);
-
-        // Both users earn participation points just for being matched.
-        pointsService.awardParticipation(user1.userId, conversationId);
-        pointsService.awardParticipation(user2.userId, conversationId);
-
-        // Each user receives MATCHED with the *other* user's profile.
-        if (s1) s1.emit(EVENTS.MATCHED, { conversationId, roomId, partner: u2 });
-        if (s2) s2.emit(EVENTS.MATCHED, { conversationId, roomId, partner: u1 });
-
-        // Record a system message visible to both users in the chat history.
-        db.prepare('INSERT INTO messages (conversation_id, sender_id, message_type, content) VALUES (?, ?, ?, ?)')
-          .run(conversationId, user1.userId, MESSAGE_TYPES.SYSTEM, 'You have been matched! You have 3 minutes. Make them count.');
-
-        // Kick off the countdown.
-        startTimer(io, roomId, conversationId);
+    onEvent(socket, EVENTS.JOIN_QUEUE, (payload) => {
+      const timerProfile = payload.timerProfile === undefined ? DEFAULT_TIMER_PROFILE : payload.timerProfile;
+      if (!Object.hasOwn(TIMER_PROFILES, timerProfile)) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD,
+          `timerProfile must be one of: ${Object.keys(TIMER_PROFILES).join(', ')}`);
       }
+      if (payload.mode === 'group') {
+        matchmaker.addToGroupQueue(userId, socket.id, timerProfile);
+      } else {
+        let preferences;
+        if (payload.preferences) {
+          ({ preferences } = preferencesService.normalizePreferences(payload.preferences));
+        }
+        matchmaker.addToQueue(userId, socket.id, preferences, timerProfile);
+      }
+      // runMatchmaking only broadcasts after a match, but the newcomer
+      // (and everyone behind them) needs a status either way.
+      if (runMatchmaking(io) === 0) broadcastQueueStatus(io);
+      return matchmaker.getQueueStatus(userId);
     });
 
     /**
      * LEAVE_QUEUE: User no longer wants to be matched.
-     * Simply removes them from the queue; no side effects.
+     * Removes them from the queue and updates everyone behind them.
      */
-    socket.on(EVENTS.LEAVE_QUEUE, () => {
+    onEvent(socket, EVENTS.LEAVE_QUEUE, () => {
       matchmaker.removeFromQueue(userId);
+      broadcastQueueStatus(io);
     });
 
     // ===============================================================
@@ -210,7 +1062,8 @@ function setupSocketHandlers(io) {
      * Used when the client navigates back to an active conversation
      * page and needs to re-subscribe to room events.
      */
-    socket.on('join-room', (roomId) => {
+    onEvent(socket, 'join-room', (roomId) => {
+      if (typeof roomId !== 'string') throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'roomId must be a string');
       socket.join(roomId);
     });
 
@@ -222,24 +1075,35 @@ function setupSocketHandlers(io) {
      * SEND_MESSAGE: User sends a text message.
      *
      * Validates that the conversation exists and the sender is a
-     * participant, persists the message to the database, then
+     * participant and that the text passes shared/validation (it is
+     * stored trimmed), persists the message to the database, then
      * broadcasts the full message row to the room so both users
-     * see it in real time.
+     * see it in real time.  An optional `replyToId` quotes an earlier
+     * message of the same conversation.  Rate limited per user and
+     * conversation (RATE_LIMITS).
+     *
+     * @returns {{ messageId: number }}
      */
-    socket.on(EVENTS.SEND_MESSAGE, ({ conversationId, content }) => {
+    onEvent(socket, EVENTS.SEND_MESSAGE, ({ conversationId, content, replyToId }) => {
       const db = getDb();
-      const conv = conversationService.getConversation(conversationId);
-      if (!conv) return;
+      const text = requireValid(validateMessageText(content));
       // Authorization check: only participants may send messages.
-      if (conv.user1_id !== userId && conv.user2_id !== userId) return;
+      const conv = requireConversation(conversationId, userId, EVENTS.SEND_MESSAGE);
+      const replyTo = requireReplyTarget(conv, replyToId);
+      requireWithinRateLimit(EVENTS.SEND_MESSAGE, userId, conv);
+
+      // A sent message ends the sender's typing indicator.
+      stopTyping(socket);
 
       const result = db.prepare(
-        'INSERT INTO messages (conversation_id, sender_id, message_type, content) VALUES (?, ?, ?, ?)'
-      ).run(conversationId, userId, MESSAGE_TYPES.TEXT, content);
+        'INSERT INTO messages (conversation_id, sender_id, message_type, content, reply_to_id) VALUES (?, ?, ?, ?, ?)'
+      ).run(conversationId, userId, MESSAGE_TYPES.TEXT, text, replyTo);
 
       // Re-read the inserted row to get server-generated fields (id, created_at).
       const message = db.prepare('SELECT * FROM messages WHERE id = ?').get(result.lastInsertRowid);
       io.to(conv.room_id).emit(EVENTS.NEW_MESSAGE, message);
+      markDeliveredInRoom(io, conv, message);
+      return { messageId: message.id };
     });
 
     /**
@@ -247,32 +1111,251 @@ function setupSocketHandlers(io) {
      *
      * The actual audio file has already been uploaded via the REST
      * /api/upload/voice endpoint; this event only receives the
-     * resulting URL and duration metadata.
+     * resulting URL and duration metadata, which must name the sender's
+     * own upload and be at most VOICE_MAX_SECONDS long.  Like text messages, a voice
+     * note may quote an earlier message via `replyToId`, and voice notes
+     * have their own rate limit.
+     *
+     * @returns {{ messageId: number }}
      */
-    socket.on(EVENTS.SEND_VOICE_NOTE, ({ conversationId, voiceUrl, duration }) => {
+    onEvent(socket, EVENTS.SEND_VOICE_NOTE, (payload) => {
+      const { conversationId, replyToId } = payload;
       const db = getDb();
-      const conv = conversationService.getConversation(conversationId);
-      if (!conv) return;
-      if (conv.user1_id !== userId && conv.user2_id !== userId) return;
+      const { voiceUrl, duration } = requireOwnVoiceNote(payload, userId);
+      const conv = requireConversation(conversationId, userId, EVENTS.SEND_VOICE_NOTE);
+      const replyTo = requireReplyTarget(conv, replyToId);
+      requireWithinRateLimit(EVENTS.SEND_VOICE_NOTE, userId, conv);
 
       const result = db.prepare(
-        'INSERT INTO messages (conversation_id, sender_id, message_type, voice_url, voice_duration) VALUES (?, ?, ?, ?, ?)'
-      ).run(conversationId, userId, MESSAGE_TYPES.VOICE, voiceUrl, duration);
+        'INSERT INTO messages (conversation_id, sender_id, message_type, voice_url, voice_duration, reply_to_id) VALUES (?, ?, ?, ?, ?, ?)'
+      ).run(conversationId, userId, MESSAGE_TYPES.VOICE, voiceUrl, duration, replyTo);
 
       const message = db.prepare('SELECT * FROM messages WHERE id = ?').get(result.lastInsertRowid);
       io.to(conv.room_id).emit(EVENTS.NEW_MESSAGE, message);
+      markDeliveredInRoom(io, conv, message);
+      return { messageId: message.id };
+    });
+
+    /**
+     * MESSAGES_READ: The user has seen every message up to `messageId`
+     * (sent by the client while the chat is visible).  Persists the read
+     * watermark and broadcasts the receipt so senders can show read ticks.
+     * Allowed in any status, including after the conversation closed.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     * @param {number} payload.messageId
+     * @returns {{ userId: number, deliveredUpTo: number, readUpTo: number }|null}
+     *   The updated receipt, or null if nothing changed.
+     */
+    onEvent(socket, EVENTS.MESSAGES_READ, ({ conversationId, messageId }) => {
+      if (!Number.isInteger(messageId)) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'messageId must be an integer');
+      }
+      const conv = requireConversation(conversationId, userId, EVENTS.MESSAGES_READ);
+      const receipt = conversationService.markReceipt(conv.id, userId, messageId, 'read');
+      if (receipt) io.to(conv.room_id).emit(EVENTS.RECEIPT_UPDATED, { conversationId: conv.id, ...receipt });
+      return receipt;
+    });
+
+    /**
+     * EDIT_MESSAGE: Change the text of one of the user's own text messages
+     * within MESSAGE_EDIT_WINDOW_SECONDS of sending it.  The old text is
+     * kept in the edit history; the updated row is broadcast as
+     * MESSAGE_UPDATED.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     * @param {number} payload.messageId
+     * @param {string} payload.content - The new text (validated like a new message).
+     * @returns {{ messageId: number }}
+     */
+    onEvent(socket, EVENTS.EDIT_MESSAGE, (payload) => {
+      const content = requireValid(validateMessageText(payload.content));
+      const { conv, message } = requireOwnRecentMessage(payload, userId, EVENTS.EDIT_MESSAGE);
+      if (message.message_type !== MESSAGE_TYPES.TEXT) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'Only text messages can be edited');
+      }
+      const updated = conversationService.editMessage(message.id, content);
+      io.to(conv.room_id).emit(EVENTS.MESSAGE_UPDATED, updated);
+      return { messageId: updated.id };
+    });
+
+    /**
+     * DELETE_MESSAGE: Unsend one of the user's own text or voice messages
+     * within MESSAGE_EDIT_WINDOW_SECONDS of sending it.  The message
+     * becomes a tombstone, broadcast as MESSAGE_UPDATED.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     * @param {number} payload.messageId
+     * @returns {{ messageId: number }}
+     */
+    onEvent(socket, EVENTS.DELETE_MESSAGE, (payload) => {
+      const { conv, message } = requireOwnRecentMessage(payload, userId, EVENTS.DELETE_MESSAGE);
+      const updated = conversationService.deleteMessage(message.id);
+      io.to(conv.room_id).emit(EVENTS.MESSAGE_UPDATED, updated);
+      return { messageId: updated.id };
+    });
+
+    /**
+     * ADD_REACTION: React to a text or voice message with one of
+     * REACTION_EMOJIS.  The message's reactions are broadcast to the room.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     * @param {number} payload.messageId
+     * @param {string} payload.emoji
+     * @returns {{ reactions: Array<{ emoji: string, userIds: number[] }> }}
+     * @throws DUPLICATE if the user already reacted with that emoji.
+     */
+    onEvent(socket, EVENTS.ADD_REACTION, (payload) => {
+      const { conv, message, emoji } = requireReactionTarget(payload, userId, EVENTS.ADD_REACTION);
+      if (!conversationService.addReaction(message.id, userId, emoji)) {
+        throw new SocketError(ERROR_CODES.DUPLICATE, 'You already reacted with that emoji');
+      }
+      return { reactions: broadcastReactions(io, conv, message.id) };
+    });
+
+    /**
+     * REMOVE_REACTION: Take back one of the user's reactions.  Removing a
+     * reaction that does not exist changes nothing and broadcasts nothing.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     * @param {number} payload.messageId
+     * @param {string} payload.emoji
+     * @returns {{ reactions: Array<{ emoji: string, userIds: number[] }> }}
+     */
+    onEvent(socket, EVENTS.REMOVE_REACTION, (payload) => {
+      const { conv, message, emoji } = requireReactionTarget(payload, userId, EVENTS.REMOVE_REACTION);
+      if (!conversationService.removeReaction(message.id, userId, emoji)) {
+        return { reactions: conversationService.getMessageReactions(message.id) };
+      }
+      return { reactions: broadcastReactions(io, conv, message.id) };
+    });
+
+    /**
+     * TYPING_START: User is composing a message.  Relayed to the rest of
+     * the room (never back to the typist); clients repeat it while the
+     * user keeps typing, and it expires after TYPING_EXPIRE_SECONDS.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     */
+    onEvent(socket, EVENTS.TYPING_START, ({ conversationId }) => {
+      const conv = requireConversation(conversationId, userId, EVENTS.TYPING_START);
+      startTyping(socket, conv);
+    });
+
+    /**
+     * TYPING_STOP: User stopped composing.  A no-op if they were not
+     * shown as typing.
+     */
+    onEvent(socket, EVENTS.TYPING_STOP, () => {
+      stopTyping(socket);
+    });
+
+    // ===============================================================
+    //  TIMER PAUSES
+    //
+    //  A pause needs someone other than the requester to accept it.
+    //  The request is relayed to the rest of the room; the first
+    //  answer settles it.  An accepted pause suspends the countdown
+    //  until anyone resumes it or PAUSE.MAX_SECONDS pass.
+    // ===============================================================
+
+    /**
+     * REQUEST_PAUSE: User asks the others to pause the timer.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     * @returns {{ pausesLeft: number }} Pauses left in the conversation,
+     *   this one included.
+     */
+    onEvent(socket, EVENTS.REQUEST_PAUSE, ({ conversationId }) => {
+      const conv = requireConversation(conversationId, userId, EVENTS.REQUEST_PAUSE);
+      requirePausable(conv);
+
+      const pending = pendingPauses.get(conv.id);
+      if (pending && pending.round === conv.extensions_count) {
+        throw new SocketError(ERROR_CODES.DUPLICATE,
+          pending.requesterId === userId ? 'You already asked for a pause' : 'A pause was already requested',
+          { conversationId: conv.id });
+      }
+
+      pendingPauses.set(conv.id, { requesterId: userId, round: conv.extensions_count });
+      socket.to(conv.room_id).emit(EVENTS.REQUEST_PAUSE, { conversationId: conv.id, userId });
+      return { pausesLeft: PAUSE.MAX_PER_CONVERSATION - conv.pauses_used };
+    });
+
+    /**
+     * RESPOND_PAUSE: User accepts or declines the pending pause request.
+     *
+     * @param {Object} payload
+     * @param {number}  payload.conversationId
+     * @param {boolean} payload.accept
+     * @returns {{ paused: boolean }} Whether the timer is now paused.
+     */
+    onEvent(socket, EVENTS.RESPOND_PAUSE, ({ conversationId, accept }) => {
+      if (typeof accept !== 'boolean') {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'accept must be a boolean');
+      }
+      const conv = requireConversation(conversationId, userId, EVENTS.RESPOND_PAUSE);
+
+      const pending = pendingPauses.get(conv.id);
+      if (!pending || pending.round !== conv.extensions_count
+        || !conversationService.isParticipant(conv.id, pending.requesterId)) {
+        throw new SocketError(ERROR_CODES.INVALID_STATE, 'No pause was requested', { conversationId: conv.id });
+      }
+      if (pending.requesterId === userId) {
+        throw new SocketError(ERROR_CODES.INVALID_STATE, 'Your pause request needs someone else to answer it',
+          { conversationId: conv.id });
+      }
+      pendingPauses.delete(conv.id);
+
+      if (!accept) {
+        io.to(conv.room_id).emit(EVENTS.PAUSE_DECLINED, { conversationId: conv.id, userId });
+        return { paused: false };
+      }
+      requirePausable(conv);
+      return { paused: pauseTimer(io, conv.room_id, conv.id) };
+    });
+
+    /**
+     * TIMER_RESUME: User ends the pause early; the countdown continues
+     * from where it stopped.
+     *
+     * @param {Object} payload
+     * @param {number} payload.conversationId
+     */
+    onEvent(socket, EVENTS.TIMER_RESUME, ({ conversationId }) => {
+      const conv = requireConversation(conversationId, userId, EVENTS.TIMER_RESUME);
+      if (!endPause(io, conv.room_id, conv.id)) {
+        throw new SocketError(ERROR_CODES.INVALID_STATE, 'The timer is not paused', { conversationId: conv.id });
+      }
     });
 
     // ===============================================================
     //  EXTENSION VOTING STATE MACHINE
     //
     //  After the timer expires the conversation enters EXTENSION_PENDING.
-    //  Each user submits a vote: "extend", "leave", or "friends_forever".
+    //  Each participant submits a vote: "extend", "leave", or
+    //  "friends_forever".
+    //
+    //  Vote resolution rules (evaluated once every participant has
+    //  voted; "majority" means strictly more than half):
+    //    - no majority wants to stay       -> conversation CLOSED
+    //    - majority "friends_forever"      -> FRIENDS_FOREVER (permanent)
+    //    - otherwise (majority stays)      -> PHOTO_EXCHANGE
+    //  For a pair this means: ANY "leave" closes, BOTH "friends_forever"
+    //  is required for Friends Forever, and anything else extends.
+    //  In a group that carries on, members who voted "leave" are
+    //  removed from the room.
     //
-    //  Vote resolution rules (evaluated once both votes are in):
-    //    - ANY "leave"              -> conversation CLOSED
-    //    - BOTH "friends_forever"   -> FRIENDS_FOREVER (permanent)
-    //    - otherwise (extend/mixed) -> PHOTO_EXCHANGE
+    //  Votes close at the conversation's vote_deadline: anyone who has
+    //  not voted by then is counted as EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE
+    //  and the round is resolved the same way (resolveVoteDeadline).
     //
     //  The round number (extensions_count + 1) ensures that stale votes
     //  from previous rounds are not double-counted.
@@ -284,13 +1367,16 @@ function setupSocketHandlers(io) {
      * @param {Object} payload
      * @param {number} payload.conversationId
      * @param {string} payload.vote - One of "extend", "leave", "friends_forever".
+     * @returns {{ waiting: boolean, result?: string }} waiting is true until
+     *   everyone has voted; then result is the outcome.
      */
-    socket.on(EVENTS.EXTENSION_VOTE, ({ conversationId, vote }) => {
+    onEvent(socket, EVENTS.EXTENSION_VOTE, ({ conversationId, vote }) => {
       const db = getDb();
-      const conv = conversationService.getConversation(conversationId);
-
+      if (!EXTENSION_VOTES.includes(vote)) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, `vote must be one of: ${EXTENSION_VOTES.join(', ')}`);
+      }
       // Only accept votes when the conversation is awaiting them.
-      if (!conv || conv.status !== CONVERSATION_STATUS.EXTENSION_PENDING) return;
+      const conv = requireConversation(conversationId, userId, EVENTS.EXTENSION_VOTE);
 
       // Round number is derived from the current extensions_count so each
       // voting cycle gets its own namespace in the extension_votes table.
@@ -300,74 +1386,12 @@ function setupSocketHandlers(io) {
       db.prepare('INSERT INTO extension_votes (conversation_id, user_id, round, vote) VALUES (?, ?, ?, ?)')
         .run(conversationId, userId, round, vote);
 
-      // Retrieve all votes for this round to see if we can resolve.
-      const votes = db.prepare(
-        'SELECT * FROM extension_votes WHERE conversation_id = ? AND round = ?'
-      ).all(conversationId, round);
-
-      if (votes.length < 2) {
-        // Only one user has voted so far -- acknowledge and wait.
+      const outcome = resolveVotesIfReady(io, conv, userId);
+      if (outcome.waiting) {
+        // Not everyone has voted yet -- acknowledge and wait.
         socket.emit('vote-received', { waiting: true });
-        return;
-      }
-
-      // --- Both votes are in -- resolve the round ---
-
-      // Build a userId -> vote map.  Using an object (rather than the
-      // raw array) deduplicates in the unlikely event of a double-submit.
-      const voteMap = {};
-      votes.forEach(v => { voteMap[v.user_id] = v.vote; });
-      const voteValues = Object.values(voteMap);
-
-      let result;
-
-      if (voteValues.includes('leave')) {
-        // --------------------------------------------------
-        // OUTCOME: CLOSED
-        // At least one user chose "leave". The conversation
-        // ends immediately; the timer (if any) is cancelled.
-        // --------------------------------------------------
-        result = 'closed';
-        conversationService.closeConversation(conversationId);
-        clearTimer(conv.room_id);
-        io.to(conv.room_id).emit(EVENTS.EXTENSION_RESULT, { result: 'closed', conversationId });
-        io.to(conv.room_id).emit(EVENTS.CONVERSATION_CLOSED, { conversationId, reason: 'Someone chose to leave' });
-      } else if (voteValues.every(v => v === 'friends_forever')) {
-        // --------------------------------------------------
-        // OUTCOME: FRIENDS FOREVER
-        // Both users voted "friends_forever". The conversation
-        // becomes permanent (no more timers), and both receive
-        // the large friends-forever point bonus.
-        // --------------------------------------------------
-        result = 'friends_forever';
-        conversationService.setFriendsForever(conversationId);
-        clearTimer(conv.room_id);
-        pointsService.awardFriendsForever(conv.user1_id, conversationId);
-        pointsService.awardFriendsForever(conv.user2_id, conversationId);
-        io.to(conv.room_id).emit(EVENTS.EXTENSION_RESULT, { result: 'friends_forever', conversationId });
-        io.to(conv.room_id).emit(EVENTS.FRIENDS_FOREVER_CONFIRMED, { conversationId });
-      } else {
-        // --------------------------------------------------
-        // OUTCOME: PHOTO EXCHANGE (extend)
-        // The remaining case covers "extend" + "extend",
-        // "extend" + "friends_forever", or "friends_forever" +
-        // "extend".  In all cases the conversation is extended
-        // and enters the photo-exchange phase.
-        // --------------------------------------------------
-        result = 'photo_exchange';
-        const updated = conversationService.extendConversation(conversationId);
-
-        // Award extension points (with possible streak bonus).
-        pointsService.awardExtension(conv.user1_id, conversationId, updated.extensions_count);
-        pointsService.awardExtension(conv.user2_id, conversationId, updated.extensions_count);
-
-        // Initialise the in-memory tracking sets for this exchange round.
-        pendingPhotos.set(conversationId, new Set());
-        pendingRatings.set(conversationId, new Map());
-
-        io.to(conv.room_id).emit(EVENTS.EXTENSION_RESULT, { result: 'photo_exchange', conversationId });
-        io.to(conv.room_id).emit(EVENTS.PHOTO_EXCHANGE_START, { conversationId });
       }
+      return outcome;
     });
 
     // ===============================================================
@@ -377,12 +1401,11 @@ function setupSocketHandlers(io) {
     //  the REST API and then submits the URL through this socket event.
     //  Photos are persisted to the photo_exchanges table.
     //
-    //  Once both users have submitted:
-    //    1. The two most recent photos for this conversation are fetched.
-    //    2. A PHOTO_EXCHANGE_REVEAL event is emitted to both users with
-    //       both photos, enabling a simultaneous reveal in the UI.
-    //  Until then, the first submitter receives a "photo-received"
-    //  acknowledgment indicating they are waiting for their partner.
+    //  Once every participant has submitted, a PHOTO_EXCHANGE_REVEAL
+    //  event carrying all photos is emitted to the room, enabling a
+    //  simultaneous reveal in the UI (see revealPhotosIfReady).  Until
+    //  then, each submitter receives a "photo-received" acknowledgment
+    //  indicating they are waiting for the others.
     // ===============================================================
 
     /**
@@ -391,84 +1414,94 @@ function setupSocketHandlers(io) {
      * @param {Object} payload
      * @param {number} payload.conversationId
      * @param {string} payload.photoUrl - Server-relative URL from the upload endpoint.
+     * @returns {{ revealed: boolean }} Whether this submission completed the reveal.
      */
-    socket.on(EVENTS.PHOTO_EXCHANGE_SUBMIT, ({ conversationId, photoUrl }) => {
+    onEvent(socket, EVENTS.PHOTO_EXCHANGE_SUBMIT, ({ conversationId, photoUrl }) => {
       const db = getDb();
-      const conv = conversationService.getConversation(conversationId);
-      if (!conv) return;
+      if (typeof photoUrl !== 'string' || !photoUrl) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'photoUrl is required');
+      }
+      const conv = requireConversation(conversationId, userId, EVENTS.PHOTO_EXCHANGE_SUBMIT);
 
       // Persist the photo submission.
-      db.prepare('INSERT INTO photo_exchanges (conversation_id, sender_id, photo_url) VALUES (?, ?, ?)')
-        .run(conversationId, userId, photoUrl);
+      db.prepare('INSERT INTO photo_exchanges (conversation_id, sender_id, photo_url, round) VALUES (?, ?, ?, ?)')
+        .run(conversationId, userId, photoUrl, conv.extensions_count);
 
-      // Lazily initialise the pending set (handles edge cases like
-      // server restart mid-exchange where the Map entry was lost).
+      // Lazily initialise the pending set (e.g. a late submit after the
+      // reveal already cleared it).
       if (!pendingPhotos.has(conversationId)) {
         pendingPhotos.set(conversationId, new Set());
       }
       pendingPhotos.get(conversationId).add(userId);
 
-      // Check if both users have now submitted their photos.
-      if (pendingPhotos.get(conversationId).size >= 2) {
-        // Fetch the two most recent photo submissions for this conversation
-        // (there may be older ones from previous extension rounds).
-        const photos = db.prepare(
-          'SELECT * FROM photo_exchanges WHERE conversation_id = ? ORDER BY created_at DESC LIMIT 2'
-        ).all(conversationId);
-
-        // Reveal both photos simultaneously to both users.
-        io.to(conv.room_id).emit(EVENTS.PHOTO_EXCHANGE_REVEAL, {
-          conversationId,
-          photos: photos.map(p => ({ userId: p.sender_id, photoUrl: p.photo_url })),
-        });
-      } else {
-        // First user submitted -- acknowledge and wait for the partner.
-        socket.emit('photo-received', { waiting: true });
-      }
+      if (revealPhotosIfReady(io, conv)) return { revealed: true };
+      // Others still have to submit -- acknowledge and wait.
+      socket.emit('photo-received', { waiting: true });
+      return { revealed: false };
     });
 
     // ===============================================================
     //  PHOTO RATING
     //
-    //  After the photo reveal, each user rates their partner's photo
-    //  on a 1-5 star scale.  Points are awarded to the RATED user
-    //  (not the rater) proportionally to the score.
+    //  After the photo reveal, each user rates every other
+    //  participant's photo on a 1-5 star scale.  Points are awarded
+    //  to the RATED user (not the rater) proportionally to the score.
     //
-    //  Once both ratings are in:
+    //  Once everyone has rated everyone else (see finishRatingsIfReady):
     //    1. Clean up the in-memory tracking maps.
     //    2. Transition the conversation back to ACTIVE.
     //    3. Start a fresh countdown timer.
-    //  This cycle can repeat indefinitely as long as both users
-    //  keep voting "extend".
+    //  This cycle can repeat indefinitely as long as the majority
+    //  keeps voting "extend".
     // ===============================================================
 
     /**
-     * RATE_PHOTO: User rates their partner's photo.
+     * RATE_PHOTO: User rates another participant's photo.
      *
      * @param {Object} payload
      * @param {number} payload.conversationId
      * @param {number} payload.score - Star rating (1-5).
+     * @param {number} [payload.ratedId] - Whose photo is rated; required
+     *   in group rooms, defaults to the partner in a pair.
+     * @returns {{ phaseComplete: boolean }} Whether this rating ended the photo exchange.
      */
-    socket.on(EVENTS.RATE_PHOTO, ({ conversationId, score }) => {
+    onEvent(socket, EVENTS.RATE_PHOTO, ({ conversationId, score, ratedId: requestedId }) => {
       const db = getDb();
-      const conv = conversationService.getConversation(conversationId);
-      if (!conv) return;
-
-      // Determine who is being rated (the partner).
-      const ratedId = conversationService.getPartnerUserId(conv, userId);
-
-      // Persist the rating.
-      db.prepare('INSERT INTO ratings (conversation_id, rater_id, rated_id, score) VALUES (?, ?, ?, ?)')
-        .run(conversationId, userId, ratedId, score);
+      if (!Number.isInteger(score) || score < 1 || score > 5) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'score must be an integer from 1 to 5');
+      }
+      const conv = requireConversation(conversationId, userId, EVENTS.RATE_PHOTO);
+      if (pendingPhotos.has(conv.id)) {
+        throw new SocketError(ERROR_CODES.INVALID_STATE, 'Photos have not been revealed yet',
+          { conversationId: conv.id, status: conv.status });
+      }
 
-      // Award points to the person being rated (not the rater).
-      pointsService.awardRating(ratedId, conversationId, score);
+      // Determine who is being rated (the partner, in a pair).
+      const ratedId = conv.is_group ? requestedId : conversationService.getPartnerUserId(conv, userId);
+      if (ratedId === userId || !conversationService.isParticipant(conv.id, ratedId)) {
+        throw new SocketError(ERROR_CODES.INVALID_PAYLOAD, 'ratedId must be another participant');
+      }
 
-      // Track this rating in-memory.
+      // Track this rating in-memory, refusing repeat ratings of the same
+      // photo within one exchange.
       if (!pendingRatings.has(conversationId)) {
         pendingRatings.set(conversationId, new Map());
       }
-      pendingRatings.get(conversationId).set(userId, score);
+      const ratings = pendingRatings.get(conversationId);
+      if (!ratings.has(userId)) ratings.set(userId, new Set());
+      if (ratings.get(userId).has(ratedId)) {
+        throw new SocketError(ERROR_CODES.DUPLICATE, 'You already rated this photo');
+      }
+      ratings.get(userId).add(ratedId);
+
+      // Persist the rating.
+      db.prepare('INSERT INTO ratings (conversation_id, rater_id, rated_id, score, round) VALUES (?, ?, ?, ?, ?)')
+        .run(conversationId, userId, ratedId, score, conv.extensions_count);
+
+      // Award points to the person being rated (not the rater) and
+      // refresh their reputation score.
+      pointsService.awardRating(ratedId, conversationId, score);
+      reputationService.updateReputation(ratedId);
 
       // Send a real-time notification to the rated user so they can
       // see the score immediately (before the rating phase completes).
@@ -480,30 +1513,23 @@ function setupSocketHandlers(io) {
         }
       }
 
-      // Once both users have rated, the photo-exchange phase is complete.
-      if (pendingRatings.get(conversationId).size >= 2) {
-        // Clean up in-memory tracking for this conversation.
-        pendingPhotos.delete(conversationId);
-        pendingRatings.delete(conversationId);
-
-        // Transition back to ACTIVE and start a new countdown timer,
-        // continuing the conversation cycle.
-        conversationService.setActive(conversationId);
-        startTimer(io, conv.room_id, conversationId);
-      }
+      // Once everyone has rated, the photo-exchange phase is complete.
+      return { phaseComplete: finishRatingsIfReady(io, conv, userId) };
     });
 
     // ===============================================================
-    //  DISCONNECT HANDLING (with 30-second grace period)
+    //  DISCONNECT HANDLING (with grace period)
     //
     //  When a socket disconnects we do NOT immediately close the
-    //  conversation.  Instead we start a 30-second grace timer.
+    //  conversation.  Instead we start a grace timer of
+    //  DISCONNECT_GRACE_SECONDS (see startDisconnectGrace).
     //
-    //  - If the user reconnects within 30 seconds (e.g. page refresh,
+    //  - If the user reconnects in time (e.g. page refresh,
     //    temporary network blip), the timer is cancelled at the top of
     //    the 'connection' handler and the conversation continues.
-    //  - If the 30 seconds elapse without a reconnect, the conversation
-    //    is closed and the remaining partner is notified.
+    //  - If the grace period elapses without a reconnect, the conversation
+    //    is closed and the remaining partner is notified.  In a group
+    //    room only the disconnected member is removed.
     //
     //  The grace period prevents accidental conversation loss from
     //  brief connectivity interruptions.
@@ -511,30 +1537,14 @@ function setupSocketHandlers(io) {
 
     socket.on('disconnect', () => {
       console.log(`User ${userId} disconnected`);
+      stopTyping(socket);
       // Remove the user from the matchmaking queue (if they were waiting).
       matchmaker.removeFromQueue(userId);
+      broadcastQueueStatus(io);
 
       const conv = conversationService.getActiveConversationForUser(userId);
       if (conv && conv.status !== CONVERSATION_STATUS.CLOSED) {
-        // Start the 30-second grace period.
-        const timer = setTimeout(() => {
-          disconnectTimers.delete(userId);
-
-          // Re-fetch the conversation to check if it was closed by other
-          // means (e.g. the partner also disconnected, or a vote resolved)
-          // while we were waiting.
-          const freshConv = conversationService.getConversation(conv.id);
-          if (freshConv && freshConv.status !== CONVERSATION_STATUS.CLOSED) {
-            conversationService.closeConversation(conv.id);
-            clearTimer(conv.room_id);
-            io.to(conv.room_id).emit(EVENTS.PARTNER_DISCONNECTED, { conversationId: conv.id });
-            io.to(conv.room_id).emit(EVENTS.CONVERSATION_CLOSED, {
-              conversationId: conv.id,
-              reason: 'Partner disconnected',
-            });
-          }
-        }, 30000); // 30-second grace period
-        disconnectTimers.set(userId, timer);
+        startDisconnectGrace(io, userId, conv);
       }
 
       // Unregister the socket mapping (the userId -> socketId entry).
@@ -0,0 +1,103 @@
+/**
+ * @file Token-bucket rate limiting for client socket events.
+ *
+ * Each user has one bucket per conversation and limited event (see
+ * RATE_LIMITS in shared/constants.js).  A bucket starts full with BURST
+ * tokens, every event takes one, and tokens trickle back at PER_SECOND
+ * up to BURST again.  An event that finds its bucket empty is refused,
+ * and the caller is told how long until the next token arrives.
+ *
+ * The first refusal after a bucket runs dry is reported as such
+ * (`firstRejection`), so the handlers can record one moderation entry per
+ * burst of spam instead of one per rejected event.
+ *
+ * Buckets live in memory only; a restart simply hands everyone a full
+ * bucket again.  Buckets that have refilled are swept periodically.
+ *
+ * @module server/socket/rateLimiter
+ */
+
+const { RATE_LIMITS } = require('../../shared/constants');
+
+/** How often full (idle) buckets are dropped, in milliseconds. */
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Live buckets.
+ * Key: "<event>:<userId>:<conversationId>".  Value: the tokens left as of
+ * `updatedAt` (epoch ms) and whether the current dry spell has already
+ * been reported.
+ * @type {Map<string, { tokens: number, updatedAt: number, limited: boolean }>}
+ */
+const buckets = new Map();
+
+/**
+ * Returns a bucket's token count as of `now`, given the event's refill rate.
+ *
+ * @param {{ tokens: number, updatedAt: number }} bucket
+ * @param {{ BURST: number, PER_SECOND: number }} limit
+ * @param {number} now - Epoch ms.
+ * @returns {number}
+ * @private
+ */
+function refill(bucket, limit, now) {
+  return Math.min(limit.BURST, bucket.tokens + ((now - bucket.updatedAt) / 1000) * limit.PER_SECOND);
+}
+
+/**
+ * Takes a token for an event, if one is available.
+ *
+ * @param {string} eventName      - A client -> server EVENTS value.
+ * @param {number} userId
+ * @param {number} conversationId
+ * @param {number} [now=Date.now()] - Epoch ms (injectable for tests).
+ * @returns {{ allowed: boolean, retryAfterMs: number, firstRejection: boolean }}
+ *   `retryAfterMs` is how long until the next token (0 when allowed);
+ *   `firstRejection` is true for the first refusal of a dry spell.
+ */
+function takeToken(eventName, userId, conversationId, now = Date.now()) {
+  const limit = RATE_LIMITS[eventName];
+  if (!limit) return { allowed: true, retryAfterMs: 0, firstRejection: false };
+
+  const key = `${eventName}:${userId}:${conversationId}`;
+  const bucket = buckets.get(key) || { tokens: limit.BURST, updatedAt: now, limited: false };
+  bucket.tokens = refill(bucket, limit, now);
+  bucket.updatedAt = now;
+  buckets.set(key, bucket);
+
+  if (bucket.tokens >= 1) {
+    bucket.tokens -= 1;
+    bucket.limited = false;
+    return { allowed: true, retryAfterMs: 0, firstRejection: false };
+  }
+
+  const firstRejection = !bucket.limited;
+  bucket.limited = true;
+  return {
+    allowed: false,
+    retryAfterMs: Math.ceil(((1 - bucket.tokens) / limit.PER_SECOND) * 1000),
+    firstRejection,
+  };
+}
+
+/**
+ * Drops buckets that have refilled completely; they are indistinguishable
+ * from a fresh one.
+ *
+ * @param {number} [now=Date.now()] - Epoch ms.
+ */
+function sweep(now = Date.now()) {
+  for (const [key, bucket] of buckets) {
+    const limit = RATE_LIMITS[key.slice(0, key.indexOf(':'))];
+    if (refill(bucket, limit, now) >= limit.BURST) buckets.delete(key);
+  }
+}
+
+/** Forgets every bucket (for tests). */
+function reset() {
+  buckets.clear();
+}
+
+setInterval(sweep, SWEEP_INTERVAL_MS).unref();
+
+module.exports = { takeToken, sweep, reset };
@@ -0,0 +1,276 @@
+/**
+ * @file Tests for the conversation REST routes (routes/conversations),
+ * the message paging behind them (services/conversation) and the
+ * full-text search index kept in sync by triggers (db/init).
+ *
+ * Runs against an in-memory database; the router is mounted on a
+ * throwaway Express app and called over HTTP with a real session token.
+ * Run with `npm test` from server/.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const express = require('express');
+
+const { TIMER_PROFILES, DEFAULT_TIMER_PROFILE } = require('../../shared/constants');
+const { getDb } = require('../db/init');
+const { sessionMiddleware, createSession } = require('../middleware/session');
+const conversationRoutes = require('../routes/conversations');
+const { getMessagesPage, editMessage, deleteMessage } = require('../services/conversation');
+
+let server, baseUrl, token;
+
+/**
+ * GETs a path under /api/conversations as the test user.
+ *
+ * @param {string} path - e.g. "/1?limit=3".
+ * @returns {Promise<{ status: number, body: * }>}
+ */
+async function get(path) {
+  const res = await fetch(`${baseUrl}${path}`, { headers: { Authorization: `Bearer ${token}` } });
+  return { status: res.status, body: await res.json() };
+}
+
+/** Inserts a pair conversation of users 1 and 2; returns its ID. */
+function insertConversation(roomId) {
+  const db = getDb();
+  const { lastInsertRowid: id } = db.prepare(
+    "INSERT INTO conversations (user1_id, user2_id, room_id, status) VALUES (1, 2, ?, 'closed')"
+  ).run(roomId);
+  for (const userId of [1, 2]) {
+    db.prepare('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)').run(id, userId);
+  }
+  return id;
+}
+
+/** Inserts a text message from user 1; returns its ID. */
+function insertMessage(conversationId, content) {
+  return Number(getDb().prepare(
+    "INSERT INTO messages (conversation_id, sender_id, message_type, content) VALUES (?, 1, 'text', ?)"
+  ).run(conversationId, content).lastInsertRowid);
+}
+
+const ids = messages => messages.map(m => m.id);
+
+before(async () => {
+  const db = getDb();
+  for (const name of ['ana', 'bo', 'cy']) {
+    db.prepare("INSERT INTO users (username, password_hash, display_name) VALUES (?, 'x', ?)").run(name, name);
+  }
+  token = createSession(1);
+
+  const app = express();
+  app.use('/api/conversations', sessionMiddleware, conversationRoutes);
+  server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/conversations`;
+});
+
+after(() => server.close());
+
+describe('message pages', () => {
+  let convId, other, messageIds;
+
+  before(() => {
+    convId = insertConversation('room-paged');
+    other = insertConversation('room-other');
+    messageIds = [];
+    // Interleave another conversation's messages so the IDs have gaps.
+    for (let i = 1; i <= 7; i++) {
+      messageIds.push(insertMessage(convId, `message ${i}`));
+      insertMessage(other, `other ${i}`);
+    }
+  });
+
+  test('without a cursor returns the latest page, oldest first', () => {
+    const page = getMessagesPage(convId, { limit: 3 });
+    assert.deepEqual(ids(page.messages), messageIds.slice(4));
+    assert.equal(page.hasMore, true);
+  });
+
+  test('before pages back until the first message', () => {
+    const page = getMessagesPage(convId, { before: messageIds[4], limit: 3 });
+    assert.deepEqual(ids(page.messages), messageIds.slice(1, 4));
+    assert.equal(page.hasMore, true);
+
+    const first = getMessagesPage(convId, { before: messageIds[1], limit: 3 });
+    assert.deepEqual(ids(first.messages), [messageIds[0]]);
+    assert.equal(first.hasMore, false);
+  });
+
+  test('a page that ends exactly at the first message has nothing more', () => {
+    const page = getMessagesPage(convId, { before: messageIds[3], limit: 3 });
+    assert.deepEqual(ids(page.messages), messageIds.slice(0, 3));
+    assert.equal(page.hasMore, false);
+  });
+
+  test('after pages forward until the latest message', () => {
+    const page = getMessagesPage(convId, { after: messageIds[0], limit: 3 });
+    assert.deepEqual(ids(page.messages), messageIds.slice(1, 4));
+    assert.equal(page.hasMore, true);
+
+    const last = getMessagesPage(convId, { after: messageIds[3], limit: 3 });
+    assert.deepEqual(ids(last.messages), messageIds.slice(4));
+    assert.equal(last.hasMore, false);
+  });
+
+  test('GET /:id serves the same pages with the conversation\'s totals', async () => {
+    const latest = await get(`/${convId}?limit=3`);
+    assert.equal(latest.status, 200);
+    assert.deepEqual(ids(latest.body.messages), messageIds.slice(4));
+    assert.equal(latest.body.hasMore, true);
+    assert.equal(latest.body.totalMessages, 7);
+
+    const older = await get(`/${convId}?before=${messageIds[4]}&limit=3`);
+    assert.deepEqual(ids(older.body.messages), messageIds.slice(1, 4));
+    assert.equal(older.body.hasMore, true);
+  });
+
+  test('GET /:id rejects cursors that are not positive integers', async () => {
+    for (const query of ['before=abc', 'before=0', 'before=-3', 'after=1.5', 'before=', 'limit=0', 'limit=ten']) {
+      const res = await get(`/${convId}?${query}`);
+      assert.equal(res.status, 400, query);
+    }
+    const both = await get(`/${convId}?before=${messageIds[4]}&after=${messageIds[0]}`);
+    assert.equal(both.status, 400);
+  });
+
+  test('GET /:id is only open to participants', async () => {
+    const stranger = createSession(3);
+    const res = await fetch(`${baseUrl}/${convId}`, { headers: { Authorization: `Bearer ${stranger}` } });
+    assert.equal(res.status, 404);
+  });
+});
+
+describe('page size', () => {
+  let convId;
+
+  before(() => {
+    convId = insertConversation('room-long');
+    const insert = getDb().transaction(() => {
+      for (let i = 1; i <= 120; i++) insertMessage(convId, `line ${i}`);
+    });
+    insert();
+  });
+
+  test('defaults to 50 messages', async () => {
+    const res = await get(`/${convId}`);
+    assert.equal(res.body.messages.length, 50);
+    assert.equal(res.body.hasMore, true);
+  });
+
+  test('is capped at 100 messages', async () => {
+    const res = await get(`/${convId}?limit=1000`);
+    assert.equal(res.body.messages.length, 100);
+    assert.equal(res.body.hasMore, true);
+    assert.equal(res.body.messages.at(-1).content, 'line 120');
+  });
+
+  test('paging back from a full page reaches the start', async () => {
+    const latest = await get(`/${convId}?limit=100`);
+    const rest = await get(`/${convId}?limit=100&before=${latest.body.messages[0].id}`);
+    assert.equal(rest.body.messages.length, 20);
+    assert.equal(rest.body.messages[0].content, 'line 1');
+    assert.equal(rest.body.hasMore, false);
+  });
+});
+
+describe('search', () => {
+  let convId;
+
+  /** Message IDs found by GET /search for `q`. */
+  async function search(q) {
+    const res = await get(`/search?q=${encodeURIComponent(q)}`);
+    assert.equal(res.status, 200, q);
+    return res.body.results.map(r => r.message_id);
+  }
+
+  before(() => {
+    convId = insertConversation('room-search');
+  });
+
+  test('matches every word, as prefixes', async () => {
+    const id = insertMessage(convId, 'my anxiety spikes at night');
+    assert.deepEqual(await search('anx night'), [id]);
+    assert.deepEqual(await search('anx morning'), []);
+  });
+
+  test('takes punctuation and operator words literally', async () => {
+    const id = insertMessage(convId, 'do NOT panic, ratio x:y');
+    for (const q of ['-', '*', '"', '^', '(', 'AND OR', 'NEAR(a b)', 'col:umn']) {
+      await search(q);
+    }
+    assert.deepEqual(await search('NOT panic'), [id]);
+    assert.deepEqual(await search('x:y'), [id]);
+  });
+
+  test('needs at least one word', async () => {
+    for (const q of ['', '   ']) {
+      const res = await get(`/search?q=${encodeURIComponent(q)}`);
+      assert.equal(res.status, 400);
+    }
+  });
+
+  test('follows edits: the old text no longer matches, the new one does', async () => {
+    const id = insertMessage(convId, 'feeling lonely today');
+    editMessage(id, 'feeling hopeful today');
+    assert.deepEqual(await search('lonely'), []);
+    assert.deepEqual(await search('hopeful'), [id]);
+  });
+
+  test('drops unsent and deleted messages', async () => {
+    const unsent = insertMessage(convId, 'regretful words');
+    deleteMessage(unsent);
+    assert.deepEqual(await search('regretful'), []);
+
+    const removed = insertMessage(convId, 'ephemeral words');
+    getDb().prepare('DELETE FROM messages WHERE id = ?').run(removed);
+    assert.deepEqual(await search('ephemeral'), []);
+  });
+
+  test('only covers the user\'s own conversations', async () => {
+    const db = getDb();
+    const { lastInsertRowid: elsewhere } = db.prepare(
+      "INSERT INTO conversations (user1_id, user2_id, room_id, status) VALUES (2, 3, 'room-elsewhere', 'closed')"
+    ).run();
+    db.prepare("INSERT INTO messages (conversation_id, sender_id, content) VALUES (?, 2, 'private secret')").run(elsewhere);
+    assert.deepEqual(await search('secret'), []);
+  });
+});
+
+describe('timer profiles', () => {
+  test('lists every profile in order with this server\'s durations', async () => {
+    const res = await get('/timer-profiles');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.profiles.map(p => p.key), Object.keys(TIMER_PROFILES));
+    for (const { key, label, seconds } of res.body.profiles) {
+      assert.equal(label, TIMER_PROFILES[key].LABEL);
+      assert.equal(seconds, TIMER_PROFILES[key].SECONDS);
+    }
+    assert.equal(res.body.defaultProfile, DEFAULT_TIMER_PROFILE);
+  });
+});
+
+describe('transcript export', () => {
+  test('links uploads by path, never by the request\'s Host header', async () => {
+    const convId = insertConversation('room-export');
+    getDb().prepare(
+      "INSERT INTO messages (conversation_id, sender_id, message_type, voice_url, voice_duration) VALUES (?, 1, 'voice', '/uploads/voice/v.webm', 3)"
+    ).run(convId);
+
+    const body = await new Promise((resolve, reject) => {
+      http.get(`${baseUrl}/${convId}/export?format=txt`, {
+        headers: { Authorization: `Bearer ${token}`, Host: 'evil.example' },
+      }, res => {
+        let data = '';
+        res.on('data', chunk => { data += chunk; });
+        res.on('end', () => resolve(data));
+      }).on('error', reject);
+    });
+    assert.match(body, /\[voice note, 3s\] \/uploads\/voice\/v\.webm/);
+    assert.ok(!body.includes('evil.example'));
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * @file Tests for the extension vote deadline (socket/handlers with
+ * services/timer): once the timer runs out, whoever has not voted within
+ * EXTENSION_VOTE_DEADLINE.SECONDS is counted as voting DEFAULT_VOTE, and
+ * the round is resolved as if they had voted.
+ *
+ * Runs against an in-memory database with mocked timers; Socket.IO is
+ * replaced by stubs that record what is emitted and call the registered
+ * event handlers directly.  Run with `npm test` from server/.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENTS, EXTENSION_VOTE_DEADLINE } = require('../../shared/constants');
+const { getDb } = require('../db/init');
+const { startTimer } = require('../services/timer');
+const setupSocketHandlers = require('../socket/handlers');
+
+/** Emits recorded by the Socket.IO stubs, as { to, event, payload }. */
+const emitted = [];
+
+/** Socket.IO server stub: records room emits and keeps the connection handler. */
+const io = {
+  to: to => ({ emit: (event, payload) => emitted.push({ to, event, payload }) }),
+  on: (event, handler) => { io.onConnection = handler; },
+  sockets: { sockets: new Map(), adapter: { rooms: new Map() } },
+};
+
+/**
+ * Simulates a user's socket connecting (after the session handshake).
+ * The event handlers it registers are kept for {@link send}.
+ *
+ * @param {number} userId
+ * @returns {{ handlers: Object.<string, Function> }} The socket stub.
+ */
+function connect(userId) {
+  const socket = {
+    id: `socket-${userId}`,
+    userId,
+    handlers: {},
+    on(event, handler) { socket.handlers[event] = handler; },
+    join() {},
+    to: to => ({ emit: (event, payload) => emitted.push({ to, event, payload }) }),
+    emit() {},
+  };
+  io.sockets.sockets.set(socket.id, socket);
+  io.onConnection(socket);
+  return socket;
+}
+
+/**
+ * Sends a client event through the socket's handler.
+ *
+ * @returns {{ ok: boolean, data?: * }} The ack.
+ */
+function send(socket, event, payload) {
+  let response;
+  socket.handlers[event](payload, ack => { response = ack; });
+  return response;
+}
+
+/** Payload of the last `event` emitted to `roomId`, if any. */
+function lastEmit(roomId, event) {
+  return emitted.filter(e => e.to === roomId && e.event === event).at(-1)?.payload;
+}
+
+/** Status of a conversation row. */
+function statusOf(conversationId) {
+  return getDb().prepare('SELECT status FROM conversations WHERE id = ?').get(conversationId).status;
+}
+
+/** The round's votes as { user_id, vote, is_default }, by user. */
+function votesOf(conversationId) {
+  return getDb().prepare(
+    'SELECT user_id, vote, is_default FROM extension_votes WHERE conversation_id = ? AND round = 1 ORDER BY user_id'
+  ).all(conversationId);
+}
+
+let nextUserId = 1;
+
+/**
+ * Starts an ACTIVE pair conversation of two new users whose timer runs
+ * out in 10 seconds, and connects both.
+ *
+ * @param {string} roomId
+ * @returns {{ convId: number, sockets: Array<{ handlers: Object }>, userIds: number[] }}
+ */
+function startConversation(roomId) {
+  const db = getDb();
+  const userIds = [nextUserId++, nextUserId++];
+  for (const id of userIds) {
+    db.prepare("INSERT INTO users (id, username, password_hash, display_name) VALUES (?, ?, 'x', ?)")
+      .run(id, `user${id}`, `User ${id}`);
+  }
+  const { lastInsertRowid } = db.prepare(`
+    INSERT INTO conversations (user1_id, user2_id, room_id, status, timer_seconds, timer_warning_seconds)
+    VALUES (?, ?, ?, 'active', 10, 5)
+  `).run(userIds[0], userIds[1], roomId);
+  const convId = Number(lastInsertRowid);
+  for (const id of userIds) {
+    db.prepare('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)').run(convId, id);
+  }
+  const sockets = userIds.map(connect);
+  startTimer(io, roomId, convId);
+  return { convId, sockets, userIds };
+}
+
+/** Runs the timer out; the vote deadline starts. */
+function expire(convId) {
+  mock.timers.tick(10 * 1000);
+  assert.equal(statusOf(convId), 'extension_pending');
+}
+
+/** Lets the vote deadline pass. */
+function passDeadline() {
+  mock.timers.tick(EXTENSION_VOTE_DEADLINE.SECONDS * 1000);
+}
+
+const defaultVote = EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE;
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+  setupSocketHandlers(io);
+});
+
+after(() => {
+  EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE = defaultVote;
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('when the default vote is leave', () => {
+  before(() => { EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE = 'leave'; });
+
+  test('a missing vote closes the conversation at the deadline', () => {
+    const room = 'room-missing-vote';
+    const { convId, sockets, userIds } = startConversation(room);
+    expire(convId);
+    assert.equal(lastEmit(room, EVENTS.EXTENSION_PROMPT).defaultVote, 'leave');
+
+    assert.deepEqual(send(sockets[0], EVENTS.EXTENSION_VOTE, { conversationId: convId, vote: 'extend' }).data,
+      { waiting: true });
+    mock.timers.tick(EXTENSION_VOTE_DEADLINE.SECONDS * 1000 - 1);
+    assert.equal(statusOf(convId), 'extension_pending');
+
+    mock.timers.tick(1);
+    assert.equal(statusOf(convId), 'closed');
+    assert.deepEqual(votesOf(convId), [
+      { user_id: userIds[0], vote: 'extend', is_default: 0 },
+      { user_id: userIds[1], vote: 'leave', is_default: 1 },
+    ]);
+    assert.equal(lastEmit(room, EVENTS.EXTENSION_RESULT).result, 'closed');
+    assert.equal(lastEmit(room, EVENTS.CONVERSATION_CLOSED).reason, 'Not everyone voted in time');
+  });
+
+  test('a leave that was voted is still reported as such', () => {
+    const room = 'room-chose-leave';
+    const { convId, sockets } = startConversation(room);
+    expire(convId);
+
+    send(sockets[0], EVENTS.EXTENSION_VOTE, { conversationId: convId, vote: 'leave' });
+    passDeadline();
+    assert.equal(statusOf(convId), 'closed');
+    assert.equal(lastEmit(room, EVENTS.CONVERSATION_CLOSED).reason, 'Someone chose to leave');
+  });
+});
+
+describe('when the default vote is extend', () => {
+  before(() => { EXTENSION_VOTE_DEADLINE.DEFAULT_VOTE = 'extend'; });
+
+  test('a missing vote joins the extend vote at the deadline', () => {
+    const room = 'room-default-extend';
+    const { convId, sockets, userIds } = startConversation(room);
+    expire(convId);
+    assert.equal(lastEmit(room, EVENTS.EXTENSION_PROMPT).defaultVote, 'extend');
+
+    send(sockets[0], EVENTS.EXTENSION_VOTE, { conversationId: convId, vote: 'extend' });
+    passDeadline();
+    assert.equal(statusOf(convId), 'photo_exchange');
+    assert.deepEqual(votesOf(convId), [
+      { user_id: userIds[0], vote: 'extend', is_default: 0 },
+      { user_id: userIds[1], vote: 'extend', is_default: 1 },
+    ]);
+    assert.equal(lastEmit(room, EVENTS.EXTENSION_RESULT).result, 'photo_exchange');
+    assert.ok(lastEmit(room, EVENTS.PHOTO_EXCHANGE_START));
+  });
+
+  test('extends even when nobody voted', () => {
+    const room = 'room-nobody-voted';
+    const { convId } = startConversation(room);
+    expire(convId);
+
+    passDeadline();
+    assert.equal(statusOf(convId), 'photo_exchange');
+    assert.deepEqual(votesOf(convId).map(v => [v.vote, v.is_default]), [['extend', 1], ['extend', 1]]);
+  });
+
+  test('does not override a leave that was voted', () => {
+    const room = 'room-extend-but-leave';
+    const { convId, sockets } = startConversation(room);
+    expire(convId);
+
+    send(sockets[0], EVENTS.EXTENSION_VOTE, { conversationId: convId, vote: 'leave' });
+    passDeadline();
+    assert.equal(statusOf(convId), 'closed');
+    assert.equal(lastEmit(room, EVENTS.CONVERSATION_CLOSED).reason, 'Someone chose to leave');
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * @file Unit tests for the matchmaking strategies (services/strategies).
+ *
+ * Each strategy is run against a simulated in-memory queue -- no database
+ * or sockets involved.  Run with `npm test` from server/.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { MATCHMAKING } = require('../../shared/constants');
+const { STRATEGIES, getStrategy } = require('../services/strategies');
+
+const NOW = 1_000_000_000;
+
+/**
+ * Builds a queue entry shaped like the ones matchmaker.addToQueue creates.
+ *
+ * @param {number} userId
+ * @param {Object} [overrides] - Fields to override (waitedSeconds is
+ *   converted into joinedAt).
+ * @returns {Object}
+ */
+function entry(userId, overrides = {}) {
+  const { waitedSeconds = 0, preferences = {}, profile = {}, ...rest } = overrides;
+  return {
+    userId,
+    socketId: `socket-${userId}`,
+    joinedAt: NOW - waitedSeconds * 1000,
+    traumaCategory: null,
+    reputation: 3,
+    profile: { age: 30, gender: 'female', location: 'Berlin', ...profile },
+    preferences: { minAge: null, maxAge: null, genders: [], sameLocationOnly: false, avoidRepeats: true, ...preferences },
+    recentPartnerIds: new Set(),
+    ...rest,
+  };
+}
+
+/** Resolves a findPair result to the paired user IDs, sorted. */
+function pairedIds(queue, pair) {
+  if (!pair) return null;
+  return [queue[pair.i].userId, queue[pair.j].userId].sort((a, b) => a - b);
+}
+
+describe('strategy registry', () => {
+  test('exposes every strategy by name', () => {
+    assert.deepEqual(Object.keys(STRATEGIES).sort(), ['fifo', 'preferences', 'reputation', 'trauma']);
+    for (const [name, strategy] of Object.entries(STRATEGIES)) {
+      assert.equal(getStrategy(name), strategy);
+      assert.equal(typeof strategy.findPair, 'function');
+    }
+  });
+
+  test('rejects unknown names', () => {
+    assert.throws(() => getStrategy('random'), /Unknown match strategy "random"/);
+  });
+
+  test('every strategy returns null for fewer than two users', () => {
+    for (const strategy of Object.values(STRATEGIES)) {
+      assert.equal(strategy.findPair([], NOW), null);
+      assert.equal(strategy.findPair([entry(1)], NOW), null);
+    }
+  });
+});
+
+describe('fifo', () => {
+  const { findPair } = getStrategy('fifo');
+
+  test('pairs the two longest-waiting users, ignoring preferences', () => {
+    const queue = [
+      entry(1, { preferences: { genders: ['male'] } }),
+      entry(2),
+      entry(3, { profile: { gender: 'male' } }),
+    ];
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 2]);
+  });
+});
+
+describe('preferences', () => {
+  const { findPair } = getStrategy('preferences');
+
+  test('skips users who do not accept each other', () => {
+    const queue = [
+      entry(1, { preferences: { genders: ['male'] } }),
+      entry(2),
+      entry(3, { profile: { gender: 'male' } }),
+    ];
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 3]);
+  });
+
+  test('never pairs recent partners', () => {
+    const queue = [
+      entry(1, { recentPartnerIds: new Set([2]) }),
+      entry(2),
+    ];
+    assert.equal(findPair(queue, NOW), null);
+  });
+
+  test('relaxes demographic filters with wait time', () => {
+    const queue = [
+      entry(1, { preferences: { minAge: 40 } }),
+      entry(2, { profile: { age: 37 } }),
+    ];
+    assert.equal(findPair(queue, NOW), null);
+
+    queue[0].joinedAt = NOW - MATCHMAKING.PREFERENCE_RELAX_SECONDS * 1000;
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 2]);
+  });
+});
+
+describe('trauma', () => {
+  const { findPair } = getStrategy('trauma');
+
+  test('prefers the same category over an earlier complementary one', () => {
+    const queue = [
+      entry(1, { traumaCategory: 'parents' }),
+      entry(2, { traumaCategory: 'siblings' }),
+      entry(3, { traumaCategory: 'parents' }),
+    ];
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 3]);
+  });
+
+  test('falls back to a complementary category', () => {
+    const queue = [
+      entry(1, { traumaCategory: 'parents' }),
+      entry(2, { traumaCategory: 'poverty' }),
+      entry(3, { traumaCategory: 'abandonment' }),
+    ];
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 3]);
+  });
+
+  test('waits for an affinity match until the fallback time', () => {
+    const queue = [
+      entry(1, { traumaCategory: 'parents' }),
+      entry(2, { traumaCategory: 'poverty' }),
+    ];
+    assert.equal(findPair(queue, NOW), null);
+
+    queue[0].joinedAt = NOW - MATCHMAKING.TRAUMA_FALLBACK_SECONDS * 1000;
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 2]);
+  });
+
+  test('does not pair incompatible users with the same category', () => {
+    const queue = [
+      entry(1, { traumaCategory: 'school', preferences: { sameLocationOnly: true } }),
+      entry(2, { traumaCategory: 'school', profile: { location: 'Lisbon' } }),
+    ];
+    assert.equal(findPair(queue, NOW), null);
+  });
+});
+
+describe('reputation', () => {
+  const { findPair } = getStrategy('reputation');
+
+  /** Enough users to activate the reputation tier, with the given scores. */
+  function tierQueue(scores) {
+    return scores.map((reputation, k) => entry(k + 1, { reputation }));
+  }
+
+  test('behaves like the preference strategy on a short queue', () => {
+    const queue = tierQueue([1, 5]);
+    assert.ok(queue.length < MATCHMAKING.REPUTATION_MIN_QUEUE);
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 2]);
+  });
+
+  test('pairs the closest reputation once the queue is long enough', () => {
+    const scores = [4.5, 1, 2, 4.2];
+    while (scores.length < MATCHMAKING.REPUTATION_MIN_QUEUE) scores.push(1);
+    const queue = tierQueue(scores);
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 4]);
+  });
+
+  test('leaves outliers waiting until the fallback time', () => {
+    // Everyone else only accepts women, so the outlier is their only option.
+    const queue = [entry(1, { reputation: 5 })];
+    while (queue.length < MATCHMAKING.REPUTATION_MIN_QUEUE) {
+      queue.push(entry(queue.length + 1, {
+        reputation: 1,
+        profile: { gender: 'male' },
+        preferences: { genders: ['female'] },
+      }));
+    }
+    assert.equal(findPair(queue, NOW), null);
+
+    queue[0].joinedAt = NOW - MATCHMAKING.REPUTATION_FALLBACK_SECONDS * 1000;
+    assert.deepEqual(pairedIds(queue, findPair(queue, NOW)), [1, 2]);
+  });
+});
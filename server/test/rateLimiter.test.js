@@ -0,0 +1,61 @@
+/**
+ * @file Unit tests for the socket event rate limiter (socket/rateLimiter).
+ *
+ * Time is passed in explicitly, so the buckets are exercised without
+ * waiting.  Run with `npm test` from server/.
+ */
+
+const { test, describe, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENTS, RATE_LIMITS } = require('../../shared/constants');
+const { takeToken, reset } = require('../socket/rateLimiter');
+
+const { BURST, PER_SECOND } = RATE_LIMITS[EVENTS.SEND_MESSAGE];
+
+/** Spends a whole burst of messages at time `now`. */
+function drain(userId, conversationId, now) {
+  for (let i = 0; i < BURST; i++) {
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, userId, conversationId, now).allowed, true);
+  }
+}
+
+describe('takeToken', () => {
+  beforeEach(reset);
+
+  test('allows a burst, then refuses with a retry delay', () => {
+    drain(1, 10, 0);
+    const refused = takeToken(EVENTS.SEND_MESSAGE, 1, 10, 0);
+    assert.equal(refused.allowed, false);
+    assert.equal(refused.retryAfterMs, Math.ceil(1000 / PER_SECOND));
+  });
+
+  test('refills over time', () => {
+    drain(1, 10, 0);
+    const later = Math.ceil(1000 / PER_SECOND);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 10, later).allowed, true);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 10, later).allowed, false);
+  });
+
+  test('flags only the first refusal of a dry spell', () => {
+    drain(1, 10, 0);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 10, 0).firstRejection, true);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 10, 0).firstRejection, false);
+    const later = Math.ceil(1000 / PER_SECOND);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 10, later).allowed, true);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 10, later).firstRejection, true);
+  });
+
+  test('keeps separate buckets per user, conversation and event', () => {
+    drain(1, 10, 0);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 2, 10, 0).allowed, true);
+    assert.equal(takeToken(EVENTS.SEND_MESSAGE, 1, 11, 0).allowed, true);
+    assert.equal(takeToken(EVENTS.SEND_VOICE_NOTE, 1, 10, 0).allowed, true);
+  });
+
+  test('does not limit events without a configured limit', () => {
+    for (let i = 0; i < 100; i++) {
+      assert.equal(takeToken(EVENTS.TYPING_START, 1, 10, 0).allowed, true);
+    }
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * @file Tests for what survives a server restart: queue entries and
+ * timers rebuilt by the socket handlers on startup (restoreLiveState),
+ * and persisted login sessions (middleware/session), which expire after
+ * SESSION_TTL_DAYS.
+ *
+ * Runs against an in-memory database filled as a previous run would have
+ * left it, with mocked timers; Socket.IO is replaced by a stub that
+ * records what is emitted.  Run with `npm test` from server/.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENTS, DISCONNECT_GRACE_SECONDS, SESSION_TTL_DAYS } = require('../../shared/constants');
+const { getDb } = require('../db/init');
+const { getSession, deleteExpiredSessions } = require('../middleware/session');
+const matchmaker = require('../services/matchmaker');
+const { activeTimers } = require('../services/timer');
+const setupSocketHandlers = require('../socket/handlers');
+
+/** Emits recorded by the Socket.IO stub, as { to, event, payload }. */
+const emitted = [];
+
+/** Socket.IO server stub: records room emits and keeps the connection handler. */
+const io = {
+  to: to => ({ emit: (event, payload) => emitted.push({ to, event, payload }) }),
+  on: (event, handler) => { io.onConnection = handler; },
+  sockets: { sockets: new Map(), adapter: { rooms: new Map() } },
+};
+
+/**
+ * Simulates a user's socket connecting (after the session handshake).
+ *
+ * @param {number} userId
+ * @returns {{ received: Array<{ event: string, payload: * }> }} The socket stub.
+ */
+function connect(userId) {
+  const socket = {
+    id: `socket-${userId}`,
+    userId,
+    received: [],
+    on() {},
+    join() {},
+    to: to => ({ emit: (event, payload) => emitted.push({ to, event, payload }) }),
+    emit(event, payload) { socket.received.push({ event, payload }); },
+  };
+  io.sockets.sockets.set(socket.id, socket);
+  io.onConnection(socket);
+  return socket;
+}
+
+/** Status of a conversation row. */
+function statusOf(conversationId) {
+  return getDb().prepare('SELECT status FROM conversations WHERE id = ?').get(conversationId).status;
+}
+
+/** Inserts a pair conversation and its participants; returns its ID. */
+function insertConversation(db, userIds, roomId, timerEnd) {
+  const { lastInsertRowid: id } = db.prepare(`
+    INSERT INTO conversations (user1_id, user2_id, room_id, status, current_timer_end, timer_seconds, timer_warning_seconds)
+    VALUES (?, ?, ?, 'active', ?, 180, 30)
+  `).run(userIds[0], userIds[1], roomId, timerEnd);
+  for (const userId of userIds) {
+    db.prepare('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)').run(id, userId);
+  }
+  return id;
+}
+
+describe('restoring live state after a restart', () => {
+  let running, expired;
+
+  before(() => {
+    mock.method(console, 'log', () => {});
+    const db = getDb();
+    for (let i = 1; i <= 6; i++) {
+      db.prepare("INSERT INTO users (username, password_hash, display_name) VALUES (?, 'x', ?)").run(`user${i}`, `User ${i}`);
+    }
+    const now = Date.now();
+    running = insertConversation(db, [1, 2], 'room-running', new Date(now + 120 * 1000).toISOString());
+    expired = insertConversation(db, [3, 4], 'room-expired', new Date(now - 5000).toISOString());
+    const queued = db.prepare('INSERT INTO queue_entries (user_id, mode, timer_profile, joined_at) VALUES (?, ?, ?, ?)');
+    queued.run(5, 'pair', 'standard', now - 20 * 1000);
+    // A profile that no longer exists falls back to the default one.
+    queued.run(6, 'group', 'removed-profile', now - 10 * 1000);
+
+    mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now });
+    setupSocketHandlers(io);
+  });
+
+  after(() => {
+    mock.timers.reset();
+    mock.restoreAll();
+  });
+
+  test('re-arms a running timer and expires one that ran out while the server was down', () => {
+    assert.ok(activeTimers.has('room-running'));
+    assert.equal(statusOf(running), 'active');
+
+    mock.timers.tick(0);
+    assert.equal(statusOf(expired), 'extension_pending');
+    assert.ok(emitted.some(e => e.to === 'room-expired' && e.event === EVENTS.TIMER_EXPIRED));
+    assert.ok(!emitted.some(e => e.to === 'room-running' && e.event === EVENTS.TIMER_EXPIRED));
+  });
+
+  test('lets participants who reconnect in time rejoin their conversation', () => {
+    for (const userId of [1, 2]) {
+      const socket = connect(userId);
+      const rejoin = socket.received.find(e => e.event === 'rejoin-conversation');
+      assert.equal(rejoin.payload.conversationId, running);
+      assert.equal(rejoin.payload.status, 'active');
+    }
+  });
+
+  test('gives a queued user who reconnects their place back, keeping their join time', () => {
+    connect(5);
+    const entry = matchmaker.queue.find(e => e.userId === 5);
+    assert.ok(entry);
+    assert.equal(entry.joinedAt, Date.now() - 20 * 1000);
+  });
+
+  test('drops what nobody reclaimed once the grace period ends', () => {
+    mock.timers.tick(DISCONNECT_GRACE_SECONDS * 1000);
+
+    // Users 3 and 4 never came back: their conversation is closed.
+    assert.equal(statusOf(expired), 'closed');
+    assert.equal(statusOf(running), 'active');
+
+    const queuedIds = getDb().prepare('SELECT user_id FROM queue_entries ORDER BY user_id').all().map(r => r.user_id);
+    assert.deepEqual(queuedIds, [5]);
+  });
+
+  test('the re-armed timer still runs out at its persisted end time', () => {
+    mock.timers.tick(120 * 1000 - DISCONNECT_GRACE_SECONDS * 1000);
+    assert.equal(statusOf(running), 'extension_pending');
+    assert.ok(emitted.some(e => e.to === 'room-running' && e.event === EVENTS.TIMER_EXPIRED));
+  });
+});
+
+describe('persisted sessions', () => {
+  const insert = getDb().prepare("INSERT INTO sessions (token, user_id, created_at) VALUES (?, ?, datetime('now', ?))");
+
+  test('are found after a restart (not cached yet)', () => {
+    insert.run('fresh-token', 1, '-1 days');
+    assert.equal(getSession('fresh-token'), 1);
+    assert.equal(getSession('unknown-token'), null);
+  });
+
+  test('expire SESSION_TTL_DAYS after they were created', () => {
+    insert.run('old-token', 2, `-${SESSION_TTL_DAYS + 1} days`);
+    assert.equal(getSession('old-token'), null);
+    assert.equal(getDb().prepare('SELECT 1 FROM sessions WHERE token = ?').get('old-token'), undefined);
+  });
+
+  test('are swept once expired, even if never presented again', () => {
+    insert.run('stale-token', 3, `-${SESSION_TTL_DAYS + 1} days`);
+    deleteExpiredSessions();
+    const tokens = getDb().prepare('SELECT token FROM sessions').all().map(r => r.token);
+    assert.deepEqual(tokens, ['fresh-token']);
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * @file Unit tests for the conversation state machine's transition table
+ * (services/stateMachine).
+ *
+ * Only the pure lookups are exercised -- no database involved.  Run with
+ * `npm test` from server/.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { CONVERSATION_STATUS, EVENTS } = require('../../shared/constants');
+const { TRANSITIONS, nextStatus, acceptsEvent } = require('../services/stateMachine');
+
+const { ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER, CLOSED } = CONVERSATION_STATUS;
+
+describe('nextStatus', () => {
+  test('follows the extension cycle', () => {
+    assert.equal(nextStatus(ACTIVE, 'timer_expired'), EXTENSION_PENDING);
+    assert.equal(nextStatus(EXTENSION_PENDING, 'extend'), PHOTO_EXCHANGE);
+    assert.equal(nextStatus(PHOTO_EXCHANGE, 'ratings_complete'), ACTIVE);
+    assert.equal(nextStatus(EXTENSION_PENDING, 'befriend'), FRIENDS_FOREVER);
+  });
+
+  test('every live status can be closed, but not a closed one', () => {
+    for (const status of [ACTIVE, EXTENSION_PENDING, PHOTO_EXCHANGE, FRIENDS_FOREVER]) {
+      assert.equal(nextStatus(status, 'close'), CLOSED);
+    }
+    assert.equal(nextStatus(CLOSED, 'close'), null);
+  });
+
+  test('rejects events out of order', () => {
+    assert.equal(nextStatus(ACTIVE, 'extend'), null);
+    assert.equal(nextStatus(PHOTO_EXCHANGE, 'timer_expired'), null);
+    assert.equal(nextStatus(FRIENDS_FOREVER, 'timer_expired'), null);
+    assert.equal(nextStatus(EXTENSION_PENDING, 'ratings_complete'), null);
+    assert.equal(nextStatus('no_such_status', 'close'), null);
+  });
+
+  test('every target is a known status', () => {
+    const known = Object.values(CONVERSATION_STATUS);
+    for (const targets of Object.values(TRANSITIONS)) {
+      for (const to of Object.values(targets)) assert.ok(known.includes(to), to);
+    }
+  });
+});
+
+describe('acceptsEvent', () => {
+  test('votes only while a vote is pending', () => {
+    assert.equal(acceptsEvent(EXTENSION_PENDING, EVENTS.EXTENSION_VOTE), true);
+    assert.equal(acceptsEvent(ACTIVE, EVENTS.EXTENSION_VOTE), false);
+    assert.equal(acceptsEvent(PHOTO_EXCHANGE, EVENTS.EXTENSION_VOTE), false);
+  });
+
+  test('photos and ratings only during the photo exchange', () => {
+    for (const event of [EVENTS.PHOTO_EXCHANGE_SUBMIT, EVENTS.RATE_PHOTO]) {
+      assert.equal(acceptsEvent(PHOTO_EXCHANGE, event), true);
+      assert.equal(acceptsEvent(ACTIVE, event), false);
+      assert.equal(acceptsEvent(CLOSED, event), false);
+    }
+  });
+
+  test('messages in any live status but not once closed', () => {
+    assert.equal(acceptsEvent(FRIENDS_FOREVER, EVENTS.SEND_MESSAGE), true);
+    assert.equal(acceptsEvent(EXTENSION_PENDING, EVENTS.SEND_VOICE_NOTE), true);
+    assert.equal(acceptsEvent(CLOSED, EVENTS.SEND_MESSAGE), false);
+  });
+
+  test('edits and reactions in any live status but not once closed', () => {
+    for (const event of [EVENTS.EDIT_MESSAGE, EVENTS.DELETE_MESSAGE, EVENTS.ADD_REACTION, EVENTS.REMOVE_REACTION]) {
+      assert.equal(acceptsEvent(PHOTO_EXCHANGE, event), true);
+      assert.equal(acceptsEvent(CLOSED, event), false);
+    }
+  });
+
+  test('events not tied to a status are always accepted', () => {
+    assert.equal(acceptsEvent(CLOSED, EVENTS.JOIN_QUEUE), true);
+  });
+});
@@ -0,0 +1,205 @@
+/**
+ * @file Tests for the conversation timer (services/timer): the round
+ * schedule, and pausing -- asked for and accepted through the socket
+ * handlers, limited to PAUSE.MAX_PER_CONVERSATION, and surviving a
+ * server restart.
+ *
+ * The pause tests run against an in-memory database with mocked timers;
+ * Socket.IO is replaced by stubs that record what is emitted and call
+ * the registered event handlers directly.  Run with `npm test` from
+ * server/.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, describe, before, after, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { EVENTS, ERROR_CODES, PAUSE } = require('../../shared/constants');
+const { getDb } = require('../db/init');
+const { getRoundSeconds, resumeTimer } = require('../services/timer');
+const setupSocketHandlers = require('../socket/handlers');
+
+/** Emits recorded by the Socket.IO stubs, as { to, event, payload }. */
+const emitted = [];
+
+/** Socket.IO server stub: records room emits and keeps the connection handler. */
+const io = {
+  to: to => ({ emit: (event, payload) => emitted.push({ to, event, payload }) }),
+  on: (event, handler) => { io.onConnection = handler; },
+  sockets: { sockets: new Map(), adapter: { rooms: new Map() } },
+};
+
+/**
+ * Simulates a user's socket connecting (after the session handshake).
+ * The event handlers it registers are kept for {@link send}.
+ *
+ * @param {number} userId
+ * @returns {{ handlers: Object.<string, Function> }} The socket stub.
+ */
+function connect(userId) {
+  const socket = {
+    id: `socket-${userId}`,
+    userId,
+    handlers: {},
+    on(event, handler) { socket.handlers[event] = handler; },
+    join() {},
+    to: to => ({ emit: (event, payload) => emitted.push({ to, event, payload }) }),
+    emit() {},
+  };
+  io.sockets.sockets.set(socket.id, socket);
+  io.onConnection(socket);
+  return socket;
+}
+
+/**
+ * Sends a client event through the socket's handler.
+ *
+ * @returns {{ ok: boolean, data?: *, code?: string, details?: Object }} The ack.
+ */
+function send(socket, event, payload) {
+  let response;
+  socket.handlers[event](payload, ack => { response = ack; });
+  return response;
+}
+
+/** Payload of the last `event` emitted to `roomId`, if any. */
+function lastEmit(roomId, event) {
+  return emitted.filter(e => e.to === roomId && e.event === event).at(-1)?.payload;
+}
+
+/** Status of a conversation row. */
+function statusOf(conversationId) {
+  return getDb().prepare('SELECT status FROM conversations WHERE id = ?').get(conversationId).status;
+}
+
+/** Inserts an ACTIVE pair conversation of users 1 and 2; returns its ID. */
+function insertConversation(roomId, columns) {
+  const db = getDb();
+  const { lastInsertRowid: id } = db.prepare(`
+    INSERT INTO conversations (user1_id, user2_id, room_id, status, timer_seconds, timer_warning_seconds,
+      current_timer_end, timer_paused_ms, timer_paused_until, pauses_used)
+    VALUES (1, 2, ?, 'active', 180, 30, ?, ?, ?, ?)
+  `).run(roomId, columns.current_timer_end ?? null, columns.timer_paused_ms ?? null,
+    columns.timer_paused_until ?? null, columns.pauses_used ?? 0);
+  for (const userId of [1, 2]) {
+    db.prepare('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)').run(id, userId);
+  }
+  return Number(id);
+}
+
+before(() => {
+  mock.method(console, 'log', () => {});
+  const db = getDb();
+  for (const name of ['ana', 'bo']) {
+    db.prepare("INSERT INTO users (username, password_hash, display_name) VALUES (?, 'x', ?)").run(name, name);
+  }
+  mock.timers.enable({ apis: ['setTimeout', 'setInterval', 'Date'], now: Date.now() });
+  setupSocketHandlers(io);
+});
+
+after(() => {
+  mock.timers.reset();
+  mock.restoreAll();
+});
+
+describe('getRoundSeconds', () => {
+  test('scales the base duration along the round schedule', () => {
+    assert.equal(getRoundSeconds(180, 1), 180);
+    assert.equal(getRoundSeconds(180, 2), 300);
+    assert.equal(getRoundSeconds(180, 3), 480);
+  });
+
+  test('repeats the last entry past the end of the schedule', () => {
+    assert.equal(getRoundSeconds(180, 4), 480);
+    assert.equal(getRoundSeconds(180, 12), 480);
+  });
+
+  test('rounds to whole seconds for other base durations', () => {
+    assert.equal(getRoundSeconds(60, 2), 100);
+    assert.equal(getRoundSeconds(15, 2), 25);
+    assert.equal(getRoundSeconds(10, 2), 17);
+  });
+});
+
+describe('pausing', () => {
+  let convId, ana, bo;
+  const room = 'room-paused';
+
+  before(() => {
+    convId = insertConversation(room, { current_timer_end: new Date(Date.now() + 120 * 1000).toISOString() });
+    ana = connect(1);
+    bo = connect(2);
+  });
+
+  /** Asks for a pause as ana and accepts it as bo; returns ana's ack. */
+  function pause() {
+    const request = send(ana, EVENTS.REQUEST_PAUSE, { conversationId: convId });
+    const response = send(bo, EVENTS.RESPOND_PAUSE, { conversationId: convId, accept: true });
+    assert.deepEqual(response.data, { paused: true });
+    return request;
+  }
+
+  test('keeps the time that was left, and the countdown goes on from it when resumed', () => {
+    mock.timers.tick(20 * 1000);
+    assert.deepEqual(pause().data, { pausesLeft: PAUSE.MAX_PER_CONVERSATION });
+    const paused = lastEmit(room, EVENTS.TIMER_PAUSED);
+    assert.equal(paused.remainingMs, 100 * 1000);
+    assert.equal(paused.pausesLeft, PAUSE.MAX_PER_CONVERSATION - 1);
+
+    // Time spent paused does not count.
+    mock.timers.tick(30 * 1000);
+    assert.equal(statusOf(convId), 'active');
+    assert.ok(send(ana, EVENTS.TIMER_RESUME, { conversationId: convId }).ok);
+    assert.equal(lastEmit(room, EVENTS.TIMER_RESUME).endTime, new Date(Date.now() + 100 * 1000).toISOString());
+
+    mock.timers.tick(10 * 1000);
+    const { current_timer_end: end } = getDb().prepare('SELECT current_timer_end FROM conversations WHERE id = ?').get(convId);
+    assert.equal(new Date(end).getTime() - Date.now(), 90 * 1000);
+  });
+
+  test('ends by itself after PAUSE.MAX_SECONDS', () => {
+    assert.deepEqual(pause().data, { pausesLeft: PAUSE.MAX_PER_CONVERSATION - 1 });
+    assert.equal(lastEmit(room, EVENTS.TIMER_PAUSED).remainingMs, 90 * 1000);
+    assert.equal(lastEmit(room, EVENTS.TIMER_PAUSED).pausesLeft, PAUSE.MAX_PER_CONVERSATION - 2);
+    const resumes = emitted.filter(e => e.event === EVENTS.TIMER_RESUME).length;
+
+    mock.timers.tick(PAUSE.MAX_SECONDS * 1000 - 1);
+    assert.equal(emitted.filter(e => e.event === EVENTS.TIMER_RESUME).length, resumes);
+    mock.timers.tick(1);
+    assert.equal(lastEmit(room, EVENTS.TIMER_RESUME).endTime, new Date(Date.now() + 90 * 1000).toISOString());
+  });
+
+  test('is refused once PAUSE.MAX_PER_CONVERSATION pauses were used', () => {
+    assert.equal(PAUSE.MAX_PER_CONVERSATION, 2, 'the tests above use up every pause');
+    const refused = send(ana, EVENTS.REQUEST_PAUSE, { conversationId: convId });
+    assert.equal(refused.ok, false);
+    assert.equal(refused.code, ERROR_CODES.INVALID_STATE);
+    assert.equal(refused.details.pausesLeft, 0);
+
+    mock.timers.tick(90 * 1000);
+    assert.equal(statusOf(convId), 'extension_pending');
+  });
+});
+
+describe('a pause still running when the server restarts', () => {
+  test('ends at its persisted time, with the time that was left', () => {
+    const room = 'room-restarted';
+    const convId = insertConversation(room, {
+      timer_paused_ms: 45 * 1000,
+      timer_paused_until: new Date(Date.now() + 20 * 1000).toISOString(),
+      pauses_used: 1,
+    });
+    // What restoring the live state does for each ACTIVE conversation.
+    resumeTimer(io, room, convId, null);
+
+    mock.timers.tick(20 * 1000 - 1);
+    assert.equal(lastEmit(room, EVENTS.TIMER_RESUME), undefined);
+    assert.equal(statusOf(convId), 'active');
+
+    mock.timers.tick(1);
+    assert.equal(lastEmit(room, EVENTS.TIMER_RESUME).endTime, new Date(Date.now() + 45 * 1000).toISOString());
+    mock.timers.tick(45 * 1000);
+    assert.equal(statusOf(convId), 'extension_pending');
+  });
+});
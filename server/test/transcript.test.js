@@ -0,0 +1,95 @@
+/**
+ * @file Unit tests for the transcript export (services/transcript).
+ *
+ * The renderers are fed a hand-built transcript; buildTranscript reads
+ * from an in-memory database.  Run with `npm test` from server/.
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getDb } = require('../db/init');
+const { buildTranscript, renderText, renderHtml } = require('../services/transcript');
+
+const transcript = {
+  exportedAt: '2024-05-01T15:00:00.000Z',
+  conversation: { id: 7, status: 'closed', isGroup: false, isFriendsForever: false, extensions: 1, startedAt: '2024-05-01 14:00:00' },
+  members: [
+    { id: 1, name: 'Ana', joinedAt: '2024-05-01 14:00:00', leftAt: null },
+    { id: 2, name: 'Bo', joinedAt: '2024-05-01 14:00:00', leftAt: null },
+  ],
+  messages: [
+    { id: 10, type: 'system', sender: null, content: 'You have been matched!', sentAt: '2024-05-01 14:00:00' },
+    { id: 11, type: 'text', sender: { id: 1, name: 'Ana' }, content: '<b>hi</b>', replyToId: null, editedAt: '2024-05-01 14:01:00', deletedAt: null, sentAt: '2024-05-01 14:00:30' },
+    { id: 12, type: 'voice', sender: { id: 2, name: 'Bo' }, content: null, voiceUrl: 'http://x/uploads/voice/v.webm', voiceDuration: 4, replyToId: 11, editedAt: null, deletedAt: null, sentAt: '2024-05-01 14:02:00' },
+    { id: 13, type: 'text', sender: { id: 2, name: 'Bo' }, content: null, replyToId: null, editedAt: null, deletedAt: '2024-05-01 14:03:30', sentAt: '2024-05-01 14:03:00' },
+  ],
+  photoRounds: [{
+    round: 1,
+    photos: [{ userId: 1, name: 'Ana', photoUrl: 'http://x/uploads/photos/a.jpg', submittedAt: '2024-05-01 14:05:00' }],
+    ratings: [{ raterId: 2, raterName: 'Bo', ratedId: 1, ratedName: 'Ana', score: 4 }],
+  }],
+  points: { total: 10, log: [{ event: 'participation', points: 10, description: 'Matched with a stranger', awardedAt: '2024-05-01 14:00:00' }] },
+};
+
+describe('renderText', () => {
+  test('lists messages, photo rounds and points', () => {
+    const text = renderText(transcript);
+    assert.match(text, /\*\*\* You have been matched! \*\*\*/);
+    assert.match(text, /#11 Ana: <b>hi<\/b> \(edited\)/);
+    assert.match(text, /#12 Bo \(reply to #11\): \[voice note, 4s\] http:\/\/x\/uploads\/voice\/v\.webm/);
+    assert.match(text, /#13 Bo: \[message deleted\]/);
+    assert.match(text, /Bo rated Ana 4\/5/);
+    assert.match(text, /Your points from this conversation: 10/);
+  });
+});
+
+describe('renderHtml', () => {
+  test('escapes message text', () => {
+    const html = renderHtml(transcript);
+    assert.ok(html.includes('&lt;b&gt;hi&lt;/b&gt;'));
+    assert.ok(!html.includes('<b>hi</b>'));
+  });
+
+  test('links voice notes and photos', () => {
+    const html = renderHtml(transcript);
+    assert.ok(html.includes('<audio controls src="http://x/uploads/voice/v.webm">'));
+    assert.ok(html.includes('<img src="http://x/uploads/photos/a.jpg"'));
+  });
+});
+
+describe('buildTranscript', () => {
+  test('groups photo rows from before round numbers under an unnumbered round', () => {
+    const db = getDb();
+    for (const name of ['Ana', 'Bo']) {
+      db.prepare("INSERT INTO users (username, password_hash, display_name) VALUES (?, 'x', ?)").run(name, name);
+    }
+    const { lastInsertRowid: convId } = db.prepare(
+      "INSERT INTO conversations (user1_id, user2_id, room_id, status, extensions_count) VALUES (1, 2, 'room-old', 'closed', 2)"
+    ).run();
+    for (const userId of [1, 2]) {
+      db.prepare('INSERT INTO conversation_participants (conversation_id, user_id) VALUES (?, ?)').run(convId, userId);
+    }
+    const photo = db.prepare('INSERT INTO photo_exchanges (conversation_id, sender_id, photo_url, round) VALUES (?, ?, ?, ?)');
+    const rating = db.prepare('INSERT INTO ratings (conversation_id, rater_id, rated_id, score, round) VALUES (?, ?, ?, ?, ?)');
+    photo.run(convId, 1, '/uploads/photos/old.jpg', null);
+    rating.run(convId, 2, 1, 3, null);
+    photo.run(convId, 1, '/uploads/photos/new.jpg', 2);
+    rating.run(convId, 2, 1, 5, 2);
+
+    const transcript = buildTranscript(convId, 1);
+    assert.deepEqual(transcript.photoRounds.map(r => r.round), [null, 2]);
+    assert.deepEqual(transcript.photoRounds[0].ratings.map(r => r.score), [3]);
+
+    const text = renderText(transcript);
+    assert.match(text, /^Photo exchange\n-+\nAna: \/uploads\/photos\/old\.jpg$/m);
+    assert.match(text, /^Photo exchange, round 2$/m);
+    assert.ok(!text.includes('round null'));
+
+    const html = renderHtml(transcript);
+    assert.ok(html.includes('<h2>Photo exchange</h2>'));
+    assert.ok(!html.includes('round null'));
+  });
+});
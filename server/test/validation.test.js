@@ -0,0 +1,60 @@
+/**
+ * @file Unit tests for the shared message validation (shared/validation.js).
+ *
+ * Run with `npm test` from server/.
+ */
+
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  MESSAGE_MAX_LENGTH, VOICE_MAX_SECONDS, validateMessageText, validateVoiceDuration, validateVoiceNote,
+} = require('../../shared/validation.js');
+
+describe('validateMessageText', () => {
+  test('trims the text and normalises line breaks', () => {
+    assert.deepEqual(validateMessageText('  hi\r\nthere \t'), { value: 'hi\nthere' });
+  });
+
+  test('rejects non-strings, blank and over-long text', () => {
+    assert.equal(validateMessageText(42).error.rule, 'type');
+    assert.equal(validateMessageText(' \n ').error.rule, 'empty');
+    assert.equal(validateMessageText('x'.repeat(MESSAGE_MAX_LENGTH + 1)).error.rule, 'too_long');
+    assert.deepEqual(validateMessageText(` ${'x'.repeat(MESSAGE_MAX_LENGTH)} `), { value: 'x'.repeat(MESSAGE_MAX_LENGTH) });
+  });
+
+  test('rejects control characters but allows tabs and emoji', () => {
+    assert.equal(validateMessageText('a\u0000b').error.rule, 'control_chars');
+    assert.equal(validateMessageText('a\u009bb').error.field, 'content');
+    assert.deepEqual(validateMessageText('a\tb 🫂'), { value: 'a\tb 🫂' });
+  });
+});
+
+describe('validateVoiceNote', () => {
+  const voiceUrl = '/uploads/voice/0b9d4f3e-5c1a-4d2b-9e8f-1a2b3c4d5e6f.webm';
+
+  test('accepts an upload path and an in-range duration', () => {
+    assert.deepEqual(validateVoiceNote({ voiceUrl, duration: 12 }), { value: { voiceUrl, duration: 12 } });
+  });
+
+  test('rejects paths outside the voice uploads', () => {
+    for (const url of ['https://evil.example/a.webm', '/uploads/voice/../photos/a.jpg', '/uploads/photos/a.webm', null]) {
+      assert.equal(validateVoiceNote({ voiceUrl: url, duration: 1 }).error.field, 'voiceUrl');
+    }
+  });
+
+  test('rejects bad durations', () => {
+    assert.equal(validateVoiceNote({ voiceUrl, duration: '5' }).error.rule, 'type');
+    assert.equal(validateVoiceNote({ voiceUrl, duration: NaN }).error.rule, 'type');
+    assert.equal(validateVoiceNote({ voiceUrl, duration: -1 }).error.rule, 'out_of_range');
+    assert.equal(validateVoiceNote({ voiceUrl, duration: VOICE_MAX_SECONDS + 1 }).error.rule, 'out_of_range');
+  });
+});
+
+describe('validateVoiceDuration', () => {
+  test('checks the duration alone, before there is an upload path', () => {
+    assert.deepEqual(validateVoiceDuration(VOICE_MAX_SECONDS), { value: VOICE_MAX_SECONDS });
+    assert.equal(validateVoiceDuration(VOICE_MAX_SECONDS + 0.5).error.rule, 'out_of_range');
+    assert.equal(validateVoiceDuration(undefined).error.field, 'duration');
+  });
+});
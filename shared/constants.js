@@ -10,20 +10,237 @@
  */
 
 /**
- * Duration (in seconds) of the initial conversation timer.
- * Can be overridden via the DEV_TIMER_SECONDS environment variable
- * (useful for shorter timers during development / testing).
+ * Duration (in seconds) of the conversation timer in the standard timer
+ * profile.  Can be overridden via the DEV_TIMER_SECONDS environment
+ * variable (useful for shorter timers during development / testing).
  * @type {number}
  */
 const TIMER_SECONDS = parseInt(process.env.DEV_TIMER_SECONDS || '180', 10);
 
 /**
  * Number of seconds before the timer expires at which a warning
- * event is emitted to both users in the conversation.
+ * event is emitted to both users in the conversation (standard profile).
  * @type {number}
  */
 const TIMER_WARNING_SECONDS = 30;
 
+/**
+ * Named timer profiles users pick from when joining the queue; only users
+ * who picked the same profile are matched.  A conversation keeps the
+ * durations of the profile it was started with (stored on its row), so
+ * changing a profile only affects new conversations.  DEV_TIMER_SECONDS,
+ * when set, overrides every profile's duration.
+ *
+ * @type {Object.<string, { LABEL: string, SECONDS: number, WARNING_SECONDS: number }>}
+ */
+const TIMER_PROFILES = {
+  speed: {
+    LABEL: 'Speed round',
+    SECONDS: parseInt(process.env.DEV_TIMER_SECONDS || '60', 10),
+    WARNING_SECONDS: 10,
+  },
+  standard: {
+    LABEL: 'Standard',
+    SECONDS: TIMER_SECONDS,
+    WARNING_SECONDS: TIMER_WARNING_SECONDS,
+  },
+  marathon: {
+    LABEL: 'Marathon',
+    SECONDS: parseInt(process.env.DEV_TIMER_SECONDS || '600', 10),
+    WARNING_SECONDS: 60,
+  },
+};
+
+/** Timer profile used when the user does not pick one. */
+const DEFAULT_TIMER_PROFILE = 'standard';
+
+/**
+ * Relative lengths of successive rounds: round 1 runs for the
+ * conversation's `timer_seconds`, and each extension starts a longer one,
+ * scaled by ROUND_SCHEDULE[n - 1] / ROUND_SCHEDULE[0] -- 3, 5 and 8
+ * minutes with the standard profile.  Rounds past the end of the list
+ * repeat the last entry.  The round number is the conversation's
+ * `extensions_count` + 1.
+ * @type {number[]}
+ */
+const ROUND_SCHEDULE = [3, 5, 8];
+
+/**
+ * Interval (in seconds) at which a running timer re-broadcasts its end
+ * time (TIMER_SYNC), so clients whose countdown drifted are corrected.
+ * @type {number}
+ */
+const TIMER_SYNC_INTERVAL_SECONDS = 15;
+
+/**
+ * Limits on pausing the conversation timer.  A participant asks with
+ * REQUEST_PAUSE; once someone else in the conversation accepts, the
+ * countdown is suspended until either side resumes it (TIMER_RESUME) or
+ * MAX_SECONDS pass, whichever comes first.
+ *
+ * @type {Object}
+ * @property {number} MAX_PER_CONVERSATION - Pauses allowed over the whole
+ *   conversation (all rounds together).  Overridable via PAUSE_MAX_PER_CONVERSATION.
+ * @property {number} MAX_SECONDS - Longest a single pause may last before
+ *   the timer resumes by itself.  Overridable via PAUSE_MAX_SECONDS.
+ */
+const PAUSE = {
+  MAX_PER_CONVERSATION: parseInt(process.env.PAUSE_MAX_PER_CONVERSATION || '2', 10),
+  MAX_SECONDS: parseInt(process.env.PAUSE_MAX_SECONDS || '60', 10),
+};
+
+/**
+ * The choices of an EXTENSION_VOTE.
+ * @type {string[]}
+ */
+const EXTENSION_VOTES = ['extend', 'leave', 'friends_forever'];
+
+/**
+ * Deadline for the extension vote.  Once the timer expires, participants
+ * have SECONDS to vote; when the deadline passes, everyone who has not
+ * voted is counted as voting DEFAULT_VOTE and the round is resolved.
+ *
+ * @type {Object}
+ * @property {number} SECONDS - Overridable via EXTENSION_VOTE_DEADLINE_SECONDS.
+ * @property {string} DEFAULT_VOTE - One of EXTENSION_VOTES ("leave" unless
+ *   EXTENSION_VOTE_DEFAULT names another).
+ */
+const EXTENSION_VOTE_DEADLINE = {
+  SECONDS: parseInt(process.env.EXTENSION_VOTE_DEADLINE_SECONDS || '30', 10),
+  DEFAULT_VOTE: EXTENSION_VOTES.includes(process.env.EXTENSION_VOTE_DEFAULT) ? process.env.EXTENSION_VOTE_DEFAULT : 'leave',
+};
+
+/**
+ * Seconds a disconnected user has to reconnect before their conversation
+ * is closed (or, in a group room, before they are removed from it).  After
+ * a server restart, everyone gets this long to reconnect to their live
+ * conversation or reclaim their queue spot.
+ * @type {number}
+ */
+const DISCONNECT_GRACE_SECONDS = 30;
+
+/**
+ * Seconds after which a "typing" indicator is cleared if the client sent
+ * neither another TYPING_START nor a TYPING_STOP (e.g. the tab was closed
+ * mid-sentence).  Clients re-send TYPING_START more often than this while
+ * the user keeps typing.
+ * @type {number}
+ */
+const TYPING_EXPIRE_SECONDS = 5;
+
+/**
+ * Seconds after sending during which the sender may still edit or delete
+ * ("unsend") a message.  Overridable via MESSAGE_EDIT_WINDOW_SECONDS.
+ * @type {number}
+ */
+const MESSAGE_EDIT_WINDOW_SECONDS = parseInt(process.env.MESSAGE_EDIT_WINDOW_SECONDS || '60', 10);
+
+/**
+ * Days a login session stays valid after it was created; older tokens
+ * are rejected and deleted.  0 keeps sessions until logout.  Overridable
+ * via SESSION_TTL_DAYS.
+ * @type {number}
+ */
+const SESSION_TTL_DAYS = parseInt(process.env.SESSION_TTL_DAYS || '30', 10);
+
+/**
+ * Public origin of the site (e.g. "https://traumachat.example"), used to
+ * make the upload links in exported transcripts absolute.  Set via
+ * PUBLIC_BASE_URL; while empty the links stay relative ("/uploads/...").
+ * @type {string}
+ */
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+
+/**
+ * Matchmaking tunables.
+ *
+ * @type {Object}
+ * @property {string} STRATEGY - Name of the pairing strategy the matchmaker uses
+ *   ("fifo", "preferences", "trauma" or "reputation"; see services/strategies).
+ *   Overridable via MATCH_STRATEGY.
+ * @property {number} TRAUMA_FALLBACK_SECONDS - How long a queued user waits for a
+ *   same/complementary trauma partner before being paired FIFO with anyone.
+ *   Overridable via MATCH_TRAUMA_FALLBACK_SECONDS (0 = plain FIFO).
+ * @property {number} SWEEP_INTERVAL_MS - How often the server re-runs matching
+ *   for users who are already queued (so fallbacks kick in without a new join).
+ * @property {number} PREFERENCE_RELAX_SECONDS - Wait time per preference relaxation
+ *   level.  Overridable via MATCH_PREFERENCE_RELAX_SECONDS (0 = never relax).
+ * @property {number} AGE_RELAX_YEARS - Years added to each end of a user's preferred
+ *   age range per relaxation level.
+ * @property {number} LOCATION_RELAX_LEVEL - Relaxation level at which "same location
+ *   only" is ignored.
+ * @property {number} GENDER_RELAX_LEVEL - Relaxation level at which the preferred
+ *   genders filter is ignored.
+ * @property {number} REPEAT_WINDOW_HOURS - Two users who talked within this many hours
+ *   are not re-matched.  Overridable via MATCH_REPEAT_WINDOW_HOURS (0 = off).
+ * @property {number} REPEAT_WINDOW_CONVERSATIONS - Nor are users who appear among each
+ *   other's last N conversations.  Overridable via MATCH_REPEAT_WINDOW_CONVERSATIONS (0 = off).
+ * @property {number} THROUGHPUT_WINDOW_MS - How far back recent matches are counted
+ *   when estimating queue wait times.
+ * @property {number} REPUTATION_MIN_QUEUE - Minimum queue length before users are
+ *   paired by similar reputation (shorter queues cannot afford to be picky).
+ * @property {number} REPUTATION_MAX_GAP - Largest reputation difference still
+ *   considered "similar" once the reputation tier is active.
+ * @property {number} REPUTATION_FALLBACK_SECONDS - How long a user in the reputation
+ *   tier waits for a similar score before accepting the closest one available.
+ */
+const MATCHMAKING = {
+  STRATEGY: process.env.MATCH_STRATEGY || 'trauma',
+  TRAUMA_FALLBACK_SECONDS: parseInt(process.env.MATCH_TRAUMA_FALLBACK_SECONDS || '20', 10),
+  SWEEP_INTERVAL_MS: 2000,
+  PREFERENCE_RELAX_SECONDS: parseInt(process.env.MATCH_PREFERENCE_RELAX_SECONDS || '30', 10),
+  AGE_RELAX_YEARS: 3,
+  LOCATION_RELAX_LEVEL: 2,
+  GENDER_RELAX_LEVEL: 4,
+  REPEAT_WINDOW_HOURS: parseInt(process.env.MATCH_REPEAT_WINDOW_HOURS || '24', 10),
+  REPEAT_WINDOW_CONVERSATIONS: parseInt(process.env.MATCH_REPEAT_WINDOW_CONVERSATIONS || '3', 10),
+  THROUGHPUT_WINDOW_MS: 10 * 60 * 1000,
+  REPUTATION_MIN_QUEUE: parseInt(process.env.MATCH_REPUTATION_MIN_QUEUE || '4', 10),
+  REPUTATION_MAX_GAP: 1.0,
+  REPUTATION_FALLBACK_SECONDS: 20,
+};
+
+/**
+ * Group therapy room tunables.
+ *
+ * Users who choose "Group Session" wait in a separate FIFO queue.  A room
+ * is created as soon as TARGET_SIZE users are waiting, or with however
+ * many are there (at least MIN_SIZE) once the oldest has waited
+ * FILL_SECONDS.
+ *
+ * @type {Object}
+ * @property {number} MIN_SIZE     - Smallest group that will be started.
+ * @property {number} MAX_SIZE     - Largest allowed group (caps TARGET_SIZE).
+ * @property {number} TARGET_SIZE  - Group size the matchmaker waits for.
+ *   Overridable via GROUP_SIZE (clamped to MIN_SIZE..MAX_SIZE).
+ * @property {number} FILL_SECONDS - How long the oldest waiting user waits
+ *   for a full group before a smaller one is started.
+ */
+const GROUP = {
+  MIN_SIZE: 3,
+  MAX_SIZE: 6,
+  TARGET_SIZE: Math.min(6, Math.max(3, parseInt(process.env.GROUP_SIZE || '4', 10) || 4)),
+  FILL_SECONDS: 30,
+};
+
+/**
+ * Parameters for the rating-based reputation score.
+ *
+ * Reputation is a Bayesian average of the 1-5 star ratings a user has
+ * received: PRIOR_WEIGHT imaginary ratings of PRIOR_MEAN are blended with
+ * the real ones, so a single 5-star rating does not make someone a saint.
+ *
+ *   reputation = (PRIOR_MEAN * PRIOR_WEIGHT + sum(scores)) / (PRIOR_WEIGHT + count)
+ *
+ * @type {Object}
+ * @property {number} PRIOR_MEAN   - Score assumed before any ratings (also the starting reputation).
+ * @property {number} PRIOR_WEIGHT - How many ratings the prior is worth.
+ */
+const REPUTATION = {
+  PRIOR_MEAN: 3,
+  PRIOR_WEIGHT: 5,
+};
+
 /**
  * Point values and thresholds for the gamification system.
  * Points are awarded for various in-app actions and contribute
@@ -56,31 +273,132 @@ const POINTS = {
  */
 const EVENTS = {
   // -- Matchmaking --
-  /** Client -> Server: user wants to enter the random-match queue. */
+  /**
+   * Client -> Server: user wants to enter the match queue; optional `{ preferences }` override
+   * the saved ones, `{ mode: 'group' }` joins the group therapy queue instead, and
+   * `{ timerProfile }` picks a TIMER_PROFILES key (default DEFAULT_TIMER_PROFILE).
+   */
   JOIN_QUEUE: 'join-queue',
   /** Client -> Server: user wants to leave the queue before being matched. */
   LEAVE_QUEUE: 'leave-queue',
-  /** Server -> Client: two users have been paired; includes partner info and room ID. */
+  /**
+   * Server -> Client: two users have been paired (partner info, room ID, trauma match reason),
+   * or a group room was formed (`isGroup` plus every participant's info); both include the
+   * `timerProfile` they were matched on.
+   */
   MATCHED: 'matched',
+  /**
+   * Server -> Client: the user's queue position, queue size and estimated wait (counting only
+   * users with the same timer profile), plus their `timerProfile`.
+   */
+  QUEUE_STATUS: 'queue-status',
 
   // -- Chat --
-  /** Client -> Server: user sends a text message within a conversation. */
+  /**
+   * Client -> Server: user sends a text message within a conversation --
+   * `{ conversationId, content, replyToId? }` (replyToId quotes an earlier message).
+   */
   SEND_MESSAGE: 'send-message',
   /** Server -> Client (room broadcast): a new message is available. */
   NEW_MESSAGE: 'new-message',
-  /** Client -> Server: user sends a recorded voice note. */
+  /**
+   * Client -> Server: user sends a recorded voice note --
+   * `{ conversationId, voiceUrl, duration, replyToId? }`.
+   */
   SEND_VOICE_NOTE: 'send-voice-note',
+  /**
+   * Client -> Server: user is composing a message (throttled, repeated while typing).
+   * Server -> Client (room, excluding the typist): `{ conversationId, userId }` is typing.
+   */
+  TYPING_START: 'typing-start',
+  /**
+   * Client -> Server: user stopped composing (sent, cleared or went idle).
+   * Server -> Client (room, excluding the typist): `{ conversationId, userId }` stopped,
+   * also sent when the indicator expires after TYPING_EXPIRE_SECONDS.
+   */
+  TYPING_STOP: 'typing-stop',
+  /** Client -> Server: the user has seen every message up to `{ conversationId, messageId }`. */
+  MESSAGES_READ: 'messages-read',
+  /**
+   * Server -> Client (room broadcast): a member's receipt watermarks moved --
+   * `{ conversationId, userId, deliveredUpTo, readUpTo }` (message IDs).
+   */
+  RECEIPT_UPDATED: 'receipt-updated',
+  /** Client -> Server: change the text of one's own message -- `{ conversationId, messageId, content }`. */
+  EDIT_MESSAGE: 'edit-message',
+  /** Client -> Server: unsend one's own message -- `{ conversationId, messageId }`. */
+  DELETE_MESSAGE: 'delete-message',
+  /**
+   * Server -> Client (room broadcast): a message was edited or deleted --
+   * the full updated message row (`edited_at` / `deleted_at` set).
+   */
+  MESSAGE_UPDATED: 'message-updated',
+  /** Client -> Server: react to a message -- `{ conversationId, messageId, emoji }`. */
+  ADD_REACTION: 'add-reaction',
+  /** Client -> Server: take a reaction back -- `{ conversationId, messageId, emoji }`. */
+  REMOVE_REACTION: 'remove-reaction',
+  /**
+   * Server -> Client (room broadcast): a message's reactions changed --
+   * `{ conversationId, messageId, reactions: [{ emoji, userIds }] }`.
+   */
+  REACTION_UPDATED: 'reaction-updated',
 
   // -- Timer --
-  /** Server -> Client: the countdown timer has started (includes duration and end time). */
+  /**
+   * Client -> Server: clock sync ping (no payload); the ack data is `{ serverTime }`
+   * (epoch ms), from which the client estimates its clock offset to the server.
+   */
+  TIME_SYNC: 'time-sync',
+  /**
+   * Server -> Client: the countdown timer has started --
+   * `{ round, duration, warningSeconds, endTime, serverTime }` (round is 1-based; duration
+   * follows ROUND_SCHEDULE and warningSeconds the conversation's timer profile;
+   * serverTime is the server's clock in epoch ms).
+   */
   TIMER_START: 'timer-start',
-  /** Server -> Client: the timer is about to expire (TIMER_WARNING_SECONDS remaining). */
+  /**
+   * Server -> Client (room broadcast, every TIMER_SYNC_INTERVAL_SECONDS while a timer runs):
+   * `{ conversationId, endTime, serverTime }`.
+   */
+  TIMER_SYNC: 'timer-sync',
+  /** Server -> Client: the timer is about to expire (`{ secondsLeft }`, the profile's warning threshold). */
   TIMER_WARNING: 'timer-warning',
   /** Server -> Client: the timer has reached zero. */
   TIMER_EXPIRED: 'timer-expired',
 
+  // -- Pausing --
+  /**
+   * Client -> Server: ask to pause the running timer -- `{ conversationId }`;
+   * the ack data is `{ pausesLeft }`.
+   * Server -> Client (to the rest of the room): someone asked -- `{ conversationId, userId }`.
+   */
+  REQUEST_PAUSE: 'request-pause',
+  /**
+   * Client -> Server: answer the pending pause request -- `{ conversationId, accept }`
+   * (anyone but the requester may answer); the ack data is `{ paused }`.
+   */
+  RESPOND_PAUSE: 'respond-pause',
+  /** Server -> Client (room broadcast): the pause request was turned down -- `{ conversationId, userId }`. */
+  PAUSE_DECLINED: 'pause-declined',
+  /**
+   * Server -> Client (room broadcast): the countdown is suspended --
+   * `{ conversationId, remainingMs, resumeAt, serverTime, pausesLeft }`; it
+   * resumes by itself at `resumeAt` (ISO 8601, server clock) at the latest.
+   */
+  TIMER_PAUSED: 'timer-paused',
+  /**
+   * Client -> Server: end the pause early -- `{ conversationId }`.
+   * Server -> Client (room broadcast): the countdown runs again --
+   * `{ conversationId, endTime, warningSeconds, serverTime }`.
+   */
+  TIMER_RESUME: 'timer-resume',
+
   // -- Extension Voting --
-  /** Server -> Client: prompts both users to vote on extending the conversation. */
+  /**
+   * Server -> Client: prompts both users to vote on extending the conversation --
+   * `{ conversationId, deadline, defaultVote, serverTime }`; votes missing at `deadline`
+   * (ISO 8601, server clock) count as `defaultVote`.
+   */
   EXTENSION_PROMPT: 'extension-prompt',
   /** Client -> Server: user submits their extension vote ("extend", "leave", or "friends_forever"). */
   EXTENSION_VOTE: 'extension-vote',
@@ -110,6 +428,68 @@ const EVENTS = {
   PARTNER_DISCONNECTED: 'partner-disconnected',
   /** Server -> Client: the conversation has been closed (includes reason string). */
   CONVERSATION_CLOSED: 'conversation-closed',
+  /** Server -> Client (room broadcast): a group member left (vote or disconnect); the group continues. */
+  PARTICIPANT_LEFT: 'participant-left',
+  /**
+   * Server -> Client: a conversation event was refused because the conversation is not in a
+   * status that accepts it (includes the event name, conversation ID, status and a reason)
+   * or because the user hit a rate limit (includes `retryAfter` in seconds instead of the status).
+   * Only sent when the event was emitted without an ack callback.
+   */
+  EVENT_REJECTED: 'event-rejected',
+};
+
+/**
+ * Stable error codes returned in failed socket acks
+ * (`{ ok: false, code, message }`).
+ *
+ * @type {Object.<string, string>}
+ * @property {string} INVALID_PAYLOAD        - The event's payload is missing fields or has bad values.
+ * @property {string} CONVERSATION_NOT_FOUND - No conversation with the given ID.
+ * @property {string} NOT_PARTICIPANT        - The user is not (or no longer) in the conversation.
+ * @property {string} INVALID_STATE          - The conversation's status does not accept the event.
+ * @property {string} MESSAGE_NOT_FOUND      - No user message with the given ID in the conversation.
+ * @property {string} NOT_SENDER             - Only the message's sender may do this (edit / delete).
+ * @property {string} EDIT_WINDOW_EXPIRED    - The message is older than MESSAGE_EDIT_WINDOW_SECONDS.
+ * @property {string} RATE_LIMITED           - Sent too fast (see RATE_LIMITS); `details.retryAfter`
+ *   says how many seconds to wait.
+ * @property {string} DUPLICATE              - The user already did this (e.g. rated the same photo).
+ * @property {string} INTERNAL_ERROR         - Unexpected server failure.
+ */
+const ERROR_CODES = {
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  CONVERSATION_NOT_FOUND: 'CONVERSATION_NOT_FOUND',
+  NOT_PARTICIPANT: 'NOT_PARTICIPANT',
+  INVALID_STATE: 'INVALID_STATE',
+  MESSAGE_NOT_FOUND: 'MESSAGE_NOT_FOUND',
+  NOT_SENDER: 'NOT_SENDER',
+  EDIT_WINDOW_EXPIRED: 'EDIT_WINDOW_EXPIRED',
+  RATE_LIMITED: 'RATE_LIMITED',
+  DUPLICATE: 'DUPLICATE',
+  INTERNAL_ERROR: 'INTERNAL_ERROR',
+};
+
+/**
+ * Token-bucket rate limits on chat events, keyed by event name.  Every
+ * user has one bucket per conversation and event: it holds up to BURST
+ * tokens, each event spends one, and tokens refill at PER_SECOND.  An
+ * event arriving with the bucket empty fails with RATE_LIMITED.
+ * Events not listed here are not limited.
+ *
+ * Overridable via RATE_LIMIT_MESSAGE_BURST / RATE_LIMIT_MESSAGE_PER_SECOND
+ * and RATE_LIMIT_VOICE_BURST / RATE_LIMIT_VOICE_PER_SECOND.
+ *
+ * @type {Object.<string, { BURST: number, PER_SECOND: number }>}
+ */
+const RATE_LIMITS = {
+  [EVENTS.SEND_MESSAGE]: {
+    BURST: parseInt(process.env.RATE_LIMIT_MESSAGE_BURST || '8', 10),
+    PER_SECOND: parseFloat(process.env.RATE_LIMIT_MESSAGE_PER_SECOND || '1'),
+  },
+  [EVENTS.SEND_VOICE_NOTE]: {
+    BURST: parseInt(process.env.RATE_LIMIT_VOICE_BURST || '3', 10),
+    PER_SECOND: parseFloat(process.env.RATE_LIMIT_VOICE_PER_SECOND || '0.1'),
+  },
 };
 
 /**
@@ -120,6 +500,9 @@ const EVENTS = {
  *                                \-> FRIENDS_FOREVER
  *                                \-> CLOSED
  *
+ * The legal transitions are declared and enforced by
+ * server/services/stateMachine.js.
+ *
  * @type {Object.<string, string>}
  * @property {string} ACTIVE            - Timer is running; users are chatting.
  * @property {string} EXTENSION_PENDING - Timer expired; waiting for both users to vote.
@@ -152,17 +535,36 @@ const MESSAGE_TYPES = {
 };
 
 /**
- * Maximum allowed duration (in seconds) for a single voice note recording.
- * @type {number}
+ * Message limits defined in shared/validation.js (see there), re-exported
+ * with the other constants: VOICE_MAX_SECONDS, the longest voice note in
+ * seconds, and REACTION_EMOJIS, the emoji users can react with.
  */
-const VOICE_MAX_SECONDS = 60;
+const { VOICE_MAX_SECONDS, REACTION_EMOJIS } = require('./validation.js');
 
 module.exports = {
   TIMER_SECONDS,
   TIMER_WARNING_SECONDS,
+  TIMER_SYNC_INTERVAL_SECONDS,
+  TIMER_PROFILES,
+  DEFAULT_TIMER_PROFILE,
+  ROUND_SCHEDULE,
+  PAUSE,
+  EXTENSION_VOTES,
+  EXTENSION_VOTE_DEADLINE,
+  DISCONNECT_GRACE_SECONDS,
+  TYPING_EXPIRE_SECONDS,
+  MESSAGE_EDIT_WINDOW_SECONDS,
+  SESSION_TTL_DAYS,
+  PUBLIC_BASE_URL,
+  MATCHMAKING,
+  GROUP,
+  REPUTATION,
   POINTS,
   EVENTS,
+  ERROR_CODES,
+  RATE_LIMITS,
   CONVERSATION_STATUS,
   MESSAGE_TYPES,
   VOICE_MAX_SECONDS,
+  REACTION_EMOJIS,
 };
@@ -0,0 +1,146 @@
+/**
+ * @file Message payload validation shared by the client and the server.
+ *
+ * The client runs these checks before sending so the user gets instant
+ * feedback; the server runs the same checks on every SEND_MESSAGE,
+ * EDIT_MESSAGE and SEND_VOICE_NOTE and rejects what fails them with
+ * INVALID_PAYLOAD.  Checks that need the database (e.g. whether a voice
+ * note was uploaded by the sender) stay on the server.
+ *
+ * Plain CommonJS like shared/constants.js: the server `require()`s it and
+ * the Vite client imports it through Vite's CommonJS interop (see
+ * client/vite.config.js).  Unlike shared/constants.js it does not read
+ * `process.env`, which is why the limits the client has to agree on
+ * (message length, voice-note duration, reaction emoji) are defined here;
+ * shared/constants.js re-exports the ones the server needs.
+ *
+ * Every validator returns either `{ value }` -- the normalised value to
+ * store -- or `{ error }`, a {@link ValidationError}.
+ *
+ * @module shared/validation
+ */
+
+/**
+ * Maximum length of a text message, in UTF-16 code units (the same unit
+ * as an input's `maxLength`), counted after trimming.
+ * @type {number}
+ */
+const MESSAGE_MAX_LENGTH = 2000;
+
+/**
+ * Maximum allowed duration (in seconds) for a single voice note recording.
+ * @type {number}
+ */
+const VOICE_MAX_SECONDS = 60;
+
+/**
+ * The emoji users can react to text and voice messages with; the server
+ * rejects any other.
+ * @type {string[]}
+ */
+const REACTION_EMOJIS = ['❤️', '🫂', '😢', '😂', '👍', '🙏'];
+
+/** Path under which the server stores uploaded voice notes. */
+const VOICE_URL_PREFIX = '/uploads/voice/';
+
+/**
+ * @typedef {Object} ValidationError
+ * @property {string} field   - The offending payload field, e.g. "content".
+ * @property {string} rule    - Which check failed: "type", "empty", "too_long",
+ *   "control_chars" or "out_of_range".
+ * @property {string} message - Human-readable explanation, shown to the user.
+ */
+
+/**
+ * Builds a failed validation result.
+ *
+ * @param {string} field
+ * @param {string} rule
+ * @param {string} message
+ * @returns {{ error: ValidationError }}
+ * @private
+ */
+function invalid(field, rule, message) {
+  return { error: { field, rule, message } };
+}
+
+/**
+ * Whether a string contains control characters other than tab and line
+ * breaks (C0 controls, DEL and C1 controls).
+ *
+ * @param {string} text
+ * @returns {boolean}
+ * @private
+ */
+function hasControlChars(text) {
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code === 9 || code === 10 || code === 13) continue;
+    if (code < 32 || (code >= 127 && code < 160)) return true;
+  }
+  return false;
+}
+
+/**
+ * Validates the text of a message (new or edited): it must be a string,
+ * non-empty once trimmed, at most MESSAGE_MAX_LENGTH long and free of
+ * control characters.  Windows line breaks are normalised to "\n".
+ *
+ * @param {*} content - As received.
+ * @returns {{ value: string }|{ error: ValidationError }} The trimmed text.
+ */
+function validateMessageText(content) {
+  if (typeof content !== 'string') return invalid('content', 'type', 'Message text must be a string');
+  const value = content.replace(/\r\n?/g, '\n').trim();
+  if (!value) return invalid('content', 'empty', 'Message cannot be empty');
+  if (value.length > MESSAGE_MAX_LENGTH) {
+    return invalid('content', 'too_long', `Message is too long (max ${MESSAGE_MAX_LENGTH} characters)`);
+  }
+  if (hasControlChars(value)) return invalid('content', 'control_chars', 'Message contains invalid characters');
+  return { value };
+}
+
+/**
+ * Validates the length of a voice recording: a number of seconds from 0 to
+ * VOICE_MAX_SECONDS.  The client checks this before uploading the recording.
+ *
+ * @param {*} duration - As received.
+ * @returns {{ value: number }|{ error: ValidationError }}
+ */
+function validateVoiceDuration(duration) {
+  if (typeof duration !== 'number' || !Number.isFinite(duration)) {
+    return invalid('duration', 'type', 'duration must be a number');
+  }
+  if (duration < 0 || duration > VOICE_MAX_SECONDS) {
+    return invalid('duration', 'out_of_range', `Voice notes can be at most ${VOICE_MAX_SECONDS} seconds long`);
+  }
+  return { value: duration };
+}
+
+/**
+ * Validates a voice note's metadata: `voiceUrl` must be a voice upload
+ * path (a bare file name under VOICE_URL_PREFIX) and `duration` a number
+ * of seconds from 0 to VOICE_MAX_SECONDS.
+ *
+ * @param {{ voiceUrl: *, duration: * }} voiceNote - As received.
+ * @returns {{ value: { voiceUrl: string, duration: number } }|{ error: ValidationError }}
+ */
+function validateVoiceNote({ voiceUrl, duration }) {
+  if (typeof voiceUrl !== 'string' || !voiceUrl.startsWith(VOICE_URL_PREFIX)
+    || !/^[\w-]+\.webm$/.test(voiceUrl.slice(VOICE_URL_PREFIX.length))) {
+    return invalid('voiceUrl', 'type', 'voiceUrl must be an uploaded voice note');
+  }
+  const { error } = validateVoiceDuration(duration);
+  if (error) return { error };
+  return { value: { voiceUrl, duration } };
+}
+
+module.exports = {
+  MESSAGE_MAX_LENGTH,
+  VOICE_MAX_SECONDS,
+  VOICE_URL_PREFIX,
+  REACTION_EMOJIS,
+  validateMessageText,
+  validateVoiceDuration,
+  validateVoiceNote,
+};